@@ -10,20 +10,21 @@ async function main() {
   console.log('1. Defining a component...');
   builder.define('data-table', {
     version: '1.0.0',
-    props: ['headers', 'data', 'sortable'],
+    props: {
+      headers: { type: Array, default: [] },
+      data: { type: Array, default: [] },
+      sortable: Boolean
+    },
     template: (props, state) => {
-      const headers = JSON.parse(props.headers || '[]');
-      const data = JSON.parse(props.data || '[]');
-            
       return `
                 <table class="data-table">
                     <thead>
                         <tr>
-                            ${headers.map(header => `<th>${header}</th>`).join('')}
+                            ${props.headers.map(header => `<th>${header}</th>`).join('')}
                         </tr>
                     </thead>
                     <tbody>
-                        ${data.map(row => `
+                        ${props.data.map(row => `
                             <tr>
                                 ${row.map(cell => `<td>${cell}</td>`).join('')}
                             </tr>
@@ -53,13 +54,11 @@ async function main() {
         `,
     methods: {
       sort(columnIndex) {
-        const data = JSON.parse(this.props.data || '[]');
-        data.sort((a, b) => {
+        this.data = [...this.data].sort((a, b) => {
           if (a[columnIndex] < b[columnIndex]) return -1;
           if (a[columnIndex] > b[columnIndex]) return 1;
           return 0;
         });
-        this.setAttribute('data', JSON.stringify(data));
       }
     }
   });
@@ -39,10 +39,78 @@ export default [
     ],
     external: [],
   },
+  // scb command-line tool (Node)
+  {
+    input: 'src/cli.js',
+    output: {
+      file: 'dist/cli.js',
+      format: 'cjs',
+      sourcemap: true,
+    },
+    plugins: [
+      resolve({ preferBuiltins: true }),
+      babel({
+        babelHelpers: 'bundled',
+        exclude: 'node_modules/**',
+      }),
+    ],
+    external: ['crypto', 'fs', 'http', 'path', 'url'],
+  },
+  // shared-component-builder/testing
+  {
+    input: 'src/testing.js',
+    output: [
+      {
+        file: 'dist/testing.js',
+        format: 'cjs',
+        sourcemap: true,
+      },
+      {
+        file: 'dist/testing.esm.js',
+        format: 'esm',
+        sourcemap: true,
+      },
+    ],
+    plugins: [
+      babel({
+        babelHelpers: 'bundled',
+        exclude: 'node_modules/**',
+      }),
+    ],
+  },
+  // Node-only modules: shared-component-builder/registry-server and /fs-store
+  ...['registry-server', 'fs-store'].map(name => ({
+    input: `src/${name}.js`,
+    output: [
+      {
+        file: `dist/${name}.js`,
+        format: 'cjs',
+        sourcemap: true,
+      },
+      {
+        file: `dist/${name}.esm.js`,
+        format: 'esm',
+        sourcemap: true,
+      },
+    ],
+    plugins: [
+      resolve({ preferBuiltins: true }),
+      babel({
+        babelHelpers: 'bundled',
+        exclude: 'node_modules/**',
+      }),
+    ],
+    external: ['crypto', 'fs', 'http', 'path', 'url'],
+  })),
   // TypeScript declarations
   {
     input: 'src/component-builder.d.ts',
     output: [{ file: packageJson.types, format: 'esm' }],
     plugins: [dts()],
   },
+  {
+    input: 'src/testing.d.ts',
+    output: [{ file: 'dist/testing.d.ts', format: 'esm' }],
+    plugins: [dts()],
+  },
 ]; 
\ No newline at end of file
@@ -0,0 +1,192 @@
+/**
+ * Self-contained HTML catalogue of components: docs, usage and a live
+ * preview with prop controls. The component scripts are inlined, so the
+ * page works offline.
+ */
+import { createRuntime } from './runtime.js';
+
+const runtime = createRuntime();
+const escapeHTML = runtime.escapeHTML;
+
+const STYLES = `
+  body { margin: 0; font: 15px/1.5 system-ui, sans-serif; color: #1f2328; background: #f6f8fa; }
+  header { padding: 24px 32px; background: #fff; border-bottom: 1px solid #d0d7de; }
+  header h1 { margin: 0 0 8px; }
+  nav ul { margin: 0; padding: 0; list-style: none; display: flex; flex-wrap: wrap; gap: 8px 16px; }
+  main { max-width: 960px; margin: 0 auto; padding: 16px 32px 48px; }
+  .component { margin: 24px 0; padding: 24px; background: #fff; border: 1px solid #d0d7de; border-radius: 8px; }
+  .component h2 { margin-top: 0; }
+  .version { font-size: 13px; font-weight: normal; color: #57606a; }
+  .playground { display: grid; grid-template-columns: 2fr 1fr; gap: 16px; }
+  .preview { padding: 16px; border: 1px dashed #d0d7de; border-radius: 6px; }
+  .controls { display: flex; flex-direction: column; gap: 8px; }
+  .controls label { display: flex; flex-direction: column; font-size: 13px; }
+  .controls label.checkbox { flex-direction: row; gap: 6px; align-items: center; }
+  pre { padding: 12px; overflow: auto; background: #f6f8fa; border-radius: 6px; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  th, td { padding: 6px 8px; text-align: left; border-bottom: 1px solid #d0d7de; }
+  .event-log { max-height: 160px; overflow: auto; font: 13px monospace; }
+`;
+
+/**
+ * Page script: prop controls set the preview element's attributes, and
+ * declared events are logged. Embedded via toString(), so like the runtime
+ * it avoids syntax that needs transpiler helpers.
+ */
+function catalogueScript() {
+  'use strict';
+
+  function markupOf(el) {
+    let attributes = '';
+    for (let i = 0; i < el.attributes.length; i++) {
+      const attribute = el.attributes[i];
+      attributes += ' ' + attribute.name +
+        (attribute.value === '' ? '' : '="' + attribute.value.replace(/&/g, '&amp;').replace(/"/g, '&quot;') + '"');
+    }
+    return '<' + el.localName + attributes + '></' + el.localName + '>';
+  }
+
+  function apply(el, control) {
+    const attribute = control.getAttribute('data-attribute');
+    if (!attribute) return;
+    if (control.type === 'checkbox') {
+      // An absent attribute means the default, so unchecking a default-true prop needs "false"
+      if (control.checked) el.setAttribute(attribute, '');
+      else if (control.getAttribute('data-default') === 'true') el.setAttribute(attribute, 'false');
+      else el.removeAttribute(attribute);
+    } else if (control.value === '') {
+      el.removeAttribute(attribute);
+    } else {
+      el.setAttribute(attribute, control.value);
+    }
+  }
+
+  const sections = document.querySelectorAll('.component');
+  for (let i = 0; i < sections.length; i++) {
+    (function(section) {
+      const el = section.querySelector('.preview').firstElementChild;
+      const markup = section.querySelector('.markup code');
+      const log = section.querySelector('.event-log');
+      markup.textContent = markupOf(el);
+
+      section.querySelector('.controls').addEventListener('input', function(event) {
+        apply(el, event.target);
+        markup.textContent = markupOf(el);
+      });
+
+      JSON.parse(log.getAttribute('data-events')).forEach(function(name) {
+        el.addEventListener(name, function(event) {
+          const entry = document.createElement('li');
+          entry.textContent = name + (event.detail === null || event.detail === undefined ? '' : ' ' + JSON.stringify(event.detail));
+          log.insertBefore(entry, log.firstChild);
+          while (log.children.length > 20) log.removeChild(log.lastChild);
+        });
+      });
+    })(sections[i]);
+  }
+}
+
+function renderControl(prop) {
+  const attributes = `data-attribute="${escapeHTML(prop.attribute)}"`;
+  const label = escapeHTML(prop.name);
+  if (prop.type === 'Boolean') {
+    const checked = prop.default === true ? ' checked' : '';
+    return `<label class="checkbox"><input type="checkbox" ${attributes} data-default="${prop.default === true}"${checked}> ${label}</label>`;
+  }
+  if (prop.type === 'Object' || prop.type === 'Array') {
+    const value = prop.default === undefined ? '' : JSON.stringify(prop.default);
+    return `<label>${label} <textarea rows="3" ${attributes} placeholder="JSON">${escapeHTML(value)}</textarea></label>`;
+  }
+  const value = prop.default === undefined || prop.default === null ? '' : String(prop.default);
+  const type = prop.type === 'Number' ? 'number' : 'text';
+  return `<label>${label} <input type="${type}" ${attributes} value="${escapeHTML(value)}"></label>`;
+}
+
+function renderTable(headings, rows) {
+  const cells = (tag, values) => values.map(value => `<${tag}>${value}</${tag}>`).join('');
+  return `<table>
+        <thead><tr>${cells('th', headings)}</tr></thead>
+        <tbody>${rows.map(row => `<tr>${cells('td', row)}</tr>`).join('')}</tbody>
+      </table>`;
+}
+
+function renderComponent(component) {
+  const tag = escapeHTML(component.name);
+  const props = component.props.length
+    ? renderTable(['Prop', 'Attribute', 'Type', 'Default', 'Required'], component.props.map(prop => [
+      `<code>${escapeHTML(prop.name)}</code>`,
+      `<code>${escapeHTML(prop.attribute)}</code>`,
+      prop.type,
+      prop.default === undefined ? '' : `<code>${escapeHTML(JSON.stringify(prop.default))}</code>`,
+      prop.required ? 'yes' : ''
+    ]))
+    : '<p>No props.</p>';
+  const events = component.events.length
+    ? renderTable(['Event', 'Detail', 'Bubbles', 'Composed'], component.events.map(event => [
+      `<code>${escapeHTML(event.name)}</code>`,
+      event.detail ? `<code>${escapeHTML(event.detail)}</code>` : '',
+      event.bubbles ? 'yes' : '',
+      event.composed ? 'yes' : ''
+    ]))
+    : '<p>No events.</p>';
+  const eventNames = escapeHTML(JSON.stringify(component.events.map(event => event.name)));
+
+  return `<section class="component" id="component-${tag}">
+      <h2><code>&lt;${tag}&gt;</code> <span class="version">${escapeHTML(component.version)}</span></h2>
+      ${component.description ? `<p>${escapeHTML(component.description)}</p>` : ''}
+      <div class="playground">
+        <div class="preview"><${tag}></${tag}></div>
+        <form class="controls" onsubmit="return false">
+          ${component.props.map(renderControl).join('\n          ')}
+        </form>
+      </div>
+      <pre class="markup"><code></code></pre>
+      <h3>Props</h3>
+      ${props}
+      <h3>Events</h3>
+      ${events}
+      <ol class="event-log" data-events="${eventNames}"></ol>
+      <h3>Usage</h3>
+      <pre><code>${escapeHTML(component.usage)}</code></pre>
+    </section>`;
+}
+
+/**
+ * Render the catalogue page
+ * @param {Object} catalogue - Page contents
+ * @param {string} catalogue.title - Page title
+ * @param {Array<Object>} catalogue.components - `{ name, version, description, props, events, usage }`,
+ *   with normalized props and events whose `detail` is a description
+ * @param {Array<string>} catalogue.scripts - Generated component scripts, dependencies first
+ * @returns {string} HTML document
+ */
+export function renderCatalogue({ title, components, scripts }) {
+  const nav = components.map(component =>
+    `<li><a href="#component-${escapeHTML(component.name)}"><code>&lt;${escapeHTML(component.name)}&gt;</code></a> ` +
+    `<span class="version">${escapeHTML(component.version)}</span></li>`
+  );
+  // A literal "</script" would end the inline script early
+  const inline = source => source.replace(/<\/script/gi, '<\\/script');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHTML(title)}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHTML(title)}</h1>
+    <nav><ul>${nav.join('')}</ul></nav>
+  </header>
+  <main>
+    ${components.map(renderComponent).join('\n    ')}
+  </main>
+${scripts.map(script => `  <script>${inline(script)}</script>`).join('\n')}
+  <script>(${catalogueScript.toString()})();</script>
+</body>
+</html>
+`;
+}
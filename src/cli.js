@@ -0,0 +1,322 @@
+/**
+ * `scb` command-line tool: export, publish, pull and list components, and
+ * write a Custom Elements Manifest.
+ * Reads its settings from `scb.config.json` in the working directory.
+ */
+import { promises as fs } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import ComponentBuilder from './component-builder.js';
+import { FileSystemStore } from './fs-store.js';
+
+const CONFIG_FILE = 'scb.config.json';
+const MODULE_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+const EXPORT_TYPES = ['script', 'json', 'react', 'vue', 'dts'];
+
+const USAGE = `Usage: scb <command> [options]
+
+Commands:
+  export [files...]    Write export artifacts for the components the files define
+    --type <type>        script, json, react, vue or dts (default: config "type" or script)
+    --out <dir>          Output directory (default: config "outDir" or dist/components)
+    --bundle             Include dependencies in each artifact
+  publish [files...]   Push the components the files define to the apiEndpoint
+    --update             Replace existing versions (PUT) instead of adding them
+  pull <name@range>... Download components into the local registry directory
+  list                 Show the components in the local registry directory
+    --remote             List the apiEndpoint registry instead
+    --search <text>      Filter remote components
+    --page <n>           Remote page (default 1)
+  manifest [files...]  Write a custom-elements.json for the components the files
+                       define and those in the local registry directory
+    --out <file>         Output file (default: config "manifest" or custom-elements.json)
+
+Options:
+  --config <file>      Config file (default: ${CONFIG_FILE})
+  --help               Show this help
+
+Definition files default to config "components". Each file exports a function
+that receives the builder, or a component definition (with a "name") or an
+array of them. The API token is read from the SCB_TOKEN environment variable.
+`;
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments after the executable
+ * @returns {{command: string, args: Array<string>, options: Object}} Parsed arguments
+ */
+export function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+    const equals = arg.indexOf('=');
+    const key = equals === -1 ? arg.slice(2) : arg.slice(2, equals);
+    if (equals !== -1) {
+      options[key] = arg.slice(equals + 1);
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--') && !['bundle', 'update', 'remote', 'help'].includes(key)) {
+      options[key] = argv[++i];
+    } else {
+      options[key] = true;
+    }
+  }
+  return { command: args.shift(), args, options };
+}
+
+/**
+ * Read the project config file
+ * @param {string} cwd - Working directory
+ * @param {string} [file] - Config file path, relative to cwd
+ * @returns {Promise<Object>} Config (empty when the default file does not exist)
+ */
+export async function loadConfig(cwd, file) {
+  const configPath = path.resolve(cwd, file || CONFIG_FILE);
+  let text;
+  try {
+    text = await fs.readFile(configPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !file) return {};
+    throw new Error(`Cannot read config ${configPath}: ${error.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${configPath}: ${error.message}`);
+  }
+}
+
+// Expand files and directories (non-recursive) into module paths
+async function resolveFiles(cwd, entries) {
+  const files = [];
+  for (const entry of entries) {
+    const target = path.resolve(cwd, entry);
+    const stat = await fs.stat(target).catch(() => null);
+    if (!stat) {
+      throw new Error(`No such file or directory: ${entry}`);
+    }
+    if (stat.isDirectory()) {
+      const names = (await fs.readdir(target)).sort();
+      names
+        .filter(name => MODULE_EXTENSIONS.includes(path.extname(name)))
+        .forEach(name => files.push(path.join(target, name)));
+    } else {
+      files.push(target);
+    }
+  }
+  return files;
+}
+
+function importModule(file) {
+  // Windows paths must be passed to import() as file URLs
+  return import(process.platform === 'win32' ? pathToFileURL(file).href : file);
+}
+
+/**
+ * Load definition modules into a builder
+ * @param {ComponentBuilder} builder - Builder to define the components on
+ * @param {Array<string>} files - Absolute module paths
+ * @param {Function} load - `file => Promise<module>`
+ * @returns {Promise<Array<string>>} Names of the components the files define
+ */
+export async function loadDefinitions(builder, files, load = importModule) {
+  const names = [];
+  // Count define() calls rather than new registry names: a file may define a
+  // component the registry already holds, e.g. one pulled earlier
+  const define = builder.define;
+  let defined;
+  builder.define = function(name, definition) {
+    const data = define.call(this, name, definition);
+    defined.add(name);
+    return data;
+  };
+
+  try {
+    for (const file of files) {
+      defined = new Set();
+      const loaded = await load(file);
+      const exported = loaded && loaded.default !== undefined ? loaded.default : loaded;
+
+      if (typeof exported === 'function') {
+        await exported(builder);
+      } else if (exported && typeof exported === 'object') {
+        [].concat(exported).forEach(({ name, ...definition }) => {
+          if (!name) {
+            throw new Error(`${file} exports a definition without a "name"`);
+          }
+          builder.define(name, definition);
+        });
+      } else {
+        throw new Error(`${file} must export a function or component definitions`);
+      }
+
+      if (!defined.size) {
+        throw new Error(`${file} did not define any components`);
+      }
+      names.push(...[...defined].filter(name => !names.includes(name)));
+    }
+  } finally {
+    builder.define = define;
+  }
+  return names;
+}
+
+function fileName(builder, name, type) {
+  switch (type) {
+  case 'json': return `${name}.json`;
+  case 'react': return `${builder.toPascalCase(name)}.js`;
+  case 'vue': return `${builder.toPascalCase(name)}.vue.js`;
+  case 'dts': return `${name}.d.ts`;
+  default: return `${name}.js`;
+  }
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the executable
+ * @param {Object} io - Environment
+ * @param {string} io.cwd - Working directory (default `process.cwd()`)
+ * @param {Object} io.env - Environment variables (default `process.env`)
+ * @param {Object} io.stdout - Output stream (default `process.stdout`)
+ * @param {Object} io.stderr - Error stream (default `process.stderr`)
+ * @param {Function} io.load - Module loader, `file => Promise<module>`
+ * @returns {Promise<number>} Exit code
+ */
+export async function run(argv, io = {}) {
+  const cwd = io.cwd || process.cwd();
+  const env = io.env || process.env;
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const print = line => stdout.write(`${line}\n`);
+  const { command, args, options } = parseArgs(argv);
+
+  if (!command || options.help || command === 'help') {
+    stdout.write(USAGE);
+    return command || options.help ? 0 : 1;
+  }
+
+  try {
+    const config = await loadConfig(cwd, typeof options.config === 'string' ? options.config : undefined);
+    const token = env.SCB_TOKEN || (config.cloud && config.cloud.token);
+    const registryDirectory = path.resolve(cwd, config.registry || '.components');
+    const createBuilder = (overrides = {}) => new ComponentBuilder({
+      apiEndpoint: config.apiEndpoint || null,
+      cloud: { ...config.cloud, token },
+      trust: config.trust,
+      versionCheck: Boolean(config.versionCheck),
+      ...overrides
+    });
+    const definitions = async builder => {
+      const entries = args.length ? args : [].concat(config.components || []);
+      if (!entries.length) {
+        throw new Error(`No definition files given and no "components" in ${CONFIG_FILE}`);
+      }
+      return loadDefinitions(builder, await resolveFiles(cwd, entries), io.load);
+    };
+
+    switch (command) {
+    case 'export': {
+      const type = options.type || config.type || 'script';
+      if (!EXPORT_TYPES.includes(type)) {
+        throw new Error(`Unknown export type "${type}"; use ${EXPORT_TYPES.join(', ')}`);
+      }
+      const outDir = path.resolve(cwd, typeof options.out === 'string' ? options.out : config.outDir || 'dist/components');
+      const builder = createBuilder();
+      const names = await definitions(builder);
+
+      await fs.mkdir(outDir, { recursive: true });
+      for (const name of names) {
+        const result = await builder.export(name, { type, bundle: Boolean(options.bundle) });
+        const contents = typeof result === 'string' ? result : `${JSON.stringify(result.data, null, 2)}\n`;
+        const file = path.join(outDir, fileName(builder, name, type));
+        await fs.writeFile(file, contents);
+        print(`Exported ${name}@${builder.resolve(name).version} to ${path.relative(cwd, file)}`);
+      }
+      return 0;
+    }
+
+    case 'publish': {
+      const builder = createBuilder();
+      if (!builder.config.apiEndpoint) {
+        throw new Error(`Set "apiEndpoint" in ${CONFIG_FILE} to publish`);
+      }
+      const names = await definitions(builder);
+      for (const name of names) {
+        const { version } = builder.resolve(name);
+        if (options.update) {
+          await builder.updateInCloud(`${name}@${version}`);
+        } else {
+          await builder.export(name, { type: 'cloud' });
+        }
+        print(`${options.update ? 'Updated' : 'Published'} ${name}@${version}`);
+      }
+      return 0;
+    }
+
+    case 'pull': {
+      if (!args.length) {
+        throw new Error('Usage: scb pull <name@range>...');
+      }
+      // Import into an empty builder, so every specifier is fetched from the endpoint
+      // (and checked against the trust policy) rather than matched locally
+      const builder = createBuilder();
+      const store = new FileSystemStore({ directory: registryDirectory });
+      for (const specifier of args) {
+        const { name } = builder.parseSpecifier(specifier);
+        await builder.import(specifier);
+        print(`Pulled ${name}@${builder.resolve(name).version} into ${path.relative(cwd, registryDirectory) || '.'}`);
+      }
+      // Dependencies come along with the components that need them
+      for (const versions of builder.versions.values()) {
+        for (const data of versions.values()) await store.set(data);
+      }
+      return 0;
+    }
+
+    case 'list': {
+      const builder = createBuilder({ storage: new FileSystemStore({ directory: registryDirectory }) });
+      if (options.remote) {
+        const page = await builder.listFromCloud({
+          search: typeof options.search === 'string' ? options.search : undefined,
+          page: Number(options.page) || undefined
+        });
+        page.items.forEach(item => print(`${item.name}@${item.version}${item.description ? `  ${item.description}` : ''}`));
+        print(`Page ${page.page} of ${Math.max(1, Math.ceil(page.total / page.limit))} (${page.total} components)`);
+        return 0;
+      }
+
+      const entries = await builder.list();
+      if (!entries.length) print(`No components in ${path.relative(cwd, registryDirectory) || '.'}`);
+      entries.forEach(entry => print(`${entry.name}@${entry.version}  (${entry.versions.join(', ')})`));
+      return 0;
+    }
+
+    case 'manifest': {
+      const builder = createBuilder();
+      // Pulled components, then local definitions (which win for the same version)
+      const pulled = await new FileSystemStore({ directory: registryDirectory }).getAll();
+      pulled.forEach(data => builder.addToRegistry(data));
+      if (args.length || config.components) await definitions(builder);
+      if (!builder.registry.size) {
+        throw new Error('No components to describe; pass definition files or pull components first');
+      }
+
+      const file = path.resolve(cwd, typeof options.out === 'string' ? options.out : config.manifest || 'custom-elements.json');
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, `${JSON.stringify(builder.generateManifest(), null, 2)}\n`);
+      print(`Described ${builder.registry.size} components in ${path.relative(cwd, file)}`);
+      return 0;
+    }
+
+    default:
+      stderr.write(`scb: unknown command "${command}"\n\n${USAGE}`);
+      return 1;
+    }
+  } catch (error) {
+    stderr.write(`scb: ${error.message}\n`);
+    return 1;
+  }
+}
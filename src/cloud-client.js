@@ -0,0 +1,373 @@
+/**
+ * HTTP client for the `/components` cloud API: auth headers, timeouts,
+ * retries with exponential backoff, typed errors and ETag caching.
+ */
+
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  412: 'PRECONDITION_FAILED',
+  422: 'INVALID',
+  429: 'RATE_LIMITED'
+};
+
+// Methods that are safe to send twice
+const IDEMPOTENT = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+/**
+ * Error raised when a cloud request fails
+ */
+export class CloudError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} code - Machine-readable reason, e.g. `NOT_FOUND` or `TIMEOUT`
+   * @param {Object} details - Request details
+   * @param {number} details.status - HTTP status, when the server responded
+   * @param {string} details.url - Request URL
+   * @param {*} details.body - Parsed error response body
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'CloudError';
+    this.code = code;
+    this.status = details.status || null;
+    this.url = details.url || null;
+    this.body = details.body === undefined ? null : details.body;
+  }
+
+  /**
+   * Whether the request may succeed if sent again
+   * @returns {boolean}
+   */
+  get retryable() {
+    return ['NETWORK_ERROR', 'TIMEOUT', 'RATE_LIMITED', 'SERVER_ERROR'].includes(this.code);
+  }
+}
+
+function codeForStatus(status) {
+  if (STATUS_CODES[status]) return STATUS_CODES[status];
+  return status >= 500 ? 'SERVER_ERROR' : 'HTTP_ERROR';
+}
+
+function getHeader(response, name) {
+  return response.headers && typeof response.headers.get === 'function' ? response.headers.get(name) : null;
+}
+
+async function readText(response) {
+  return typeof response.text === 'function' ? response.text() : JSON.stringify(await response.json());
+}
+
+// A response whose body has already been read
+function bufferedResponse(response, text) {
+  return {
+    ok: response.ok,
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+    text: () => Promise.resolve(text)
+  };
+}
+
+// Error bodies may be JSON (`{ error }`) or plain text
+async function readErrorBody(response) {
+  try {
+    const text = await readText(response);
+    try {
+      return text ? JSON.parse(text) : null;
+    } catch (error) {
+      return text;
+    }
+  } catch (error) {
+    return null;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Client for a component registry that implements the `/components` API
+ */
+export class CloudClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.endpoint - API endpoint, e.g. `https://registry.example.com/api`
+   * @param {string|Function} options.token - Bearer token, or `() => token` (may be async)
+   * @param {Object|Function} options.headers - Extra headers, or `({ method, url }) => headers` (may be async)
+   * @param {number} options.timeout - Per-attempt timeout in ms, covering the body (default 10000, 0 disables)
+   * @param {number} options.retries - Retries for network errors, timeouts, 429 and 5xx (default 2)
+   * @param {number} options.retryDelay - Base backoff delay in ms, doubled per retry (default 300)
+   * @param {number} options.cacheSize - GET responses kept for ETag revalidation (default 100)
+   * @param {Function} options.fetch - fetch implementation (default global `fetch`)
+   */
+  constructor(options = {}) {
+    this.endpoint = options.endpoint ? options.endpoint.replace(/\/+$/, '') : null;
+    this.token = options.token || null;
+    this.headers = options.headers || null;
+    this.timeout = options.timeout === undefined ? 10000 : options.timeout;
+    this.retries = options.retries === undefined ? 2 : options.retries;
+    this.retryDelay = options.retryDelay === undefined ? 300 : options.retryDelay;
+    this.cacheSize = options.cacheSize === undefined ? 100 : options.cacheSize;
+    this.fetch = options.fetch || null;
+    // Last GET response per URL, revalidated with If-None-Match
+    this.cache = new Map();
+  }
+
+  /**
+   * Build an endpoint URL
+   * @param {string} path - Path below the endpoint, e.g. `/components/my-card`
+   * @param {Object} query - Query parameters; undefined and null values are left out
+   * @returns {string} URL
+   */
+  url(path, query = {}) {
+    if (!this.endpoint) {
+      throw new Error('API endpoint not configured');
+    }
+    const params = Object.keys(query)
+      .filter(key => query[key] !== undefined && query[key] !== null && query[key] !== '')
+      .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(query[key])}`);
+    return `${this.endpoint}${path}${params.length ? `?${params.join('&')}` : ''}`;
+  }
+
+  /**
+   * Headers sent with every endpoint request: auth and the custom header hook
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @returns {Promise<Object>} Headers
+   */
+  async authHeaders(method, url) {
+    const headers = {};
+    const token = typeof this.token === 'function' ? await this.token() : this.token;
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const extra = typeof this.headers === 'function' ? await this.headers({ method, url }) : this.headers;
+    return { ...headers, ...extra };
+  }
+
+  /**
+   * Send one request with a timeout. The timeout covers reading the body
+   * too, so a server that sends headers and then stalls cannot hang it.
+   * @returns {Promise<Response>} Response (any status), with its body read
+   * @throws {CloudError} NETWORK_ERROR or TIMEOUT
+   */
+  async send(url, init) {
+    const fetchImpl = this.fetch || fetch;
+    const controller = this.timeout && typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), this.timeout) : null;
+    const method = init.method || 'GET';
+
+    try {
+      const response = await fetchImpl(url, controller ? { ...init, signal: controller.signal } : init);
+      return bufferedResponse(response, await readText(response));
+    } catch (error) {
+      if (controller && controller.signal.aborted) {
+        throw new CloudError(`${method} ${url} timed out after ${this.timeout}ms`, 'TIMEOUT', { url });
+      }
+      throw new CloudError(`${method} ${url} failed: ${error.message}`, 'NETWORK_ERROR', { url });
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Send a request, retrying transient failures with exponential backoff
+   * @param {string} url - Request URL
+   * @param {Object} init - fetch init
+   * @returns {Promise<Response>} Successful or 304 response
+   * @throws {CloudError} When the request fails for good
+   */
+  async request(url, init = {}) {
+    const method = init.method || 'GET';
+    // POST is only retried when the server says it did not process the request
+    const canRetry = error => error.retryable && (IDEMPOTENT.includes(method) || error.code === 'RATE_LIMITED');
+
+    for (let attempt = 0; ; attempt++) {
+      let retryAfter = null;
+      try {
+        const response = await this.send(url, init);
+        if (response.ok || response.status === 304) return response;
+
+        retryAfter = Number(getHeader(response, 'Retry-After')) * 1000 || null;
+        const body = await readErrorBody(response);
+        const reason = body && typeof body === 'object' ? body.error || body.message : body;
+        throw new CloudError(
+          `${method} ${url} failed with ${response.status}${response.statusText ? ` ${response.statusText}` : ''}` +
+          `${reason ? `: ${reason}` : ''}`,
+          codeForStatus(response.status),
+          { status: response.status, url, body }
+        );
+      } catch (error) {
+        if (!(error instanceof CloudError) || attempt >= this.retries || !canRetry(error)) throw error;
+        await sleep(retryAfter || this.retryDelay * Math.pow(2, attempt));
+      }
+    }
+  }
+
+  /**
+   * Fetch and parse JSON from any URL, without endpoint auth headers
+   * @param {string} url - URL
+   * @param {Object} init - fetch init
+   * @returns {Promise<*>} Parsed body (null for empty responses)
+   */
+  async fetchJSON(url, init = {}) {
+    return this.readJSON(await this.request(url, init), init.method || 'GET', url);
+  }
+
+  /**
+   * Parse a successful response body as JSON
+   * @returns {Promise<*>} Parsed body (null for empty responses)
+   * @throws {CloudError} INVALID_RESPONSE
+   */
+  async readJSON(response, method, url) {
+    try {
+      const text = await readText(response);
+      return text ? JSON.parse(text) : null;
+    } catch (error) {
+      throw new CloudError(`${method} ${url} returned a body that is not JSON: ${error.message}`, 'INVALID_RESPONSE', {
+        status: response.status,
+        url
+      });
+    }
+  }
+
+  /**
+   * Call the endpoint with auth headers
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the endpoint
+   * @param {Object} options - Request options
+   * @param {Object} options.query - Query parameters
+   * @param {*} options.body - JSON body
+   * @param {Object} options.headers - Extra headers
+   * @returns {Promise<*>} Parsed response body
+   */
+  async call(method, path, options = {}) {
+    const url = this.url(path, options.query);
+    const headers = { ...await this.authHeaders(method, url), ...options.headers };
+    const init = { method, headers };
+    if (options.body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(options.body);
+    }
+    return this.fetchJSON(url, init);
+  }
+
+  /**
+   * GET with ETag revalidation: a 304 returns the cached body
+   * @param {string} path - Path below the endpoint
+   * @param {Object} query - Query parameters
+   * @returns {Promise<*>} Parsed response body
+   */
+  async get(path, query) {
+    const url = this.url(path, query);
+    const cached = this.cache.get(url);
+    const headers = await this.authHeaders('GET', url);
+    if (cached) headers['If-None-Match'] = cached.etag;
+
+    const response = await this.request(url, { method: 'GET', headers });
+    if (response.status === 304 && cached) {
+      // Re-insert to keep recently used entries
+      this.cache.delete(url);
+      this.cache.set(url, cached);
+      return JSON.parse(cached.body);
+    }
+
+    const body = await this.readJSON(response, 'GET', url);
+    const etag = getHeader(response, 'ETag');
+    this.cache.delete(url);
+    if (etag && this.cacheSize > 0) {
+      this.cache.set(url, { etag, body: JSON.stringify(body) });
+      if (this.cache.size > this.cacheSize) this.cache.delete(this.cache.keys().next().value);
+    }
+    return body;
+  }
+
+  /**
+   * Save a new component version
+   * @param {Object} componentData - Component data
+   * @returns {Promise<Object>} Server response
+   */
+  async save(componentData) {
+    const result = await this.call('POST', '/components', { body: componentData });
+    this.invalidate(componentData.name);
+    return result;
+  }
+
+  /**
+   * Load a component
+   * @param {string} name - Component name
+   * @param {string} [range] - Version range the server should resolve
+   * @returns {Promise<Object>} Component data
+   */
+  load(name, range) {
+    return this.get(`/components/${encodeURIComponent(name)}`, { version: range });
+  }
+
+  /**
+   * List or search components, one page at a time
+   * @param {Object} options - List options
+   * @param {string} options.search - Text to search names and descriptions for
+   * @param {number} options.page - Page number, starting at 1
+   * @param {number} options.limit - Page size
+   * @returns {Promise<Object>} `{ items, page, limit, total }`
+   */
+  list(options = {}) {
+    return this.get('/components', { q: options.search, page: options.page, limit: options.limit });
+  }
+
+  /**
+   * List the stored versions of a component
+   * @param {string} name - Component name
+   * @returns {Promise<Object>} `{ name, versions }`, oldest first
+   */
+  versions(name) {
+    return this.get(`/components/${encodeURIComponent(name)}/versions`);
+  }
+
+  /**
+   * Replace a stored component version
+   * @param {Object} componentData - Component data
+   * @param {Object} options - Update options
+   * @param {string} options.etag - Only update if the stored version still has this ETag
+   * @returns {Promise<Object>} Server response
+   */
+  async update(componentData, options = {}) {
+    const result = await this.call('PUT', `/components/${encodeURIComponent(componentData.name)}`, {
+      query: { version: componentData.version },
+      body: componentData,
+      headers: options.etag ? { 'If-Match': options.etag } : {}
+    });
+    this.invalidate(componentData.name);
+    return result;
+  }
+
+  /**
+   * Delete a component, or one version of it
+   * @param {string} name - Component name
+   * @param {string} [version] - Version to delete (every version when left out)
+   * @returns {Promise<Object>} Server response
+   */
+  async delete(name, version) {
+    const result = await this.call('DELETE', `/components/${encodeURIComponent(name)}`, {
+      query: { version }
+    });
+    this.invalidate(name);
+    return result;
+  }
+
+  /**
+   * Drop cached responses for a component and for listings
+   * @param {string} name - Component name
+   */
+  invalidate(name) {
+    const prefix = this.url(`/components/${encodeURIComponent(name)}`);
+    const listing = this.url('/components');
+    [...this.cache.keys()].forEach(url => {
+      if ([prefix, listing].some(base => url === base || url.startsWith(`${base}?`) || url.startsWith(`${base}/`))) {
+        this.cache.delete(url);
+      }
+    });
+  }
+}
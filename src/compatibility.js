@@ -0,0 +1,189 @@
+/**
+ * Compare the public contracts of two component versions — props, events
+ * and methods — and classify the differences as a major, minor or patch
+ * release, so a version bump can be checked against what changed.
+ */
+
+const RELEASE_TYPES = ['major', 'minor', 'patch'];
+
+/**
+ * Error raised when a component version is too low for its changes
+ */
+export class VersionError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} diff - Differences from the previous version (see `diffContracts`)
+   * @param {string} minimum - Lowest version the changes allow
+   */
+  constructor(message, diff, minimum) {
+    super(message);
+    this.name = 'VersionError';
+    this.diff = diff;
+    this.minimum = minimum;
+  }
+}
+
+// A flag turned off breaks consumers that relied on it; turned on, it only adds
+function flagChange(changes, kind, name, flag, before, after) {
+  if (before === after) return;
+  changes.push({
+    kind,
+    name,
+    change: flag,
+    release: before ? 'major' : 'minor',
+    message: `${before ? 'Disabled' : 'Enabled'} ${flag} for ${kind} "${name}"`
+  });
+}
+
+function describeType(detail) {
+  if (!detail) return 'any';
+  if (!detail.fields) return detail.type;
+  return `{ ${Object.keys(detail.fields).map(key => `${key}${detail.fields[key].required ? '' : '?'}: ${detail.fields[key].type}`).join(', ')} }`;
+}
+
+// Listeners read the detail, so anything they could rely on going away is breaking
+function detailRelease(before, after) {
+  if (!before) return 'minor';
+  if (!after || before.type !== after.type || Boolean(before.fields) !== Boolean(after.fields)) return 'major';
+  if (!before.fields) return before.required && !after.required ? 'major' : 'minor';
+
+  const release = Object.keys(before.fields).some(key => {
+    const field = after.fields[key];
+    return !field || field.type !== before.fields[key].type || (before.fields[key].required && !field.required);
+  }) ? 'major' : 'patch';
+  // New fields, or fields that are now always sent, only add guarantees
+  const added = Object.keys(after.fields).some(key =>
+    !before.fields[key] || (after.fields[key].required && !before.fields[key].required)
+  );
+  return release === 'patch' && added ? 'minor' : release;
+}
+
+function compareProps(previous, next, changes) {
+  const before = new Map(previous.map(prop => [prop.name, prop]));
+  const after = new Map(next.map(prop => [prop.name, prop]));
+  const result = { added: [], removed: [], changed: [] };
+
+  before.forEach((prop, name) => {
+    if (after.has(name)) return;
+    result.removed.push(name);
+    changes.push({ kind: 'prop', name, change: 'removed', release: 'major', message: `Removed prop "${name}"` });
+  });
+
+  after.forEach((prop, name) => {
+    const old = before.get(name);
+    if (!old) {
+      result.added.push(name);
+      changes.push({
+        kind: 'prop',
+        name,
+        change: 'added',
+        release: prop.required ? 'major' : 'minor',
+        message: `Added ${prop.required ? 'required ' : ''}prop "${name}"`
+      });
+      return;
+    }
+
+    if (old.type !== prop.type) {
+      result.changed.push({ name, from: old.type, to: prop.type });
+      changes.push({
+        kind: 'prop',
+        name,
+        change: 'type',
+        release: 'major',
+        message: `Changed type of prop "${name}" from ${old.type} to ${prop.type}`
+      });
+    }
+    if (old.attribute !== prop.attribute) {
+      changes.push({
+        kind: 'prop',
+        name,
+        change: 'attribute',
+        release: 'major',
+        message: `Renamed attribute of prop "${name}" from "${old.attribute}" to "${prop.attribute}"`
+      });
+    }
+    if (old.required !== prop.required) {
+      changes.push({
+        kind: 'prop',
+        name,
+        change: 'required',
+        release: prop.required ? 'major' : 'minor',
+        message: `Made prop "${name}" ${prop.required ? 'required' : 'optional'}`
+      });
+    }
+    flagChange(changes, 'prop', name, 'reflect', old.reflect, prop.reflect);
+    if (JSON.stringify(old.default) !== JSON.stringify(prop.default)) {
+      changes.push({ kind: 'prop', name, change: 'default', release: 'patch', message: `Changed default of prop "${name}"` });
+    }
+  });
+  return result;
+}
+
+function compareEvents(previous, next, changes) {
+  const before = new Map(previous.map(event => [event.name, event]));
+  const after = new Map(next.map(event => [event.name, event]));
+  const result = { added: [], removed: [], changed: [] };
+
+  before.forEach((event, name) => {
+    if (after.has(name)) return;
+    result.removed.push(name);
+    changes.push({ kind: 'event', name, change: 'removed', release: 'major', message: `Removed event "${name}"` });
+  });
+
+  after.forEach((event, name) => {
+    const old = before.get(name);
+    if (!old) {
+      result.added.push(name);
+      changes.push({ kind: 'event', name, change: 'added', release: 'minor', message: `Added event "${name}"` });
+      return;
+    }
+
+    const from = describeType(old.detail);
+    const to = describeType(event.detail);
+    if (from !== to || (old.detail && event.detail && old.detail.required !== event.detail.required)) {
+      result.changed.push({ name, from, to });
+      changes.push({
+        kind: 'event',
+        name,
+        change: 'detail',
+        release: detailRelease(old.detail, event.detail),
+        message: `Changed detail of event "${name}" from ${from} to ${to}`
+      });
+    }
+    ['bubbles', 'composed', 'cancelable'].forEach(flag => flagChange(changes, 'event', name, flag, old[flag], event[flag]));
+  });
+  return result;
+}
+
+function compareMethods(previous, next, changes) {
+  const result = {
+    added: next.filter(name => !previous.includes(name)),
+    removed: previous.filter(name => !next.includes(name))
+  };
+  result.removed.forEach(name => {
+    changes.push({ kind: 'method', name, change: 'removed', release: 'major', message: `Removed method "${name}"` });
+  });
+  result.added.forEach(name => {
+    changes.push({ kind: 'method', name, change: 'added', release: 'minor', message: `Added method "${name}"` });
+  });
+  return result;
+}
+
+/**
+ * Compare two component contracts
+ * @param {Object} previous - `{ props, events, methods }`: normalized props and events, and method names
+ * @param {Object} next - Contract of the newer version
+ * @returns {Object} `{ release, changes, props, events, methods }`. `changes` lists
+ *   `{ kind, name, change, release, message }`; `props` and `events` group the
+ *   `added` and `removed` names and the `changed` types (`{ name, from, to }`).
+ *   `release` is the largest change, or `patch` when the contracts match.
+ */
+export function diffContracts(previous, next) {
+  const changes = [];
+  const props = compareProps(previous.props, next.props, changes);
+  const events = compareEvents(previous.events, next.events, changes);
+  const methods = compareMethods(previous.methods, next.methods, changes);
+  const release = RELEASE_TYPES.find(type => changes.some(change => change.release === type)) || 'patch';
+
+  return { release, changes, props, events, methods };
+}
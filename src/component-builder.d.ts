@@ -1,59 +1,576 @@
+export type PropType =
+  | StringConstructor
+  | NumberConstructor
+  | BooleanConstructor
+  | ObjectConstructor
+  | ArrayConstructor
+  | 'String'
+  | 'Number'
+  | 'Boolean'
+  | 'Object'
+  | 'Array';
+
+export interface PropOptions {
+  type?: PropType;
+  default?: any;
+  required?: boolean;
+  reflect?: boolean;
+  attribute?: string;
+}
+
+export type PropsDeclaration = string[] | Record<string, PropType | PropOptions>;
+
+export interface NormalizedProp {
+  name: string;
+  attribute: string;
+  type: 'String' | 'Number' | 'Boolean' | 'Object' | 'Array';
+  default?: any;
+  required: boolean;
+  reflect: boolean;
+}
+
+export type DetailField = PropType | { type: PropType; required?: boolean };
+
+export interface EventOptions {
+  /** A type for the whole detail, or a map of detail fields */
+  detail?: PropType | Record<string, DetailField>;
+  bubbles?: boolean;
+  composed?: boolean;
+  cancelable?: boolean;
+}
+
+export type EventsDeclaration = string[] | Record<string, EventOptions>;
+
+export interface NormalizedDetail {
+  type: NormalizedProp['type'];
+  required: boolean;
+  fields?: Record<string, { type: NormalizedProp['type']; required: boolean }>;
+}
+
+export interface NormalizedEvent {
+  name: string;
+  detail: NormalizedDetail | null;
+  bubbles: boolean;
+  composed: boolean;
+  cancelable: boolean;
+}
+
+export interface SafeHTML {
+  readonly value: string;
+  toString(): string;
+}
+
+export type HTMLTag = (strings: TemplateStringsArray, ...values: any[]) => SafeHTML;
+
+export interface TemplateHelpers {
+  html: HTMLTag;
+  unsafeHTML: (value: string) => SafeHTML;
+  /** The component's computed values */
+  computed: Record<string, any>;
+  /** The stores the component declared, by name */
+  stores: Record<string, Store>;
+}
+
+/** Shared state created by `builder.createStore()` */
+export interface Store<State extends Record<string, any> = Record<string, any>> {
+  readonly state: State;
+  /** Shallow-merge into the state and notify subscribers */
+  setState(partial: Partial<State> | ((state: State) => Partial<State>)): void;
+  /** Returns a function that unsubscribes */
+  subscribe(listener: (state: State) => void): () => void;
+}
+
 export interface ComponentDefinition {
   version?: string;
-  props?: string[];
-  template: (props: Record<string, any>, state: Record<string, any>) => string;
+  props?: PropsDeclaration;
+  template: (
+    props: Record<string, any>,
+    state: Record<string, any>,
+    helpers: TemplateHelpers
+  ) => SafeHTML | string;
   styles?: string;
   methods?: Record<string, Function>;
-  events?: string[];
+  events?: EventsDeclaration;
   initialState?: Record<string, any>;
-  mounted?: Function;
+  /** Components rendered by this one: `{ name: range }` or `name@range` specifiers */
+  dependencies?: Record<string, string> | string[];
+  beforeMount?(this: ComponentElement): void;
+  mounted?(this: ComponentElement): void;
+  beforeUpdate?(this: ComponentElement): void;
+  updated?(this: ComponentElement): void;
+  propChanged?(this: ComponentElement, name: string, oldValue: any, newValue: any): void;
+  unmounted?(this: ComponentElement): void;
+  adopted?(this: ComponentElement): void;
+  /** Receives errors thrown by hooks, rendering and bound event methods */
+  onError?(this: ComponentElement, error: unknown, phase: string): void;
+  /** Derived values, cached until the next update: `(props, state, stores) => value` */
+  computed?: Record<string, (this: ComponentElement, props: Record<string, any>, state: Record<string, any>, stores: Record<string, Store>) => any>;
+  /** Called with `(newValue, oldValue)` when the prop or state key changes */
+  watch?: Record<string, (this: ComponentElement, newValue: any, oldValue: any) => void>;
+  /** Names of the stores the component subscribes to */
+  stores?: string[];
+  /** Take part in forms through ElementInternals */
+  formAssociated?: boolean;
+  formAssociatedCallback?(this: FormAssociatedElement, form: HTMLFormElement | null): void;
+  formDisabledCallback?(this: FormAssociatedElement, disabled: boolean): void;
+  formResetCallback?(this: FormAssociatedElement): void;
+  formStateRestoreCallback?(this: FormAssociatedElement, state: any, mode: 'restore' | 'autocomplete'): void;
+}
+
+/** Instance API of elements created by `define()`, `import()` and generated scripts */
+export interface ComponentElement extends HTMLElement {
+  props: Record<string, any>;
+  state: Record<string, any>;
+  readonly computed: Record<string, any>;
+  stores: Record<string, Store>;
+  /** Resolves once every pending render has run */
+  readonly updateComplete: Promise<void>;
+  render(): void;
+  /** Schedule a render for the next microtask; repeated calls are coalesced */
+  requestUpdate(): Promise<void>;
+  setState(newState: Record<string, any>): void;
+  emit(name: string, detail?: any): boolean;
+}
+
+/** Elements of `formAssociated` components; the helpers are no-ops without ElementInternals */
+export interface FormAssociatedElement extends ComponentElement {
+  readonly internals: ElementInternals | null;
+  readonly form: HTMLFormElement | null;
+  readonly labels: NodeList | null;
+  readonly validity: ValidityState | null;
+  readonly validationMessage: string | null;
+  readonly willValidate: boolean | null;
+  setFormValue(value: File | string | FormData | null, state?: File | string | FormData | null): void;
+  setValidity(flags?: ValidityStateFlags, message?: string, anchor?: HTMLElement): void;
+  checkValidity(): boolean;
+  reportValidity(): boolean;
+}
+
+export interface SigningOptions {
+  /** Ed25519 or ECDSA (P-256) private key */
+  privateKey: CryptoKey;
+  /** Identifier consumers pin the matching public key under */
+  keyId?: string;
+}
+
+export interface TrustPolicy {
+  /** Origins URL and cloud imports may be fetched from */
+  allowedOrigins?: string[];
+  /** Reject data without a signature from a pinned key */
+  requireSignature?: boolean;
+  /** Pinned public keys (CryptoKey or JWK) by key id */
+  publicKeys?: Record<string, CryptoKey | JsonWebKey>;
+  /** Expected integrity strings by `name@version` or name */
+  integrity?: Record<string, string>;
+}
+
+export type TrustErrorCode =
+  | 'ORIGIN_NOT_ALLOWED'
+  | 'INTEGRITY_MISMATCH'
+  | 'SIGNATURE_REQUIRED'
+  | 'UNTRUSTED_KEY'
+  | 'SIGNATURE_INVALID';
+
+/** Available as `ComponentBuilder.TrustError`; exported as a type only */
+declare class TrustError extends Error {
+  constructor(message: string, code: TrustErrorCode);
+  code: TrustErrorCode;
+}
+export type { TrustError };
+
+export type CloudErrorCode =
+  | 'BAD_REQUEST'
+  | 'UNAUTHORIZED'
+  | 'FORBIDDEN'
+  | 'NOT_FOUND'
+  | 'CONFLICT'
+  | 'PRECONDITION_FAILED'
+  | 'INVALID'
+  | 'RATE_LIMITED'
+  | 'SERVER_ERROR'
+  | 'HTTP_ERROR'
+  | 'TIMEOUT'
+  | 'NETWORK_ERROR'
+  | 'INVALID_RESPONSE';
+
+/** Available as `ComponentBuilder.CloudError`; exported as a type only */
+declare class CloudError extends Error {
+  constructor(message: string, code: CloudErrorCode, details?: { status?: number; url?: string; body?: any });
+  code: CloudErrorCode;
+  status: number | null;
+  url: string | null;
+  body: any;
+  readonly retryable: boolean;
+}
+export type { CloudError };
+
+export interface CloudOptions {
+  /** Bearer token, or a function returning one */
+  token?: string | (() => string | Promise<string>);
+  /** Extra headers, or a hook returning them */
+  headers?: Record<string, string> | ((request: { method: string; url: string }) => Record<string, string> | Promise<Record<string, string>>);
+  /** Per-attempt timeout in ms, covering the body (default 10000, 0 disables) */
+  timeout?: number;
+  /** Retries for network errors, timeouts, 429 and 5xx (default 2) */
+  retries?: number;
+  /** Base backoff delay in ms, doubled per retry (default 300) */
+  retryDelay?: number;
+  /** GET responses kept for ETag revalidation (default 100) */
+  cacheSize?: number;
+  fetch?: typeof fetch;
+}
+
+export interface CloudPage {
+  items: Array<{ name: string; version: string; [key: string]: any }>;
+  page: number;
+  limit: number;
+  total: number;
+}
+
+/** Available as `ComponentBuilder.CloudClient`; exported as a type only */
+declare class CloudClient {
+  constructor(options?: CloudOptions & { endpoint?: string | null });
+  endpoint: string | null;
+  url(path: string, query?: Record<string, any>): string;
+  fetchJSON(url: string, init?: RequestInit): Promise<any>;
+  save(componentData: ComponentData): Promise<any>;
+  load(name: string, range?: string): Promise<ComponentData>;
+  list(options?: { search?: string; page?: number; limit?: number }): Promise<CloudPage>;
+  versions(name: string): Promise<{ name: string; versions: string[] }>;
+  update(componentData: ComponentData, options?: { etag?: string }): Promise<any>;
+  delete(name: string, version?: string): Promise<any>;
+}
+export type { CloudClient };
+
+/** Storage backend for the local registry */
+export interface ComponentStore {
+  getAll(): Promise<ComponentData[]>;
+  set(componentData: ComponentData): Promise<void>;
+  delete(name: string, version: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+/** Available as `ComponentBuilder.MemoryStore`; exported as a type only */
+declare class MemoryStore implements ComponentStore {
+  getAll(): Promise<ComponentData[]>;
+  set(componentData: ComponentData): Promise<void>;
+  delete(name: string, version: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+/** Available as `ComponentBuilder.LocalStorageStore`; exported as a type only */
+declare class LocalStorageStore implements ComponentStore {
+  constructor(options?: { prefix?: string; storage?: Storage });
+  getAll(): Promise<ComponentData[]>;
+  set(componentData: ComponentData): Promise<void>;
+  delete(name: string, version: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+/** Available as `ComponentBuilder.IndexedDBStore`; exported as a type only */
+declare class IndexedDBStore implements ComponentStore {
+  constructor(options?: { databaseName?: string; storeName?: string; indexedDB?: IDBFactory });
+  getAll(): Promise<ComponentData[]>;
+  set(componentData: ComponentData): Promise<void>;
+  delete(name: string, version: string): Promise<void>;
+  clear(): Promise<void>;
+}
+export type { MemoryStore, LocalStorageStore, IndexedDBStore };
+
+export interface RegistryEntry {
+  name: string;
+  /** Latest version */
+  version: string;
+  /** Every version, oldest first */
+  versions: string[];
 }
 
 export interface ComponentBuilderOptions {
   apiEndpoint?: string;
+  cloud?: CloudOptions;
+  /** Persist the local registry to `storage` (default true) */
   localRegistry?: boolean;
+  storage?: ComponentStore | 'memory' | 'localStorage' | 'indexedDB';
+  trust?: TrustPolicy;
+  signing?: SigningOptions;
+  /** Replace registered elements when a component is defined again or a newer version is imported */
+  hot?: boolean;
+  /** CSS, or design tokens (`{ 'color-primary': '#06f' }`), adopted by every component this builder registers */
+  theme?: string | Record<string, string>;
+  /** Reject versions too low for their changes in `define()` and `export()` */
+  versionCheck?: boolean;
   [key: string]: any;
 }
 
 export interface ExportOptions {
-  type?: 'script' | 'cloud' | 'json';
+  type?: 'script' | 'cloud' | 'json' | 'react' | 'vue' | 'dts';
+  /** Module imported by `react`/`vue` wrappers to define the element (default `./<name>.js`) */
+  elementModule?: string;
+  /** Include the transitive dependencies in the exported artifact */
+  bundle?: boolean;
+  /** Check the version against the previous one (defaults to the builder's `versionCheck` option) */
+  versionCheck?: boolean;
+  /** Sign JSON and cloud exports (defaults to the builder's `signing` option) */
+  sign?: SigningOptions;
   [key: string]: any;
 }
 
 export interface ImportOptions {
+  /** Register the imported version under this tag instead of its name */
+  alias?: string;
+  /** Trust policy for this import, merged over the builder's `trust` option */
+  trust?: TrustPolicy;
+  /** Expected integrity of the imported data */
+  integrity?: string;
   [key: string]: any;
 }
 
+export interface FormatFieldError {
+  /** Path of the offending field, e.g. `props.count.type` or `bundle[0].version` */
+  path: string;
+  message: string;
+}
+
+/** Available as `ComponentBuilder.FormatError`; exported as a type only */
+declare class FormatError extends Error {
+  constructor(message: string, errors?: FormatFieldError[]);
+  errors: FormatFieldError[];
+}
+export type { FormatError };
+
+export type ReleaseType = 'major' | 'minor' | 'patch';
+
+export interface ContractChange {
+  kind: 'prop' | 'event' | 'method';
+  name: string;
+  /** `added`, `removed`, `type`, `attribute`, `required`, `default`, `detail` or a flag such as `bubbles` */
+  change: string;
+  release: ReleaseType;
+  message: string;
+}
+
+/** Differences between the contracts of two component versions */
+export interface ComponentDiff {
+  from: string;
+  to: string;
+  /** The largest change, or `patch` when the contracts match */
+  release: ReleaseType;
+  changes: ContractChange[];
+  props: { added: string[]; removed: string[]; changed: Array<{ name: string; from: string; to: string }> };
+  events: { added: string[]; removed: string[]; changed: Array<{ name: string; from: string; to: string }> };
+  methods: { added: string[]; removed: string[] };
+}
+
+/** Available as `ComponentBuilder.VersionError`; exported as a type only */
+declare class VersionError extends Error {
+  constructor(message: string, diff: ComponentDiff, minimum: string);
+  diff: ComponentDiff;
+  /** Lowest version the changes allow */
+  minimum: string;
+}
+export type { VersionError };
+
+/** Custom element declaration in a Custom Elements Manifest */
+export interface CustomElementDeclaration {
+  kind: 'class';
+  name: string;
+  tagName: string;
+  customElement: true;
+  /** Component version (an extension of the schema) */
+  version: string;
+  description?: string;
+  superclass: { name: string };
+  attributes: Array<{ name: string; fieldName: string; type: { text: string }; default?: string }>;
+  members: Array<
+    | { kind: 'field'; name: string; type: { text: string }; attribute: string; reflects: boolean; default?: string }
+    | { kind: 'method'; name: string }
+  >;
+  events: Array<{ name: string; type: { text: string } }>;
+  slots: Array<{ name: string }>;
+  cssParts: Array<{ name: string }>;
+  cssProperties: Array<{ name: string }>;
+}
+
+/** Custom Elements Manifest (`custom-elements.json`), schema version 1.0.0 */
+export interface CustomElementsManifest {
+  schemaVersion: '1.0.0';
+  modules: Array<{
+    kind: 'javascript-module';
+    path: string;
+    declarations: CustomElementDeclaration[];
+    exports: Array<{ kind: 'js' | 'custom-element-definition'; name: string; declaration: { name: string; module: string } }>;
+  }>;
+}
+
+export interface LibraryOptions {
+  /** `iife` assigns the library to `window[globalName]`; `esm` exports it (default `iife`) */
+  format?: 'iife' | 'esm';
+  /** Define each component when its tag first appears in the document, instead of at load */
+  lazy?: boolean;
+  /** Global the `iife` library is assigned to (default `ComponentLibrary`) */
+  globalName?: string;
+}
+
+/** Description of the components in a library bundle, available as `library.manifest` */
+export interface LibraryManifest {
+  format: 'iife' | 'esm';
+  lazy: boolean;
+  /** Dependencies first */
+  components: Array<{ name: string; version: string; className: string; dependencies: Record<string, string> }>;
+}
+
+/** Library bundle loaded in the page: the default export of an `esm` library, or `window[globalName]` */
+export interface ComponentLibrary {
+  manifest: LibraryManifest;
+  /** Define a component and its dependencies, returning its element class */
+  define(name: string): CustomElementConstructor;
+  defineAll(): CustomElementConstructor[];
+  /** Define components as their tags are added under a root */
+  observe(root: Document | Element | ShadowRoot): MutationObserver;
+}
+
+/** Component data interchange format (version 1) */
 export interface ComponentData {
+  formatVersion: 1;
   name: string;
   version: string;
-  props: string[];
+  props: string[] | Record<string, Omit<NormalizedProp, 'name'>>;
+  /** Template function source (function, arrow or `template() {}` shorthand) */
   template: string;
   styles: string;
   methods: Record<string, string>;
-  events: string[];
+  hooks: Record<string, string>;
+  dependencies: Record<string, string>;
+  initialState: Record<string, any>;
+  formAssociated?: boolean;
+  computed?: Record<string, string>;
+  watch?: Record<string, string>;
+  stores?: string[];
+  /** Transitive dependencies, in registration order (exports with `bundle: true`) */
+  bundle?: ComponentData[];
+  events: string[] | Record<string, Omit<NormalizedEvent, 'name'>>;
   created: number;
   exportedAt?: number;
+  /** `sha256-<base64>` hash of the canonical JSON */
+  integrity?: string;
+  signature?: { algorithm: 'Ed25519' | 'ECDSA'; keyId: string | null; value: string };
   exportOptions?: ExportOptions;
   [key: string]: any;
 }
 
 export default class ComponentBuilder {
   constructor(options?: ComponentBuilderOptions);
+
+  static FORMAT_VERSION: number;
+  static FormatError: typeof FormatError;
+  static TrustError: typeof TrustError;
+  static CloudError: typeof CloudError;
+  static CloudClient: typeof CloudClient;
+  static VersionError: typeof VersionError;
+  static MemoryStore: typeof MemoryStore;
+  static LocalStorageStore: typeof LocalStorageStore;
+  static IndexedDBStore: typeof IndexedDBStore;
+  static html: HTMLTag;
+  static unsafeHTML: (value: string) => SafeHTML;
   
+  /** Latest version of each component, keyed by name */
   registry: Map<string, ComponentData>;
+  /** Every registered version, keyed by name then version */
+  versions: Map<string, Map<string, ComponentData>>;
+  /** Alias tags and the component version each one registers */
+  aliases: Map<string, { name: string; version: string }>;
   config: ComponentBuilderOptions;
+  cloud: CloudClient;
+  storage: ComponentStore | null;
+  /** Resolves once the registry has been loaded from storage */
+  ready: Promise<void>;
+  /** Resolves once queued storage writes have landed */
+  writes: Promise<void>;
   
   define(name: string, definition: ComponentDefinition): ComponentData;
+  /** Define again and hot-swap the registered element; connected elements keep their state */
+  redefine(name: string, definition: ComponentDefinition): ComponentData;
+  /** Replace the theme; adopted stylesheets update in place */
+  setTheme(theme: string | Record<string, string>): void;
+  /** Get or create a named store shared by the components that declare it */
+  createStore<State extends Record<string, any>>(name: string, initialState?: State): Store<State>;
+  themeToCSS(theme?: string | Record<string, string>): string;
   export(componentName: string, options?: ExportOptions): Promise<string | object>;
   import(source: string | ComponentData, options?: ImportOptions): Promise<string>;
+  parseSpecifier(specifier: string): { name: string; range: string | null };
+  resolve(specifier: string): ComponentData | undefined;
+  /** Compare the props, events and methods of two versions (data or registered `name@range`) */
+  diff(oldData: ComponentData | string, newData: ComponentData | string): ComponentDiff;
+  /** Throws VersionError when `next.version` is too low for its changes since `previous` */
+  checkVersion(previous: ComponentData, next: ComponentData): ComponentDiff;
+  checkExportVersion(component: ComponentData, type?: ExportOptions['type']): Promise<void>;
+  addToRegistry(componentData: ComponentData): void;
+  hydrate(): Promise<void>;
+  queueWrite(operation: (store: ComponentStore) => Promise<void>): Promise<void>;
+  persist(componentData: ComponentData): Promise<void>;
+  list(): Promise<RegistryEntry[]>;
+  /** Remove every version of a component, or the versions matching `name@range` */
+  remove(specifier: string): Promise<string[]>;
+  clear(): Promise<void>;
+  normalizeDependencies(dependencies: Record<string, string> | string[]): Record<string, string>;
+  collectDependencies(
+    componentData: ComponentData,
+    lookup: (name: string, range: string) => Promise<ComponentData | undefined>
+  ): Promise<ComponentData[]>;
+  findDependency(
+    name: string,
+    range: string,
+    bundle: ComponentData[],
+    policy?: TrustPolicy
+  ): Promise<ComponentData | undefined>;
+  /** Migrate data from older format versions and validate it; throws FormatError */
+  readComponentData(componentData: object): ComponentData;
   generateScript(componentData: ComponentData): string;
+  generateElementClass(className: string, code: Record<'version' | 'formAssociated' | 'internals' | 'initialState' | 'template' | 'methods', string>): string;
+  generateFunctionsCode(sources: Record<string, string> | undefined, indent?: string): string;
+  generateComponentSpec(componentData: ComponentData): string;
+  generateReactWrapper(componentData: ComponentData, options?: ExportOptions): string;
+  generateVueWrapper(componentData: ComponentData, options?: ExportOptions): string;
+  /** Describe the registered components in a Custom Elements Manifest */
+  generateManifest(): CustomElementsManifest;
+  findTemplateNames(source: string, pattern: RegExp, namePattern: RegExp, fallback?: string): string[];
+  propTypeScript(prop: NormalizedProp): string;
+  detailTypeScript(detail: NormalizedDetail | null): string;
+  /** `.d.ts` source typing the element and adding it to `HTMLElementTagNameMap` */
+  generateTypeDeclarations(componentData: ComponentData): string;
+  /** Render to HTML with a Declarative Shadow DOM; runs without a DOM */
+  renderToString(componentName: string, props?: Record<string, any>, state?: Record<string, any>): string;
   registerWebComponent(name: string, definition: ComponentDefinition): void;
+  createImplementation(definition: ComponentDefinition): object;
+  replaceWebComponent(name: string, definition: ComponentDefinition): boolean;
+  /** Whether `version` may replace the registered element (never an older version) */
+  replacesRegistered(registered: { version?: string }, version: string): boolean;
+  normalizeProps(props: PropsDeclaration | ComponentData['props']): NormalizedProp[];
+  serializeProps(props: PropsDeclaration): ComponentData['props'];
+  toTypeName(type: PropType, propName: string): NormalizedProp['type'];
+  normalizeEvents(events: EventsDeclaration | ComponentData['events']): NormalizedEvent[];
+  normalizeDetail(detail: EventOptions['detail'] | NormalizedDetail, eventName: string): NormalizedDetail;
+  serializeEvents(events: EventsDeclaration): ComponentData['events'];
+  describeDetail(detail: NormalizedDetail): string;
+  collectHooks(definition: ComponentDefinition): Record<string, Function>;
   serializeMethods(methods: Record<string, Function>): Record<string, string>;
   generateMethodsCode(methods: Record<string, string>): string;
+  methodExpression(name: string, source: string): string;
+  isMethodShorthand(name: string, source: string): boolean;
+  isFunctionSource(source: string): boolean;
   toPascalCase(str: string): string;
+  toKebabCase(str: string): string;
+  generateUsageTag(name: string, props: NormalizedProp[]): string;
   generateUsageInstructions(componentName: string): string;
+  /** Self-contained HTML page with docs and live previews; defaults to every component */
+  generateCatalogue(names?: string[], options?: { title?: string }): Promise<string>;
+  /** One bundle with a shared runtime for the components and their dependencies; defaults to every component */
+  exportLibrary(names?: string[], options?: LibraryOptions): Promise<string>;
   saveToCloud(componentData: ComponentData): Promise<object>;
-  loadFromCloud(componentName: string): Promise<ComponentData>;
+  loadFromCloud(componentName: string, range?: string): Promise<ComponentData>;
+  listFromCloud(options?: { search?: string; page?: number; limit?: number }): Promise<CloudPage>;
+  updateInCloud(componentName: string, options?: { etag?: string }): Promise<any>;
+  deleteFromCloud(specifier: string): Promise<any>;
   registerFromData(componentData: ComponentData, options?: ImportOptions): string;
+  definitionFromData(componentData: ComponentData): ComponentDefinition;
 } 
\ No newline at end of file
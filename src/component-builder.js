@@ -1,3 +1,36 @@
+import { createRuntime } from './runtime.js';
+import { renderCatalogue } from './catalogue.js';
+import { LIBRARY_FORMATS, renderLibrary } from './library.js';
+import { CloudClient, CloudError } from './cloud-client.js';
+import {
+  FORMAT_VERSION,
+  FormatError,
+  LIFECYCLE_HOOKS,
+  PROP_TYPES,
+  isFunctionSource,
+  isMethodShorthand,
+  readComponentData,
+  tagTemplateSource
+} from './format.js';
+import { signComponent, TrustError, verifyComponent, verifyOrigin } from './integrity.js';
+import { compareVersions, isValidVersion, maxSatisfying, minimumVersion, parseRange, satisfies } from './semver.js';
+import { diffContracts, VersionError } from './compatibility.js';
+import { createStore, IndexedDBStore, LocalStorageStore, MemoryStore } from './stores.js';
+
+const runtime = createRuntime();
+
+// Prop and detail types in generated TypeScript declarations
+const TYPESCRIPT_TYPES = {
+  String: 'string',
+  Number: 'number',
+  Boolean: 'boolean',
+  Object: 'Record<string, any>',
+  Array: 'any[]'
+};
+
+// Property name in TypeScript, quoted unless it is an identifier
+const propertyKey = name => /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+
 /**
  * ComponentBuilder - A powerful tool for creating, sharing, and reusing web components
  * @class ComponentBuilder
@@ -7,15 +40,35 @@ class ComponentBuilder {
    * Create a new ComponentBuilder instance
    * @param {Object} options - Configuration options
    * @param {string} options.apiEndpoint - API endpoint for cloud storage
-   * @param {boolean} options.localRegistry - Whether to use local registry
+   * @param {Object} options.cloud - Cloud client options: `token`, `headers`, `timeout`, `retries`, `retryDelay`
+   * @param {boolean} options.localRegistry - Whether to persist the local registry to `storage`
+   * @param {Object|string} options.storage - Store for the local registry: a store object, or `memory`, `localStorage` or `indexedDB`
+   * @param {Object} options.trust - Trust policy enforced by `import()`
+   * @param {Object} options.signing - Key used to sign JSON and cloud exports
+   * @param {boolean} options.hot - Replace registered elements when a component is defined or imported again
+   * @param {string|Object} options.theme - CSS, or design tokens, adopted by every component this builder registers
+   * @param {boolean} options.versionCheck - Reject versions too low for their changes in `define()` and `export()`
    */
   constructor(options = {}) {
+    // Latest version of each component, keyed by name
     this.registry = new Map();
+    // Every registered version, keyed by name then version
+    this.versions = new Map();
+    // Alias tags, mapped to the component name and version they register
+    this.aliases = new Map();
     this.config = {
       apiEndpoint: options.apiEndpoint || null,
-      localRegistry: options.localRegistry || true,
+      localRegistry: options.localRegistry !== false,
       ...options
     };
+    this.cloud = new CloudClient({ ...this.config.cloud, endpoint: this.config.apiEndpoint });
+    this.storage = this.config.localRegistry ? createStore(this.config.storage) : null;
+    // Theme stylesheet shared by every element this builder registers
+    this.theme = runtime.createStyles(this.themeToCSS(this.config.theme));
+    // Resolves once the registry has been rehydrated from storage
+    this.ready = this.hydrate();
+    // Storage writes are queued so they land in order, after rehydration
+    this.writes = this.ready;
   }
 
   /**
@@ -25,21 +78,39 @@ class ComponentBuilder {
    * @returns {Object} Component definition
    */
   define(name, definition) {
+    if (definition.version && !isValidVersion(definition.version)) {
+      throw new Error(`Invalid version "${definition.version}" for component ${name}`);
+    }
+
     // Always serialize methods to strings
     const serializedMethods = definition.methods ? this.serializeMethods(definition.methods) : {};
     const componentDef = {
+      formatVersion: FORMAT_VERSION,
       name,
       version: definition.version || '1.0.0',
-      props: definition.props || [],
+      props: this.serializeProps(definition.props || []),
       template: definition.template.toString(),
       styles: definition.styles || '',
       methods: serializedMethods,
-      events: definition.events || [],
+      events: this.serializeEvents(definition.events || []),
+      hooks: this.serializeMethods(this.collectHooks(definition)),
+      dependencies: this.normalizeDependencies(definition.dependencies || {}),
+      initialState: definition.initialState || {},
+      ...(definition.formAssociated ? { formAssociated: true } : {}),
+      ...(definition.computed ? { computed: this.serializeMethods(definition.computed) } : {}),
+      ...(definition.watch ? { watch: this.serializeMethods(definition.watch) } : {}),
+      ...(definition.stores ? { stores: [...definition.stores] } : {}),
       created: Date.now(),
       // Only spread properties that do not overwrite the above
-      ...Object.fromEntries(Object.entries(definition).filter(([k]) => !['version','props','template','styles','methods','events'].includes(k)))
+      ...Object.fromEntries(Object.entries(definition).filter(([k]) => !['formatVersion','version','props','template','styles','methods','events','dependencies','initialState','formAssociated','computed','watch','stores', ...LIFECYCLE_HOOKS].includes(k)))
     };
-    this.registry.set(name, componentDef);
+    if (this.config.versionCheck) {
+      // Defining the same version again counts as well: its contract may not change either
+      const previous = this.resolve(`${name}@<=${componentDef.version}`);
+      if (previous) this.checkVersion(previous, componentDef);
+    }
+    this.addToRegistry(componentDef);
+    this.persist(componentDef);
     
     // Auto-register as web component
     this.registerWebComponent(name, definition);
@@ -47,6 +118,65 @@ class ComponentBuilder {
     return componentDef;
   }
 
+  /**
+   * Define a component again and hot-swap its registered element: the
+   * template, styles, methods and hooks are replaced, and connected
+   * elements re-render with their state preserved
+   * @param {string} name - Component name
+   * @param {Object} definition - Component definition (without a `version`, the latest version is replaced)
+   * @returns {Object} Component definition
+   */
+  redefine(name, definition) {
+    const registered = typeof customElements !== 'undefined' && customElements.get(name);
+    // Without a version the latest one is replaced, so lookups see the new implementation
+    const latest = this.registry.get(name);
+    if (!definition.version && latest) {
+      definition = { ...definition, version: latest.version };
+    }
+    const componentDef = this.define(name, definition);
+    // In hot mode define() has already replaced it
+    if (registered && !this.config.hot && this.replacesRegistered(registered, componentDef.version)) {
+      this.replaceWebComponent(name, definition);
+    }
+    return componentDef;
+  }
+
+  /**
+   * Get a named store of shared state, creating it if needed. Components
+   * that list the name in `stores` re-render whenever it changes. Stores
+   * are shared by name across builders and generated scripts on the page.
+   * @param {string} name - Store name
+   * @param {Object} initialState - State for keys the store does not have yet
+   * @returns {Object} Store with `state`, `setState(partial)` and `subscribe(listener)`
+   */
+  createStore(name, initialState = {}) {
+    return runtime.getStore(name, initialState);
+  }
+
+  /**
+   * Replace the builder's theme. Elements using adopted stylesheets update
+   * at once; with the `<style>` fallback they pick it up on their next render.
+   * @param {string|Object} theme - CSS, or design tokens
+   */
+  setTheme(theme) {
+    this.config.theme = theme;
+    runtime.updateStyles(this.theme, this.themeToCSS(theme));
+  }
+
+  /**
+   * Turn a theme into CSS. Design tokens (`{ 'color-primary': '#06f' }`)
+   * become custom properties on `:host`, which inherit into the shadow DOM.
+   * @param {string|Object} theme - CSS, or design tokens
+   * @returns {string} CSS
+   */
+  themeToCSS(theme) {
+    if (!theme) return '';
+    if (typeof theme === 'string') return theme;
+    const declarations = Object.entries(theme)
+      .map(([token, value]) => `${token.startsWith('--') ? token : `--${token}`}: ${value};`);
+    return `:host { ${declarations.join(' ')} }`;
+  }
+
   /**
    * Export component for sharing
    * @param {string} componentName - Name of component to export
@@ -54,23 +184,57 @@ class ComponentBuilder {
    * @returns {Promise<Object|string>} Exported component data or script
    */
   async export(componentName, options = {}) {
-    const component = this.registry.get(componentName);
+    const component = this.resolve(componentName);
     if (!component) {
       throw new Error(`Component ${componentName} not found`);
     }
 
-    const exportData = {
+    const { sign, versionCheck = this.config.versionCheck, ...exportOptions } = options;
+    if (versionCheck) {
+      await this.checkExportVersion(component, options.type);
+    }
+
+    let exportData = {
       ...component,
       exportedAt: Date.now(),
-      exportOptions: options
+      exportOptions
     };
+    // A previous signature would not match the new export
+    delete exportData.integrity;
+    delete exportData.signature;
+
+    // Bundle the transitive dependencies, in registration order
+    let bundle = [];
+    if (options.bundle) {
+      bundle = await this.collectDependencies(component, async (name, range) => this.resolve(`${name}@${range}`));
+      exportData.bundle = bundle;
+    }
 
     // Option 1: Generate a standalone script
     if (options.type === 'script') {
-      return this.generateScript(exportData);
+      return [...bundle, exportData].map(data => this.generateScript(data)).join('\n');
     }
 
-    // Option 2: Save to API/Cloud
+    // Option 2: Generate TypeScript declarations for the element
+    if (options.type === 'dts') {
+      return [...bundle, exportData].map(data => this.generateTypeDeclarations(data)).join('\n');
+    }
+
+    // Option 3: Generate a framework wrapper around the element
+    if (options.type === 'react') {
+      return this.generateReactWrapper(exportData, options);
+    }
+    if (options.type === 'vue') {
+      return this.generateVueWrapper(exportData, options);
+    }
+
+    // Signing covers everything above, including the bundle
+    const signing = sign || this.config.signing;
+    if (signing) {
+      exportData = await signComponent(exportData, signing);
+    }
+
+    // Option 4: Save to API/Cloud
     if (options.type === 'cloud') {
       if (!this.config.apiEndpoint) {
         throw new Error('API endpoint not configured');
@@ -78,11 +242,11 @@ class ComponentBuilder {
       return await this.saveToCloud(exportData);
     }
 
-    // Option 3: Generate JSON for manual sharing
+    // Option 5: Generate JSON for manual sharing
     return {
       type: 'json',
       data: exportData,
-      usage: this.generateUsageInstructions(componentName)
+      usage: this.generateUsageInstructions(`${component.name}@${component.version}`)
     };
   }
 
@@ -93,271 +257,1792 @@ class ComponentBuilder {
    * @returns {Promise<string>} Registered component name
    */
   async import(source, options = {}) {
+    const { trust, integrity, ...registerOptions } = options;
+    const policy = { ...this.config.trust, ...trust };
     let componentData;
+    let fetched = false;
 
     if (typeof source === 'string') {
       if (source.startsWith('http')) {
         // Load from URL
-        componentData = await fetch(source).then(r => r.json());
+        verifyOrigin(source, policy);
+        componentData = await this.cloud.fetchJSON(source);
+        fetched = true;
       } else if (source.startsWith('{')) {
         // Parse JSON string
         componentData = JSON.parse(source);
       } else {
+        // A `name@range` specifier may be satisfied by a local version
+        const { name, range } = this.parseSpecifier(source);
+        componentData = range ? this.resolve(source) : undefined;
+
         // Load from cloud by name
-        if (!this.config.apiEndpoint) {
-          throw new Error('API endpoint not configured');
+        if (!componentData) {
+          if (!this.config.apiEndpoint) {
+            throw new Error('API endpoint not configured');
+          }
+          verifyOrigin(this.config.apiEndpoint, policy);
+          componentData = await this.loadFromCloud(name, range);
+          fetched = true;
+          if (range && !satisfies(componentData.version, range)) {
+            throw new Error(`Cloud returned ${name}@${componentData.version}, which does not satisfy ${range}`);
+          }
         }
-        componentData = await this.loadFromCloud(source);
       }
     } else {
       // Direct object
       componentData = source;
     }
 
-    return this.registerFromData(componentData, options);
+    // Verify before any of the data is turned into code
+    if (fetched || integrity || Object.keys(policy).length) {
+      await verifyComponent(componentData, policy, integrity);
+    }
+    componentData = this.readComponentData(componentData);
+
+    // Register missing dependencies first, deepest first
+    const { bundle = [], ...data } = componentData;
+    const dependencies = await this.collectDependencies(data, (name, range) =>
+      this.findDependency(name, range, bundle, policy)
+    );
+    dependencies.forEach(dependency => this.registerFromData(dependency));
+
+    return this.registerFromData(data, registerOptions);
   }
 
   /**
-   * Generate standalone script for sharing
-   * @param {Object} componentData - Component data
-   * @returns {string} Generated script
+   * Normalize a dependencies declaration to a map of name to version range.
+   * Accepts `{ name: range }` or an array of `name` / `name@range` specifiers.
+   * @param {Object|Array<string>} dependencies - Dependencies declaration
+   * @returns {Object} Version ranges keyed by component name
    */
-  generateScript(componentData) {
-    return `
-// Generated component script for ${componentData.name}
-(function() {
-  'use strict';
-  
-  if (customElements.get('${componentData.name}')) {
-    console.warn('Component ${componentData.name} already registered');
-    return;
+  normalizeDependencies(dependencies) {
+    const entries = Array.isArray(dependencies)
+      ? dependencies.map(specifier => {
+        const { name, range } = this.parseSpecifier(specifier);
+        return [name, range || '*'];
+      })
+      : Object.entries(dependencies);
+
+    const normalized = {};
+    entries.forEach(([name, range]) => {
+      parseRange(range);
+      normalized[name] = range;
+    });
+    return normalized;
   }
 
-  class ${this.toPascalCase(componentData.name)} extends HTMLElement {
-    constructor() {
-      super();
-      this.attachShadow({ mode: 'open' });
-      this.props = {};
-      this.state = {};
-    }
+  /**
+   * Walk a component's transitive dependencies
+   * @param {Object} componentData - Component data
+   * @param {Function} lookup - `async (name, range) => componentData | undefined`
+   * @returns {Promise<Array<Object>>} Dependencies in topological order (dependencies before dependents)
+   */
+  async collectDependencies(componentData, lookup) {
+    const ordered = [];
+    const seen = new Set();
 
-    static get observedAttributes() {
-      return ${JSON.stringify(componentData.props)};
-    }
+    const visit = async (data, path) => {
+      for (const [name, range] of Object.entries(data.dependencies || {})) {
+        if (path.includes(name)) {
+          throw new Error(`Circular dependency: ${[...path, name].join(' -> ')}`);
+        }
 
-    connectedCallback() {
-      this.updateProps();
-      this.render();
-    }
+        const dependency = await lookup(name, range);
+        if (!dependency) {
+          throw new Error(`Unresolved dependency ${name}@${range} (required by ${data.name})`);
+        }
 
-    attributeChangedCallback(name, oldValue, newValue) {
-      if (oldValue !== newValue) {
-        this.props[name] = newValue;
-        this.render();
+        const key = `${dependency.name}@${dependency.version}`;
+        if (seen.has(key)) continue;
+        await visit(dependency, [...path, name]);
+        seen.add(key);
+        ordered.push(dependency);
       }
-    }
+    };
 
-    updateProps() {
-      ${JSON.stringify(componentData.props)}.forEach(prop => {
-        this.props[prop] = this.getAttribute(prop) || '';
-      });
-    }
+    await visit(componentData, [componentData.name]);
+    return ordered;
+  }
 
-    render() {
-      const template = ${componentData.template};
-      const html = template.call(this, this.props, this.state);
-      const styles = \`${componentData.styles}\`;
-      this.shadowRoot.innerHTML = styles ? \`<style>\${styles}</style>\${html}\` : html;
+  /**
+   * Find a dependency in an export bundle, the local registry or the cloud
+   * @param {string} name - Component name
+   * @param {string} range - Version range
+   * @param {Array<Object>} bundle - Component data shipped with the import
+   * @param {Object} policy - Trust policy for dependencies loaded from the cloud
+   * @returns {Promise<Object|undefined>} Matching component data
+   */
+  async findDependency(name, range, bundle, policy = {}) {
+    const bundled = maxSatisfying(
+      bundle.filter(data => data.name === name).map(data => data.version),
+      range
+    );
+    if (bundled) {
+      return bundle.find(data => data.name === name && data.version === bundled);
     }
 
-    ${this.generateMethodsCode(componentData.methods)}
-  }
-
-  customElements.define('${componentData.name}', ${this.toPascalCase(componentData.name)});
-  
-  // Expose for manual instantiation
-  window.${this.toPascalCase(componentData.name)} = ${this.toPascalCase(componentData.name)};
-})();
+    const local = this.resolve(`${name}@${range}`);
+    if (local || !this.config.apiEndpoint) return local;
 
-// Usage instructions:
-// <${componentData.name} ${componentData.props.map(p => `${p}="value"`).join(' ')}></${componentData.name}>
-`;
+    verifyOrigin(this.config.apiEndpoint, policy);
+    const data = await this.loadFromCloud(name, range);
+    if (!data || !satisfies(data.version, range)) return undefined;
+    await verifyComponent(data, policy);
+    return this.readComponentData(data);
   }
 
   /**
-   * Register web component from definition
-   * @param {string} name - Component name
-   * @param {Object} definition - Component definition
+   * Migrate component data from older format versions and validate it
+   * @param {Object} componentData - Component data in any known format version
+   * @returns {Object} Component data in the current format
+   * @throws {FormatError} With field-level errors when the data is invalid
    */
-  registerWebComponent(name, definition) {
-    if (customElements.get(name)) return;
-
-    const builder = this;
-    
-    class GeneratedComponent extends HTMLElement {
-      constructor() {
-        super();
-        this.attachShadow({ mode: 'open' });
-        this.props = {};
-        this.state = definition.initialState || {};
-      }
+  readComponentData(componentData) {
+    return readComponentData(componentData);
+  }
 
-      static get observedAttributes() {
-        return definition.props || [];
-      }
+  /**
+   * Split a `name@range` specifier
+   * @param {string} specifier - Component name, optionally with a version range
+   * @returns {{name: string, range: string|null}} Name and range
+   */
+  parseSpecifier(specifier) {
+    const index = specifier.indexOf('@');
+    if (index === -1) return { name: specifier, range: null };
+    return { name: specifier.slice(0, index), range: specifier.slice(index + 1) || null };
+  }
 
-      connectedCallback() {
-        this.updateProps();
-        this.render();
-        if (definition.mounted) definition.mounted.call(this);
-      }
+  /**
+   * Find a registered component by name or `name@range`
+   * @param {string} specifier - Component name, optionally with a version range
+   * @returns {Object|undefined} Highest matching component data
+   */
+  resolve(specifier) {
+    const { name, range } = this.parseSpecifier(specifier);
+    if (!range) return this.registry.get(name);
 
-      attributeChangedCallback(name, oldValue, newValue) {
-        if (oldValue !== newValue) {
-          this.props[name] = newValue;
-          this.render();
-        }
-      }
+    const versions = this.versions.get(name);
+    if (!versions) return undefined;
+    const version = maxSatisfying([...versions.keys()], range);
+    return version ? versions.get(version) : undefined;
+  }
 
-      updateProps() {
-        (definition.props || []).forEach(prop => {
-          this.props[prop] = this.getAttribute(prop) || '';
-        });
+  /**
+   * Compare the public contracts of two component versions: props, events
+   * and methods
+   * @param {Object|string} oldData - Component data, or a registered `name@range`
+   * @param {Object|string} newData - Component data, or a registered `name@range`
+   * @returns {Object} `{ from, to, release, changes, props, events, methods }`, where
+   *   `release` is `major`, `minor` or `patch` and `changes` lists every difference
+   */
+  diff(oldData, newData) {
+    const [previous, next] = [oldData, newData].map(data => {
+      const component = typeof data === 'string' ? this.resolve(data) : data;
+      if (!component) {
+        throw new Error(`Component ${data} not found`);
       }
+      return component;
+    });
+    const contract = data => ({
+      props: this.normalizeProps(data.props),
+      events: this.normalizeEvents(data.events),
+      methods: Object.keys(data.methods || {})
+    });
+    return { from: previous.version, to: next.version, ...diffContracts(contract(previous), contract(next)) };
+  }
 
-      render() {
-        const html = definition.template.call(this, this.props, this.state);
-        const styles = definition.styles ? `<style>${definition.styles}</style>` : '';
-        this.shadowRoot.innerHTML = styles + html;
-      }
+  /**
+   * Check that a version is high enough for its changes since an earlier one
+   * @param {Object} previous - Earlier component data
+   * @param {Object} next - Component data being defined or exported
+   * @returns {Object} The diff
+   * @throws {VersionError} When the version is lower than the changes allow
+   */
+  checkVersion(previous, next) {
+    const diff = this.diff(previous, next);
+    const minimum = minimumVersion(previous.version, diff.release);
+    if (compareVersions(next.version, minimum) < 0) {
+      const reasons = diff.changes.filter(change => change.release === diff.release).map(change => change.message);
+      throw new VersionError(
+        `${next.name}@${next.version} has ${diff.release} changes since ${previous.version} ` +
+        `and needs version ${minimum} or higher: ${reasons.join('; ')}`,
+        diff,
+        minimum
+      );
+    }
+    return diff;
+  }
 
-      setState(newState) {
-        this.state = { ...this.state, ...newState };
-        this.render();
+  /**
+   * Check an export against the version it follows: the latest lower
+   * version in the cloud for cloud exports, otherwise in the local registry
+   * @param {Object} component - Component data being exported
+   * @param {string} type - Export type
+   * @returns {Promise<void>}
+   */
+  async checkExportVersion(component, type) {
+    const range = `<${component.version}`;
+    let previous = null;
+    if (type === 'cloud' && this.config.apiEndpoint) {
+      try {
+        previous = await this.loadFromCloud(component.name, range);
+      } catch (error) {
+        if (!(error instanceof CloudError && error.code === 'NOT_FOUND')) throw error;
       }
+    } else {
+      previous = this.resolve(`${component.name}@${range}`);
     }
+    if (previous) this.checkVersion(previous, component);
+  }
 
-    // Add custom methods
-    if (definition.methods) {
-      Object.keys(definition.methods).forEach(methodName => {
-        GeneratedComponent.prototype[methodName] = definition.methods[methodName];
-      });
-    }
+  /**
+   * Add component data to the registry, keeping every version
+   * @param {Object} componentData - Component data
+   */
+  addToRegistry(componentData) {
+    const { name, version } = componentData;
+    if (!this.versions.has(name)) this.versions.set(name, new Map());
+    this.versions.get(name).set(version, componentData);
 
-    customElements.define(name, GeneratedComponent);
+    const latest = this.registry.get(name);
+    if (!latest || compareVersions(version, latest.version) >= 0) {
+      this.registry.set(name, componentData);
+    }
   }
 
   /**
-   * Serialize methods for storage
-   * @param {Object} methods - Methods object
-   * @returns {Object} Serialized methods
+   * Load the components kept in storage into the registry and register the
+   * latest version of each as a custom element
+   * @returns {Promise<void>}
    */
-  serializeMethods(methods) {
-    const serialized = {};
-    Object.keys(methods).forEach(key => {
-      serialized[key] = methods[key].toString();
+  async hydrate() {
+    if (!this.storage) return;
+
+    let records;
+    try {
+      records = await this.storage.getAll();
+    } catch (error) {
+      console.warn(`Could not load the local registry: ${error.message}`);
+      return;
+    }
+
+    records.forEach(record => {
+      try {
+        const data = this.readComponentData(record);
+        const versions = this.versions.get(data.name);
+        // Components defined while storage was loading take precedence
+        if (!versions || !versions.has(data.version)) this.addToRegistry(data);
+      } catch (error) {
+        console.warn(`Skipping stored component ${record && record.name}: ${error.message}`);
+      }
+    });
+
+    this.registry.forEach(data => {
+      if (typeof customElements === 'undefined' || customElements.get(data.name)) return;
+      try {
+        this.registerWebComponent(data.name, this.definitionFromData(data));
+      } catch (error) {
+        console.warn(`Could not register stored component ${data.name}: ${error.message}`);
+      }
     });
-    return serialized;
   }
 
   /**
-   * Generate methods code for script generation
-   * @param {Object} methods - Methods object
-   * @returns {string} Generated methods code
+   * Queue a storage write after the writes before it
+   * @param {Function} operation - `store => Promise`
+   * @returns {Promise<void>} Resolves once the write has landed
    */
-  generateMethodsCode(methods) {
-    return Object.keys(methods).map(name => {
-      return `${name}() { ${methods[name]} }`;
-    }).join('\n    ');
+  queueWrite(operation) {
+    if (!this.storage) return this.writes;
+    this.writes = this.writes
+      .then(() => operation(this.storage))
+      .catch(error => console.warn(`Could not update the local registry: ${error.message}`));
+    return this.writes;
   }
 
   /**
-   * Convert string to PascalCase
-   * @param {string} str - Input string
-   * @returns {string} PascalCase string
+   * Write component data through to storage
+   * @param {Object} componentData - Component data
+   * @returns {Promise<void>} Resolves once the write has landed
    */
-  toPascalCase(str) {
-    return str.replace(/(^\w|-\w)/g, (match) => 
-      match.replace('-', '').toUpperCase()
-    );
+  persist(componentData) {
+    return this.queueWrite(store => store.set(componentData));
   }
 
   /**
-   * Generate usage instructions
-   * @param {string} componentName - Component name
-   * @returns {string} Usage instructions
+   * List the components in the local registry
+   * @returns {Promise<Array<Object>>} `{ name, version, versions }` per component, sorted by name;
+   *   `version` is the latest and `versions` lists all of them, oldest first
    */
-  generateUsageInstructions(componentName) {
-    const component = this.registry.get(componentName);
-    return `
-Usage Instructions:
-1. Copy the generated script to Project B
-2. Include it in your HTML: <script src="path/to/${componentName}.js"></script>
-3. Use the component: <${componentName} ${component.props.map(p => `${p}="value"`).join(' ')}></${componentName}>
-`;
+  async list() {
+    await this.writes;
+    return [...this.versions.keys()].sort().map(name => ({
+      name,
+      version: this.registry.get(name).version,
+      versions: [...this.versions.get(name).keys()].sort(compareVersions)
+    }));
   }
 
   /**
-   * Save component to cloud storage
-   * @param {Object} componentData - Component data
-   * @returns {Promise<Object>} Response from cloud storage
+   * Remove components from the local registry and storage. Custom elements
+   * that are already defined stay defined until the page reloads.
+   * @param {string} specifier - Component name (every version) or `name@range`
+   * @returns {Promise<Array<string>>} Removed versions
    */
-  async saveToCloud(componentData) {
-    if (!this.config.apiEndpoint) {
-      throw new Error('API endpoint not configured');
+  async remove(specifier) {
+    await this.ready;
+    const { name, range } = this.parseSpecifier(specifier);
+    const versions = this.versions.get(name);
+    if (!versions) return [];
+
+    const removed = [...versions.keys()].filter(version => !range || satisfies(version, range));
+    removed.forEach(version => {
+      versions.delete(version);
+      this.queueWrite(store => store.delete(name, version));
+    });
+
+    const remaining = [...versions.keys()].sort(compareVersions);
+    if (remaining.length) {
+      this.registry.set(name, versions.get(remaining[remaining.length - 1]));
+    } else {
+      this.versions.delete(name);
+      this.registry.delete(name);
     }
-    
-    const response = await fetch(`${this.config.apiEndpoint}/components`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(componentData)
+    this.aliases.forEach((target, alias) => {
+      if (target.name === name && removed.includes(target.version)) this.aliases.delete(alias);
     });
-    
-    return response.json();
+
+    await this.writes;
+    return removed;
   }
 
   /**
-   * Load component from cloud storage
-   * @param {string} componentName - Component name
-   * @returns {Promise<Object>} Component data
+   * Remove every component from the local registry and storage
+   * @returns {Promise<void>}
    */
-  async loadFromCloud(componentName) {
-    if (!this.config.apiEndpoint) {
-      throw new Error('API endpoint not configured');
-    }
-    
-    const response = await fetch(`${this.config.apiEndpoint}/components/${componentName}`);
-    return response.json();
+  async clear() {
+    await this.ready;
+    this.registry.clear();
+    this.versions.clear();
+    this.aliases.clear();
+    await this.queueWrite(store => store.clear());
   }
 
   /**
-   * Register component from data
+   * Generate standalone script for sharing
    * @param {Object} componentData - Component data
-   * @param {Object} options - Registration options
-   * @returns {string} Registered component name
+   * @returns {string} Generated script
    */
-  registerFromData(componentData, options = {}) {
-    const definition = {
-      props: componentData.props,
-      template: new Function('props', 'state', `return \`${componentData.template.replace(/`/g, '\\`')}\``),
-      styles: componentData.styles,
-      methods: {},
-      ...options
-    };
+  generateScript(componentData) {
+    const className = this.toPascalCase(componentData.name);
+    const props = this.normalizeProps(componentData.props);
+    const events = this.normalizeEvents(componentData.events);
+    const hooks = Object.entries(componentData.hooks || {})
+      .map(([name, source]) => `${name}: ${this.methodExpression(name, source)}`);
+    const themeCSS = this.theme.css;
 
-    // Reconstruct methods
-    if (componentData.methods) {
-      Object.keys(componentData.methods).forEach(methodName => {
-        definition.methods[methodName] = new Function('return ' + componentData.methods[methodName])();
-      });
-    }
+    return `
+// Generated component script for ${componentData.name}
+(function() {
+  'use strict';
+  
+  if (customElements.get('${componentData.name}')) {
+    console.warn('Component ${componentData.name} already registered');
+    return;
+  }
 
-    this.registerWebComponent(componentData.name, definition);
-    this.registry.set(componentData.name, componentData);
-    
-    return componentData.name;
+  const runtime = (${createRuntime.toString()})();
+  const props = ${JSON.stringify(props)};
+  const events = ${JSON.stringify(events)};
+  const hooks = {${hooks.length ? `\n    ${hooks.join(',\n    ')}\n  ` : ''}};
+  const computed = ${this.generateFunctionsCode(componentData.computed)};
+  const watch = ${this.generateFunctionsCode(componentData.watch)};
+  const storeNames = ${JSON.stringify(componentData.stores || [])};
+  // Compiled once and adopted by every instance
+  const styles = [${themeCSS ? `runtime.sharedStyles(${JSON.stringify(themeCSS)})` : 'null'}, ${componentData.styles ? `runtime.createStyles(${JSON.stringify(componentData.styles)})` : 'null'}];
+
+  ${this.generateElementClass(className, {
+    version: `'${componentData.version || '1.0.0'}'`,
+    formAssociated: String(Boolean(componentData.formAssociated)),
+    internals: componentData.formAssociated ? 'runtime.attachInternals(this)' : 'null',
+    initialState: JSON.stringify(componentData.initialState || {}),
+    template: this.methodExpression('template', componentData.template),
+    methods: this.generateMethodsCode(componentData.methods)
+  })}
+
+  runtime.defineAccessors(${className}.prototype, props, hooks);${componentData.formAssociated ? `
+  runtime.defineFormMembers(${className}.prototype);` : ''}
+
+  customElements.define('${componentData.name}', ${className});
+  
+  // Expose for manual instantiation
+  window.${className} = ${className};
+})();
+
+// Usage instructions:
+// ${this.generateUsageTag(componentData.name, props)}
+`;
   }
-}
+
+  /**
+   * Generate the element class of a generated script or library. The class
+   * reads `runtime`, `props`, `events`, `hooks`, `computed`, `watch`,
+   * `storeNames` and `styles` from the enclosing scope; the rest is
+   * passed in as code.
+   * @param {string} className - Class name
+   * @param {Object} code - Expressions for `version`, `formAssociated`, `internals`,
+   *   `initialState` and `template`, and the `methods` class members
+   * @returns {string} Class declaration, indented to sit inside a function body
+   */
+  generateElementClass(className, code) {
+    return `class ${className} extends HTMLElement {
+    static get version() {
+      return ${code.version};
+    }
+
+    static get formAssociated() {
+      return ${code.formAssociated};
+    }
+
+    constructor() {
+      super();
+      runtime.attachShadowRoot(this);
+      this.internals = ${code.internals};
+      this.props = {};
+      this.state = ${code.initialState};
+      this.stores = runtime.resolveStores(storeNames);
+    }
+
+    get computed() {
+      return this._computedValues || (this._computedValues = runtime.createComputed(this, computed));
+    }
+
+    static get observedAttributes() {
+      return props.map(prop => prop.attribute);
+    }
+
+    connectedCallback() {
+      runtime.readServerState(this);
+      runtime.subscribeStores(this);
+      this.updateProps();
+      runtime.callHook(this, hooks, 'beforeMount');
+      runtime.cancelUpdate(this);
+      this.render();
+      runtime.callHook(this, hooks, 'mounted');
+    }
+
+    disconnectedCallback() {
+      runtime.unsubscribeStores(this);
+      this._rendered = false;
+      runtime.callHook(this, hooks, 'unmounted');
+    }
+
+    adoptedCallback() {
+      runtime.callHook(this, hooks, 'adopted');
+    }
+
+    formAssociatedCallback(form) {
+      runtime.callHook(this, hooks, 'formAssociatedCallback', [form]);
+    }
+
+    formDisabledCallback(disabled) {
+      runtime.callHook(this, hooks, 'formDisabledCallback', [disabled]);
+    }
+
+    formResetCallback() {
+      runtime.callHook(this, hooks, 'formResetCallback');
+    }
+
+    formStateRestoreCallback(state, mode) {
+      runtime.callHook(this, hooks, 'formStateRestoreCallback', [state, mode]);
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (oldValue !== newValue && runtime.attributeChanged(this, props, name, newValue, hooks)) {
+        this.requestUpdate();
+      }
+    }
+
+    updateProps() {
+      runtime.initProps(this, props);
+      runtime.checkRequired(this, props);
+    }
+
+    render() {
+      const isUpdate = this._rendered;
+      this._computedCache = null;
+      runtime.runWatchers(this, watch, hooks);
+      if (isUpdate) runtime.callHook(this, hooks, 'beforeUpdate');
+      try {
+        const template = ${code.template};
+        runtime.adoptStyles(this.shadowRoot, styles);
+        runtime.patch(this.shadowRoot, runtime.renderMarkup(template, this, styles));
+        runtime.bindEvents(this, hooks);
+      } catch (error) {
+        runtime.handleError(this, hooks, error, 'render');
+        return;
+      }
+      this._rendered = true;
+      if (isUpdate) runtime.callHook(this, hooks, 'updated');
+    }
+
+    setState(newState) {
+      this.state = Object.assign({}, this.state, newState);
+      this.requestUpdate();
+    }
+
+    requestUpdate() {
+      return runtime.requestUpdate(this);
+    }
+
+    get updateComplete() {
+      return runtime.updateComplete(this);
+    }
+
+    emit(name, detail) {
+      return runtime.emit(this, events, name, detail);
+    }
+
+    ${code.methods}
+  }`;
+  }
+
+  /**
+   * Generate an object literal of functions from serialized sources
+   * @param {Object} sources - Function sources by name
+   * @param {string} indent - Indentation of the closing brace
+   * @returns {string} Object literal source
+   */
+  generateFunctionsCode(sources, indent = '  ') {
+    const entries = Object.entries(sources || {})
+      .map(([name, source]) => `${JSON.stringify(name)}: ${this.methodExpression(name, source)}`);
+    return `{${entries.length ? `\n${indent}  ${entries.join(`,\n${indent}  `)}\n${indent}` : ''}}`;
+  }
+
+  /**
+   * Generate the spec a library bundle builds a component's element class
+   * from. It reads `runtime` and the library `theme` from scope.
+   * @param {Object} componentData - Component data
+   * @returns {string} Spec object literal source
+   */
+  generateComponentSpec(componentData) {
+    const indent = '        ';
+    const fields = [
+      `className: ${JSON.stringify(this.toPascalCase(componentData.name))}`,
+      `version: ${JSON.stringify(componentData.version || '1.0.0')}`,
+      `formAssociated: ${Boolean(componentData.formAssociated)}`,
+      `props: ${JSON.stringify(this.normalizeProps(componentData.props))}`,
+      `events: ${JSON.stringify(this.normalizeEvents(componentData.events))}`,
+      `hooks: ${this.generateFunctionsCode(componentData.hooks, `${indent}  `)}`,
+      `computed: ${this.generateFunctionsCode(componentData.computed, `${indent}  `)}`,
+      `watch: ${this.generateFunctionsCode(componentData.watch, `${indent}  `)}`,
+      `stores: ${JSON.stringify(componentData.stores || [])}`,
+      `initialState: ${JSON.stringify(componentData.initialState || {})}`,
+      `styles: [theme, ${componentData.styles ? `runtime.createStyles(${JSON.stringify(componentData.styles)})` : 'null'}]`,
+      `template: ${this.methodExpression('template', componentData.template)}`,
+      `methods: ${this.generateFunctionsCode(componentData.methods, `${indent}  `)}`
+    ];
+    return `{\n${indent}  ${fields.join(`,\n${indent}  `)}\n${indent}}`;
+  }
+
+  /**
+   * Generate a React wrapper component (ES module, no JSX). Declared props
+   * are set as element properties so objects pass through unchanged, and
+   * declared events map to `onEventName` callbacks.
+   * @param {Object} componentData - Component data
+   * @param {Object} options - Export options
+   * @param {string} options.elementModule - Module that defines the element (default `./<name>.js`)
+   * @returns {string} Generated wrapper source
+   */
+  generateReactWrapper(componentData, options = {}) {
+    const className = this.toPascalCase(componentData.name);
+    const props = this.normalizeProps(componentData.props).map(prop => prop.name);
+    const events = {};
+    this.normalizeEvents(componentData.events).forEach(event => {
+      events[`on${this.toPascalCase(event.name)}`] = event.name;
+    });
+    const elementModule = options.elementModule || `./${componentData.name}.js`;
+
+    return `// Generated React wrapper for ${componentData.name}@${componentData.version}
+import * as React from 'react';
+import '${elementModule}';
+
+const PROPS = ${JSON.stringify(props)};
+const EVENTS = ${JSON.stringify(events)};
+const useIsomorphicLayoutEffect = typeof window !== 'undefined' ? React.useLayoutEffect : React.useEffect;
+
+export const ${className} = React.forwardRef(function ${className}(props, ref) {
+  const elementRef = React.useRef(null);
+  const propsRef = React.useRef(props);
+  propsRef.current = props;
+  React.useImperativeHandle(ref, () => elementRef.current);
+
+  // Declared props are assigned as properties, so objects and arrays are not stringified
+  useIsomorphicLayoutEffect(() => {
+    PROPS.forEach(name => {
+      if (props[name] !== undefined && elementRef.current[name] !== props[name]) {
+        elementRef.current[name] = props[name];
+      }
+    });
+  });
+
+  // Declared events call the latest onEventName callback
+  React.useEffect(() => {
+    const element = elementRef.current;
+    const listeners = Object.keys(EVENTS).map(callback => {
+      const listener = event => {
+        if (typeof propsRef.current[callback] === 'function') propsRef.current[callback](event);
+      };
+      element.addEventListener(EVENTS[callback], listener);
+      return [EVENTS[callback], listener];
+    });
+    return () => listeners.forEach(([type, listener]) => element.removeEventListener(type, listener));
+  }, []);
+
+  const attributes = { ref: elementRef };
+  Object.keys(props).forEach(key => {
+    if (key !== 'children' && !PROPS.includes(key) && !(key in EVENTS)) attributes[key] = props[key];
+  });
+  return React.createElement('${componentData.name}', attributes, props.children);
+});
+
+export default ${className};
+`;
+  }
+
+  /**
+   * Generate a Vue 3 wrapper component (ES module, render function). Declared
+   * props are bound as element properties and declared events are re-emitted
+   * with their detail.
+   * @param {Object} componentData - Component data
+   * @param {Object} options - Export options
+   * @param {string} options.elementModule - Module that defines the element (default `./<name>.js`)
+   * @returns {string} Generated wrapper source
+   */
+  generateVueWrapper(componentData, options = {}) {
+    const className = this.toPascalCase(componentData.name);
+    const props = this.normalizeProps(componentData.props);
+    const events = this.normalizeEvents(componentData.events).map(event => event.name);
+    const elementModule = options.elementModule || `./${componentData.name}.js`;
+    // `default: undefined` keeps Vue from casting absent Boolean props to false
+    const propOptions = props
+      .map(prop => `    ${JSON.stringify(prop.name)}: { type: ${prop.type}, required: ${prop.required}, default: undefined }`)
+      .join(',\n');
+
+    return `// Generated Vue wrapper for ${componentData.name}@${componentData.version}
+import { defineComponent, h, onBeforeUnmount, onMounted, ref } from 'vue';
+import '${elementModule}';
+
+const EVENTS = ${JSON.stringify(events)};
+
+export default defineComponent({
+  name: '${className}',
+  props: {${propOptions ? `\n${propOptions}\n  ` : ''}},
+  emits: EVENTS,
+  setup(props, { emit, slots, expose }) {
+    const element = ref(null);
+    const listeners = EVENTS.map(type => [type, event => emit(type, event.detail, event)]);
+    expose({ element });
+
+    onMounted(() => {
+      listeners.forEach(([type, listener]) => element.value.addEventListener(type, listener));
+    });
+    onBeforeUnmount(() => {
+      listeners.forEach(([type, listener]) => element.value.removeEventListener(type, listener));
+    });
+
+    return () => {
+      // The "." prefix makes Vue set a DOM property instead of an attribute
+      const data = { ref: element };
+      Object.keys(props).forEach(name => {
+        if (props[name] !== undefined) data['.' + name] = props[name];
+      });
+      return h('${componentData.name}', data, slots.default ? slots.default() : undefined);
+    };
+  }
+});
+`;
+  }
+
+  /**
+   * Generate a Custom Elements Manifest (`custom-elements.json`) describing
+   * each component in the registry, and each version registered under an
+   * alias. A tag is described by the version registered under it, or the
+   * latest version outside the browser. Tools such as IDEs and Storybook
+   * read it for completions and docs. Each declaration also carries the
+   * component `version`, which the schema leaves to extensions.
+   * @returns {Object} Manifest, schema version 1.0.0
+   */
+  generateManifest() {
+    const tags = [...this.registry.values()].map(latest => {
+      const element = typeof customElements !== 'undefined' && customElements.get(latest.name);
+      const registered = element && this.versions.get(latest.name).get(element.version);
+      return [latest.name, registered || latest];
+    });
+    this.aliases.forEach(({ name, version }, alias) => {
+      const data = this.versions.has(name) && this.versions.get(name).get(version);
+      if (data) tags.push([alias, data]);
+    });
+
+    return {
+      schemaVersion: '1.0.0',
+      modules: tags.map(([tagName, data]) => {
+        const className = this.toPascalCase(tagName);
+        const modulePath = `${tagName}.js`;
+        const props = this.normalizeProps(data.props);
+        const source = `${data.template}\n${data.styles || ''}`;
+        const declaration = {
+          kind: 'class',
+          name: className,
+          tagName,
+          customElement: true,
+          version: data.version,
+          ...(typeof data.description === 'string' ? { description: data.description } : {}),
+          superclass: { name: 'HTMLElement' },
+          attributes: props.map(prop => ({
+            name: prop.attribute,
+            fieldName: prop.name,
+            type: { text: this.propTypeScript(prop) },
+            ...(prop.default !== undefined ? { default: JSON.stringify(prop.default) } : {})
+          })),
+          members: [
+            ...props.map(prop => ({
+              kind: 'field',
+              name: prop.name,
+              type: { text: this.propTypeScript(prop) },
+              attribute: prop.attribute,
+              reflects: prop.reflect,
+              ...(prop.default !== undefined ? { default: JSON.stringify(prop.default) } : {})
+            })),
+            ...Object.keys(data.methods || {}).map(name => ({ kind: 'method', name }))
+          ],
+          events: this.normalizeEvents(data.events).map(event => ({
+            name: event.name,
+            type: { text: `CustomEvent<${this.detailTypeScript(event.detail)}>` }
+          })),
+          slots: this.findTemplateNames(source, /<slot\b[^>]*>/g, /\bname=\\?["']?([^"'\s>\\]*)/, '').map(name => ({ name })),
+          cssParts: this.findTemplateNames(source, /\bpart=\\?["'][^"'\\]*/g, /\bpart=\\?["']([^"'\\]*)/).map(name => ({ name })),
+          cssProperties: this.findTemplateNames(data.styles || '', /var\(\s*--[\w-]+/g, /(--[\w-]+)/).map(name => ({ name }))
+        };
+        const reference = { name: className, module: modulePath };
+
+        return {
+          kind: 'javascript-module',
+          path: modulePath,
+          declarations: [declaration],
+          exports: [
+            { kind: 'js', name: className, declaration: reference },
+            { kind: 'custom-element-definition', name: tagName, declaration: reference }
+          ]
+        };
+      })
+    };
+  }
+
+  /**
+   * Collect the static names used by a markup pattern in template or style
+   * source, e.g. slot names or CSS parts. Interpolated names are skipped,
+   * since they are only known at render time.
+   * @param {string} source - Template and style source
+   * @param {RegExp} pattern - Global pattern matching each occurrence
+   * @param {RegExp} namePattern - Pattern capturing the names in an occurrence
+   * @param {string} fallback - Name for occurrences without one (omitted if undefined)
+   * @returns {Array<string>} Unique names, in order of appearance
+   */
+  findTemplateNames(source, pattern, namePattern, fallback) {
+    const names = [];
+    source.replace(pattern, occurrence => {
+      const match = namePattern.exec(occurrence);
+      const found = match ? match[1].trim().split(' ') : [fallback];
+      found.forEach(name => {
+        if (name !== undefined && /^[\w-]*$/.test(name) && (name || !match) && !names.includes(name)) {
+          names.push(name);
+        }
+      });
+      return occurrence;
+    });
+    return names;
+  }
+
+  /**
+   * TypeScript type of a prop value. Props without a default start out
+   * null, except strings, which start out empty.
+   * @param {Object} prop - Normalized prop schema
+   * @returns {string} TypeScript type
+   */
+  propTypeScript(prop) {
+    const type = TYPESCRIPT_TYPES[prop.type];
+    return prop.default === undefined && prop.type !== 'String' ? `${type} | null` : type;
+  }
+
+  /**
+   * TypeScript type of an event detail
+   * @param {Object|null} detail - Normalized detail schema
+   * @returns {string} TypeScript type (`any` when the detail is not declared)
+   */
+  detailTypeScript(detail) {
+    if (!detail) return 'any';
+    if (!detail.fields) return TYPESCRIPT_TYPES[detail.type];
+    const fields = Object.entries(detail.fields).map(([key, field]) =>
+      `${propertyKey(key)}${field.required ? '' : '?'}: ${TYPESCRIPT_TYPES[field.type]}`
+    );
+    return fields.length ? `{ ${fields.join('; ')} }` : 'Record<string, never>';
+  }
+
+  /**
+   * Generate TypeScript declarations for a component's element: typed props,
+   * methods and events, and its entry in `HTMLElementTagNameMap`, so
+   * `document.createElement('<name>')` and `querySelector` are typed
+   * @param {Object} componentData - Component data
+   * @returns {string} Generated `.d.ts` source
+   */
+  generateTypeDeclarations(componentData) {
+    const tagName = componentData.name;
+    const className = this.toPascalCase(tagName);
+    const props = this.normalizeProps(componentData.props);
+    const events = this.normalizeEvents(componentData.events);
+    const block = lines => lines.length ? `\n${lines.join('\n')}\n` : '';
+    const listener = (method, optionsType) => [
+      `  ${method}<K extends keyof ${className}EventMap>(type: K, ` +
+        `listener: (this: ${className}Element, event: ${className}EventMap[K]) => any, options?: boolean | ${optionsType}): void;`,
+      `  ${method}(type: string, listener: EventListenerOrEventListenerObject, options?: boolean | ${optionsType}): void;`
+    ];
+    const formMembers = componentData.formAssociated ? [
+      '  readonly internals: ElementInternals | null;',
+      '  readonly form: HTMLFormElement | null;',
+      '  setFormValue(value: File | string | FormData | null, state?: File | string | FormData | null): void;',
+      '  setValidity(flags?: ValidityStateFlags, message?: string, anchor?: HTMLElement): void;',
+      '  checkValidity(): boolean;',
+      '  reportValidity(): boolean;'
+    ] : [];
+    const members = [
+      ...formMembers,
+      ...Object.keys(componentData.methods || {}).map(name => `  ${propertyKey(name)}(...args: any[]): any;`),
+      ...listener('addEventListener', 'AddEventListenerOptions'),
+      ...listener('removeEventListener', 'EventListenerOptions')
+    ];
+
+    return `// Generated type declarations for ${componentData.name}@${componentData.version}
+export interface ${className}Props {${block(props.map(prop => `  ${propertyKey(prop.name)}: ${this.propTypeScript(prop)};`))}}
+
+/** Declared events */
+export interface ${className}Events {${block(events.map(event => `  ${propertyKey(event.name)}: CustomEvent<${this.detailTypeScript(event.detail)}>;`))}}
+
+// Declared events take precedence over built-in ones of the same name (e.g. "close")
+export type ${className}EventMap = Omit<HTMLElementEventMap, keyof ${className}Events> & ${className}Events;
+
+export interface ${className}Element extends HTMLElement, ${className}Props {
+  props: ${className}Props;
+  state: Record<string, any>;
+  readonly computed: Record<string, any>;
+  readonly updateComplete: Promise<void>;
+  render(): void;
+  requestUpdate(): Promise<void>;
+  setState(newState: Record<string, any>): void;
+  emit<K extends keyof ${className}Events>(name: K, detail?: ${className}Events[K]['detail']): boolean;
+${members.join('\n')}
+}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    ${JSON.stringify(tagName)}: ${className}Element;
+  }
+}
+`;
+  }
+
+  /**
+   * Render a component to HTML with a Declarative Shadow DOM, without a DOM
+   * (e.g. on a Node server). The element upgrades into the rendered shadow
+   * root once its definition loads in the browser.
+   * @param {string} componentName - Component name, optionally with `@range`
+   * @param {Object} props - Prop values, written to the host as attributes
+   * @param {Object} state - State merged over `initialState`, passed on to the client
+   * @returns {string} `<name ...><template shadowrootmode="open">...</template></name>`
+   */
+  renderToString(componentName, props = {}, state = {}) {
+    const component = this.resolve(componentName);
+    if (!component) {
+      throw new Error(`Component ${componentName} not found`);
+    }
+
+    const definition = this.definitionFromData(component);
+    // Server-side stand-in for the element: templates see `this.props`, `this.state` and methods
+    const context = Object.assign(Object.create(definition.methods), {
+      localName: component.name,
+      props: {},
+      state: { ...component.initialState, ...state },
+      stores: runtime.resolveStores(component.stores)
+    });
+    context.computed = runtime.createComputed(context, definition.computed);
+    const attributes = [];
+    this.normalizeProps(component.props).forEach(prop => {
+      const given = Object.prototype.hasOwnProperty.call(props, prop.name);
+      context.props[prop.name] = given ? props[prop.name] : runtime.defaultFor(prop);
+      const value = given ? runtime.toAttribute(props[prop.name], prop) : null;
+      if (value !== null) {
+        attributes.push(value === '' ? prop.attribute : `${prop.attribute}="${runtime.escapeHTML(value)}"`);
+      }
+    });
+    if (Object.keys(state).length) {
+      attributes.push(`${runtime.STATE_ATTRIBUTE}="${runtime.escapeHTML(JSON.stringify(state))}"`);
+    }
+
+    // Stylesheets can't be serialized, so the server inlines them as <style> elements
+    const styles = [{ css: this.theme.css }, { css: component.styles }];
+    const markup = runtime.normalizeBindingMarkup(runtime.renderMarkup(definition.template, context, styles));
+    const open = [component.name, ...attributes].join(' ');
+    return `<${open}><template shadowrootmode="open">${markup}</template></${component.name}>`;
+  }
+
+  /**
+   * Register web component from definition. In `hot` mode an already
+   * registered tag has its implementation replaced instead.
+   * @param {string} name - Component name
+   * @param {Object} definition - Component definition
+   */
+  registerWebComponent(name, definition) {
+    // Nothing to register outside the browser (e.g. Node with a FileSystemStore)
+    if (typeof customElements === 'undefined') return;
+    const registered = customElements.get(name);
+    if (registered) {
+      if (this.config.hot && this.replacesRegistered(registered, definition.version || '1.0.0')) {
+        this.replaceWebComponent(name, definition);
+      }
+      return;
+    }
+
+    // The registered class delegates to this, so it can be swapped by `replaceWebComponent`
+    let impl = this.createImplementation(definition);
+    const theme = this.theme;
+    // Read by the browser once, when the tag is defined
+    const formAssociated = Boolean(definition.formAssociated);
+    // Connected elements, re-rendered when the implementation is replaced
+    const instances = new Set();
+    // Read by the browser once as well; attributes of props added by a later
+    // implementation are watched with a MutationObserver instead
+    const observedAttributes = impl.props.map(prop => prop.attribute);
+    const observeAddedAttributes = el => {
+      if (el._attributeObserver) el._attributeObserver.disconnect();
+      el._attributeObserver = null;
+      const added = impl.props.map(prop => prop.attribute).filter(attribute => !observedAttributes.includes(attribute));
+      if (!added.length || typeof MutationObserver === 'undefined') return;
+      el._attributeObserver = new MutationObserver(records => records.forEach(record => {
+        el.attributeChangedCallback(record.attributeName, record.oldValue, el.getAttribute(record.attributeName));
+      }));
+      el._attributeObserver.observe(el, { attributes: true, attributeOldValue: true, attributeFilter: added });
+    };
+
+    class GeneratedComponent extends HTMLElement {
+      static get version() {
+        return impl.version;
+      }
+
+      /**
+       * Swap in a new implementation and re-render every connected element,
+       * keeping its props and state
+       * @param {Object} next - Implementation from `createImplementation`
+       */
+      static replaceImplementation(next) {
+        const previous = impl;
+        impl = next;
+        const proto = GeneratedComponent.prototype;
+        previous.props
+          .filter(prop => !next.props.some(p => p.name === prop.name))
+          .forEach(prop => delete proto[prop.name]);
+        Object.keys(previous.methods)
+          .filter(methodName => !(methodName in next.methods))
+          .forEach(methodName => delete proto[methodName]);
+        installMembers();
+
+        instances.forEach(el => {
+          // New state keys and props start from their defaults
+          el.state = { ...next.definition.initialState, ...el.state };
+          el.stores = runtime.resolveStores(next.stores);
+          runtime.subscribeStores(el);
+          el._computedValues = null;
+          next.props.forEach(prop => {
+            if (!(prop.name in el.props)) {
+              el.props[prop.name] = runtime.fromAttribute(el.getAttribute(prop.attribute), prop);
+            }
+          });
+          observeAddedAttributes(el);
+          el.requestUpdate();
+        });
+      }
+
+      static get formAssociated() {
+        return formAssociated;
+      }
+
+      constructor() {
+        super();
+        runtime.attachShadowRoot(this);
+        this.internals = formAssociated ? runtime.attachInternals(this) : null;
+        this.props = {};
+        this.state = { ...impl.definition.initialState };
+        this.stores = runtime.resolveStores(impl.stores);
+      }
+
+      get computed() {
+        return this._computedValues || (this._computedValues = runtime.createComputed(this, impl.computed));
+      }
+
+      static get observedAttributes() {
+        return observedAttributes;
+      }
+
+      connectedCallback() {
+        instances.add(this);
+        observeAddedAttributes(this);
+        runtime.readServerState(this);
+        runtime.subscribeStores(this);
+        this.updateProps();
+        runtime.callHook(this, impl.hooks, 'beforeMount');
+        runtime.cancelUpdate(this);
+        this.render();
+        runtime.callHook(this, impl.hooks, 'mounted');
+      }
+
+      disconnectedCallback() {
+        instances.delete(this);
+        if (this._attributeObserver) this._attributeObserver.disconnect();
+        runtime.unsubscribeStores(this);
+        this._rendered = false;
+        runtime.callHook(this, impl.hooks, 'unmounted');
+      }
+
+      adoptedCallback() {
+        runtime.callHook(this, impl.hooks, 'adopted');
+      }
+
+      formAssociatedCallback(form) {
+        runtime.callHook(this, impl.hooks, 'formAssociatedCallback', [form]);
+      }
+
+      formDisabledCallback(disabled) {
+        runtime.callHook(this, impl.hooks, 'formDisabledCallback', [disabled]);
+      }
+
+      formResetCallback() {
+        runtime.callHook(this, impl.hooks, 'formResetCallback');
+      }
+
+      formStateRestoreCallback(state, mode) {
+        runtime.callHook(this, impl.hooks, 'formStateRestoreCallback', [state, mode]);
+      }
+
+      attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue !== newValue && runtime.attributeChanged(this, impl.props, name, newValue, impl.hooks)) {
+          this.requestUpdate();
+        }
+      }
+
+      updateProps() {
+        runtime.initProps(this, impl.props);
+        runtime.checkRequired(this, impl.props);
+      }
+
+      render() {
+        const hooks = impl.hooks;
+        const isUpdate = this._rendered;
+        this._computedCache = null;
+        runtime.runWatchers(this, impl.watch, hooks);
+        if (isUpdate) runtime.callHook(this, hooks, 'beforeUpdate');
+        try {
+          const styles = [theme, impl.styles];
+          runtime.adoptStyles(this.shadowRoot, styles);
+          runtime.patch(this.shadowRoot, runtime.renderMarkup(impl.definition.template, this, styles));
+          runtime.bindEvents(this, hooks);
+        } catch (error) {
+          runtime.handleError(this, hooks, error, 'render');
+          return;
+        }
+        this._rendered = true;
+        if (isUpdate) runtime.callHook(this, hooks, 'updated');
+      }
+
+      setState(newState) {
+        this.state = { ...this.state, ...newState };
+        this.requestUpdate();
+      }
+
+      requestUpdate() {
+        return runtime.requestUpdate(this);
+      }
+
+      get updateComplete() {
+        return runtime.updateComplete(this);
+      }
+
+      emit(name, detail) {
+        return runtime.emit(this, impl.events, name, detail);
+      }
+    }
+
+    // Prop accessors and custom methods
+    function installMembers() {
+      runtime.defineAccessors(GeneratedComponent.prototype, impl.props, impl.hooks);
+      Object.keys(impl.methods).forEach(methodName => {
+        GeneratedComponent.prototype[methodName] = impl.methods[methodName];
+      });
+    }
+    installMembers();
+    if (formAssociated) runtime.defineFormMembers(GeneratedComponent.prototype);
+
+    customElements.define(name, GeneratedComponent);
+  }
+
+  /**
+   * Collect the parts of a definition that a registered element class delegates to
+   * @param {Object} definition - Component definition
+   * @returns {Object} Implementation
+   */
+  createImplementation(definition) {
+    return {
+      definition,
+      version: definition.version || '1.0.0',
+      props: this.normalizeProps(definition.props || []),
+      events: this.normalizeEvents(definition.events || []),
+      hooks: this.collectHooks(definition),
+      // Compiled once per component rather than rendered into every instance
+      styles: definition.styles ? runtime.createStyles(definition.styles) : null,
+      methods: definition.methods || {},
+      computed: definition.computed || {},
+      watch: definition.watch || {},
+      stores: definition.stores || []
+    };
+  }
+
+  /**
+   * Replace the template, styles, methods and hooks behind a registered tag.
+   * Connected elements re-render with their props and state preserved.
+   * @param {string} name - Registered tag name
+   * @param {Object} definition - Component definition
+   * @returns {boolean} Whether the tag was registered and has been replaced
+   */
+  replaceWebComponent(name, definition) {
+    const registered = typeof customElements !== 'undefined' && customElements.get(name);
+    if (!registered) return false;
+    if (typeof registered.replaceImplementation !== 'function') {
+      throw new Error(`<${name}> was not registered by ComponentBuilder and cannot be redefined`);
+    }
+    registered.replaceImplementation(this.createImplementation(definition));
+    return true;
+  }
+
+  /**
+   * Whether a version may replace a registered tag: a redefinition never
+   * moves its elements back to an older version than they have
+   * @param {Function} registered - Registered element class
+   * @param {string} version - Version being defined
+   * @returns {boolean}
+   */
+  replacesRegistered(registered, version) {
+    return !registered.version || compareVersions(version, registered.version) >= 0;
+  }
+
+  /**
+   * Normalize a props declaration into a list of prop schemas.
+   * Accepts an array of names (all String props) or an object mapping
+   * names to a type constructor or `{ type, default, required, reflect, attribute }`.
+   * @param {Array|Object} props - Props declaration (live or serialized)
+   * @returns {Array<Object>} Normalized prop schemas
+   */
+  normalizeProps(props) {
+    const entries = Array.isArray(props)
+      ? props.map(prop => typeof prop === 'string' ? [prop, {}] : [prop.name, prop])
+      : Object.entries(props || {});
+
+    return entries.map(([name, options]) => {
+      const schema = typeof options === 'function' || typeof options === 'string'
+        ? { type: options }
+        : options || {};
+      const type = this.toTypeName(schema.type || String, name);
+
+      return {
+        name,
+        attribute: schema.attribute || this.toKebabCase(name),
+        type,
+        default: schema.default,
+        required: Boolean(schema.required),
+        reflect: Boolean(schema.reflect)
+      };
+    });
+  }
+
+  /**
+   * Serialize a props declaration for storage, replacing type constructors
+   * with their names. Arrays of names are kept as-is.
+   * @param {Array|Object} props - Props declaration
+   * @returns {Array|Object} Serialized props
+   */
+  serializeProps(props) {
+    if (Array.isArray(props) && props.every(prop => typeof prop === 'string')) {
+      return [...props];
+    }
+
+    const serialized = {};
+    this.normalizeProps(props).forEach(({ name, ...schema }) => {
+      serialized[name] = schema;
+    });
+    return serialized;
+  }
+
+  /**
+   * Resolve a prop type constructor or name to its type name
+   * @param {Function|string} type - Type constructor or name
+   * @param {string} propName - Prop name, for error messages
+   * @returns {string} Type name
+   */
+  toTypeName(type, propName) {
+    const typeName = typeof type === 'function' ? type.name : type;
+    if (!PROP_TYPES.includes(typeName)) {
+      throw new Error(`Unsupported type "${typeName}" for prop "${propName}"`);
+    }
+    return typeName;
+  }
+
+  /**
+   * Normalize an events declaration into a list of event contracts.
+   * Accepts an array of names or an object mapping names to
+   * `{ detail, bubbles, composed, cancelable }`. `detail` is a type, or an
+   * object mapping detail fields to a type or `{ type, required }`.
+   * @param {Array|Object} events - Events declaration (live or serialized)
+   * @returns {Array<Object>} Normalized event contracts
+   */
+  normalizeEvents(events) {
+    const entries = Array.isArray(events)
+      ? events.map(event => typeof event === 'string' ? [event, {}] : [event.name, event])
+      : Object.entries(events || {});
+
+    return entries.map(([name, options = {}]) => ({
+      name,
+      detail: options.detail ? this.normalizeDetail(options.detail, name) : null,
+      bubbles: Boolean(options.bubbles),
+      composed: Boolean(options.composed),
+      cancelable: Boolean(options.cancelable)
+    }));
+  }
+
+  /**
+   * Normalize an event detail schema
+   * @param {Function|string|Object} detail - Detail type or field map
+   * @param {string} eventName - Event name, for error messages
+   * @returns {Object} Normalized detail schema
+   */
+  normalizeDetail(detail, eventName) {
+    if (typeof detail === 'function' || typeof detail === 'string') {
+      return { type: this.toTypeName(detail, `${eventName}.detail`), required: true };
+    }
+    // Already normalized (e.g. imported data)
+    if (detail.type && (detail.fields || typeof detail.required === 'boolean')) {
+      return detail;
+    }
+
+    const fields = {};
+    Object.entries(detail).forEach(([key, field]) => {
+      const schema = typeof field === 'function' || typeof field === 'string'
+        ? { type: field }
+        : field;
+      fields[key] = {
+        type: this.toTypeName(schema.type, `${eventName}.detail.${key}`),
+        required: schema.required !== false
+      };
+    });
+    return { type: 'Object', required: true, fields };
+  }
+
+  /**
+   * Serialize an events declaration for storage. Arrays of names are kept as-is.
+   * @param {Array|Object} events - Events declaration
+   * @returns {Array|Object} Serialized events
+   */
+  serializeEvents(events) {
+    if (Array.isArray(events) && events.every(event => typeof event === 'string')) {
+      return [...events];
+    }
+
+    const serialized = {};
+    this.normalizeEvents(events).forEach(({ name, ...contract }) => {
+      serialized[name] = contract;
+    });
+    return serialized;
+  }
+
+  /**
+   * Pick the lifecycle hooks from a component definition
+   * @param {Object} definition - Component definition
+   * @returns {Object} Hook functions keyed by hook name
+   */
+  collectHooks(definition) {
+    const hooks = {};
+    LIFECYCLE_HOOKS.forEach(name => {
+      if (typeof definition[name] === 'function') hooks[name] = definition[name];
+    });
+    return hooks;
+  }
+
+  /**
+   * Serialize methods for storage
+   * @param {Object} methods - Methods object
+   * @returns {Object} Serialized methods
+   */
+  serializeMethods(methods) {
+    const serialized = {};
+    Object.keys(methods).forEach(key => {
+      serialized[key] = methods[key].toString();
+    });
+    return serialized;
+  }
+
+  /**
+   * Generate methods code for script generation
+   * @param {Object} methods - Methods object
+   * @returns {string} Generated methods code
+   */
+  generateMethodsCode(methods) {
+    return Object.keys(methods).map(name => {
+      const source = methods[name].trim();
+      if (this.isMethodShorthand(name, source)) {
+        return source;
+      }
+      if (this.isFunctionSource(source)) {
+        return `${name}() { return (${source}).apply(this, arguments); }`;
+      }
+      return `${name}() { ${source} }`;
+    }).join('\n    ');
+  }
+
+  /**
+   * Build an expression that evaluates to the method a serialized source
+   * describes. Sources can be method shorthand (`name() {}`), function or
+   * arrow expressions, or a bare method body.
+   * @param {string} name - Method name
+   * @param {string} source - Serialized method source
+   * @returns {string} Function expression source
+   */
+  methodExpression(name, source) {
+    const trimmed = source.trim();
+    if (this.isMethodShorthand(name, trimmed)) {
+      return `({ ${trimmed} })[${JSON.stringify(name)}]`;
+    }
+    if (this.isFunctionSource(trimmed)) {
+      return trimmed;
+    }
+    return `function() { ${trimmed} }`;
+  }
+
+  /**
+   * Whether a method source is method shorthand for the given name
+   * @param {string} name - Method name
+   * @param {string} source - Trimmed method source
+   * @returns {boolean}
+   */
+  isMethodShorthand(name, source) {
+    return isMethodShorthand(name, source);
+  }
+
+  /**
+   * Whether a method source is a function or arrow function expression
+   * @param {string} source - Trimmed method source
+   * @returns {boolean}
+   */
+  isFunctionSource(source) {
+    return isFunctionSource(source);
+  }
+
+  /**
+   * Convert string to PascalCase
+   * @param {string} str - Input string
+   * @returns {string} PascalCase string
+   */
+  toPascalCase(str) {
+    return str.replace(/(^\w|-\w)/g, (match) => 
+      match.replace('-', '').toUpperCase()
+    );
+  }
+
+  /**
+   * Convert string to kebab-case
+   * @param {string} str - Input string
+   * @returns {string} kebab-case string
+   */
+  toKebabCase(str) {
+    return str.replace(/[A-Z]/g, (match, offset) =>
+      (offset ? '-' : '') + match.toLowerCase()
+    );
+  }
+
+  /**
+   * Generate an example tag for a component
+   * @param {string} name - Component name
+   * @param {Array<Object>} props - Normalized prop schemas
+   * @returns {string} Example markup
+   */
+  generateUsageTag(name, props) {
+    const attributes = props.map(prop =>
+      prop.type === 'Boolean' ? prop.attribute : `${prop.attribute}="value"`
+    );
+    return `<${name}${attributes.map(attr => ` ${attr}`).join('')}></${name}>`;
+  }
+
+  /**
+   * Describe a normalized event detail schema for humans
+   * @param {Object} detail - Normalized detail schema
+   * @returns {string} Description, e.g. `{ reason: String, count?: Number }`
+   */
+  describeDetail(detail) {
+    if (!detail.fields) return detail.type;
+    const fields = Object.entries(detail.fields).map(([key, field]) =>
+      `${key}${field.required ? '' : '?'}: ${field.type}`
+    );
+    return `{ ${fields.join(', ')} }`;
+  }
+
+  /**
+   * Generate usage instructions
+   * @param {string} componentName - Component name
+   * @returns {string} Usage instructions
+   */
+  generateUsageInstructions(componentName) {
+    const component = this.resolve(componentName);
+    const tagName = component.name;
+    const events = this.normalizeEvents(component.events);
+    const listeners = events.length ? `4. Listen for events:
+${events.map(event => `   - ${event.name}${event.detail ? ` (detail: ${this.describeDetail(event.detail)})` : ''}`).join('\n')}
+` : '';
+
+    return `
+Usage Instructions:
+1. Copy the generated script to Project B
+2. Include it in your HTML: <script src="path/to/${tagName}.js"></script>
+3. Use the component: ${this.generateUsageTag(tagName, this.normalizeProps(component.props))}
+${listeners}`;
+  }
+
+  /**
+   * Generate a single self-contained HTML page documenting components: the
+   * version, props, events and usage of each, and a live preview with prop
+   * controls. The component scripts (and their dependencies) are inlined,
+   * so the page works offline. One version is included per tag.
+   * @param {Array<string>} names - Components to include, optionally with `@range` (default every component)
+   * @param {Object} options - Catalogue options
+   * @param {string} options.title - Page title (default `Component Catalogue`)
+   * @returns {Promise<string>} HTML document
+   */
+  async generateCatalogue(names, options = {}) {
+    const components = (names || [...this.registry.keys()].sort()).map(specifier => {
+      const component = this.resolve(specifier);
+      if (!component) {
+        throw new Error(`Component ${specifier} not found`);
+      }
+      return component;
+    });
+
+    // Dependencies first, so nested elements are defined by the time they render
+    const scripts = new Map();
+    for (const component of components) {
+      const bundle = await this.collectDependencies(component, async (name, range) => this.resolve(`${name}@${range}`));
+      [...bundle, component].forEach(data => {
+        if (!scripts.has(data.name)) scripts.set(data.name, this.generateScript(data));
+      });
+    }
+
+    return renderCatalogue({
+      title: options.title || 'Component Catalogue',
+      components: components.map(component => ({
+        name: component.name,
+        version: component.version,
+        description: typeof component.description === 'string' ? component.description : '',
+        props: this.normalizeProps(component.props),
+        events: this.normalizeEvents(component.events).map(event => ({
+          ...event,
+          detail: event.detail ? this.describeDetail(event.detail) : null
+        })),
+        usage: this.generateUsageInstructions(`${component.name}@${component.version}`).trim()
+      })),
+      scripts: [...scripts.values()]
+    });
+  }
+
+  /**
+   * Export components as one library bundle. The runtime and the element
+   * class scaffolding are embedded once, and dependencies are included, so
+   * a single script (or module) defines every selected component. One
+   * version is included per tag.
+   * @param {Array<string>} names - Components to include, optionally with `@range` (default every component)
+   * @param {Object} options - Library options
+   * @param {string} options.format - `iife` (default) or `esm`
+   * @param {boolean} options.lazy - Define each component when its tag first appears in the document
+   * @param {string} options.globalName - Global the `iife` library is assigned to (default `ComponentLibrary`)
+   * @returns {Promise<string>} Library source
+   */
+  async exportLibrary(names, options = {}) {
+    const { format = 'iife', lazy = false, globalName = 'ComponentLibrary' } = options;
+    if (!LIBRARY_FORMATS.includes(format)) {
+      throw new Error(`Unknown library format "${format}"; use ${LIBRARY_FORMATS.join(', ')}`);
+    }
+
+    const components = (names || [...this.registry.keys()].sort()).map(specifier => {
+      const component = this.resolve(specifier);
+      if (!component) {
+        throw new Error(`Component ${specifier} not found`);
+      }
+      return component;
+    });
+
+    // Dependencies first; a tag can only be defined once, so versions must agree
+    const included = new Map();
+    for (const component of components) {
+      const bundle = await this.collectDependencies(component, async (name, range) => this.resolve(`${name}@${range}`));
+      [...bundle, component].forEach(data => {
+        const existing = included.get(data.name);
+        if (existing && existing.version !== data.version) {
+          throw new Error(`Library needs both ${data.name}@${existing.version} and ${data.name}@${data.version}`);
+        }
+        included.set(data.name, data);
+      });
+    }
+
+    const bundled = [...included.values()];
+    return renderLibrary({
+      format,
+      globalName,
+      lazy,
+      manifest: {
+        format,
+        lazy: Boolean(lazy),
+        components: bundled.map(data => ({
+          name: data.name,
+          version: data.version,
+          className: this.toPascalCase(data.name),
+          dependencies: data.dependencies || {}
+        }))
+      },
+      themeCSS: this.theme.css,
+      elementClass: this.generateElementClass('ComponentElement', {
+        version: 'spec.version',
+        formAssociated: 'spec.formAssociated',
+        internals: 'spec.formAssociated ? runtime.attachInternals(this) : null',
+        initialState: 'runtime.cloneValue(spec.initialState)',
+        template: 'spec.template',
+        methods: ''
+      }),
+      components: bundled.map(data => ({
+        name: data.name,
+        dependencies: Object.keys(data.dependencies || {}),
+        spec: this.generateComponentSpec(data)
+      }))
+    });
+  }
+
+  /**
+   * Save component to cloud storage
+   * @param {Object} componentData - Component data
+   * @returns {Promise<Object>} Response from cloud storage
+   */
+  async saveToCloud(componentData) {
+    if (!this.config.apiEndpoint) {
+      throw new Error('API endpoint not configured');
+    }
+    
+    return this.cloud.save(componentData);
+  }
+
+  /**
+   * Load component from cloud storage
+   * @param {string} componentName - Component name
+   * @param {string} [range] - Version range the cloud should resolve
+   * @returns {Promise<Object>} Component data
+   */
+  async loadFromCloud(componentName, range) {
+    if (!this.config.apiEndpoint) {
+      throw new Error('API endpoint not configured');
+    }
+    
+    return this.cloud.load(componentName, range);
+  }
+
+  /**
+   * List or search components in cloud storage
+   * @param {Object} options - List options
+   * @param {string} options.search - Text to search for
+   * @param {number} options.page - Page number, starting at 1
+   * @param {number} options.limit - Page size
+   * @returns {Promise<Object>} `{ items, page, limit, total }`
+   */
+  async listFromCloud(options = {}) {
+    if (!this.config.apiEndpoint) {
+      throw new Error('API endpoint not configured');
+    }
+
+    return this.cloud.list(options);
+  }
+
+  /**
+   * Replace a component version in cloud storage
+   * @param {string} componentName - Component name or `name@range`
+   * @param {Object} options - Update options
+   * @param {string} options.etag - Only update if the stored version still has this ETag
+   * @returns {Promise<Object>} Response from cloud storage
+   */
+  async updateInCloud(componentName, options = {}) {
+    if (!this.config.apiEndpoint) {
+      throw new Error('API endpoint not configured');
+    }
+
+    const { data } = await this.export(componentName);
+    return this.cloud.update(data, options);
+  }
+
+  /**
+   * Delete a component, or one version of it, from cloud storage
+   * @param {string} specifier - Component name, or `name@version` for one version
+   * @returns {Promise<Object>} Response from cloud storage
+   */
+  async deleteFromCloud(specifier) {
+    if (!this.config.apiEndpoint) {
+      throw new Error('API endpoint not configured');
+    }
+
+    const { name, range } = this.parseSpecifier(specifier);
+    return this.cloud.delete(name, range || undefined);
+  }
+
+  /**
+   * Register component from data
+   * @param {Object} componentData - Component data
+   * @param {Object} options - Registration options
+   * @param {string} options.alias - Tag to register this version under instead of its name
+   * @returns {string} Registered tag name
+   */
+  registerFromData(componentData, options = {}) {
+    const { alias, ...overrides } = options;
+    const tagName = alias || componentData.name;
+    const version = componentData.version || '1.0.0';
+    const existing = typeof customElements !== 'undefined' && customElements.get(tagName);
+
+    // Hot mode swaps in newer versions; anything else needs its own tag
+    const hotUpdate = this.config.hot && existing && typeof existing.replaceImplementation === 'function' &&
+      this.replacesRegistered(existing, version);
+    if (existing && existing.version !== version && !hotUpdate) {
+      throw new Error(
+        `<${tagName}> is already defined${existing.version ? ` with version ${existing.version}` : ''}; ` +
+        `import ${componentData.name}@${version} with { alias } to register it under another tag`
+      );
+    }
+
+    this.registerWebComponent(tagName, { ...this.definitionFromData({ ...componentData, version }), ...overrides });
+    this.addToRegistry({ ...componentData, version });
+    this.persist({ ...componentData, version });
+    if (alias) {
+      this.aliases.set(alias, { name: componentData.name, version });
+    }
+    
+    return tagName;
+  }
+
+  /**
+   * Rebuild a live component definition from component data
+   * @param {Object} componentData - Component data
+   * @returns {Object} Component definition
+   */
+  definitionFromData(componentData) {
+    // Templates that return a plain template literal are tagged with `html`,
+    // so data from elsewhere cannot insert unescaped markup
+    const template = this.methodExpression('template', tagTemplateSource(componentData.template));
+    const definition = {
+      version: componentData.version,
+      props: componentData.props,
+      template: new Function('html', `return ${template}`)(runtime.html),
+      styles: componentData.styles,
+      events: componentData.events,
+      initialState: componentData.initialState,
+      formAssociated: componentData.formAssociated,
+      stores: componentData.stores,
+      methods: {}
+    };
+    const revive = sources => Object.fromEntries(Object.entries(sources).map(([name, source]) =>
+      [name, new Function(`return ${this.methodExpression(name, source)}`)()]
+    ));
+    if (componentData.computed) definition.computed = revive(componentData.computed);
+    if (componentData.watch) definition.watch = revive(componentData.watch);
+
+    // Reconstruct lifecycle hooks
+    Object.entries(componentData.hooks || {}).forEach(([hookName, source]) => {
+      if (LIFECYCLE_HOOKS.includes(hookName)) {
+        definition[hookName] = new Function(`return ${this.methodExpression(hookName, source)}`)();
+      }
+    });
+
+    // Reconstruct methods
+    if (componentData.methods) {
+      Object.keys(componentData.methods).forEach(methodName => {
+        definition.methods[methodName] = new Function(`return ${this.methodExpression(methodName, componentData.methods[methodName])}`)();
+      });
+    }
+
+    return definition;
+  }
+}
+
+/**
+ * Version of the component data format written by `define()` and `export()`
+ * @type {number}
+ */
+ComponentBuilder.FORMAT_VERSION = FORMAT_VERSION;
+
+/**
+ * Error class for component data that does not match the format
+ * @type {Function}
+ */
+ComponentBuilder.FormatError = FormatError;
+
+/**
+ * Local registry stores for the `storage` option
+ * @type {Function}
+ */
+ComponentBuilder.MemoryStore = MemoryStore;
+ComponentBuilder.LocalStorageStore = LocalStorageStore;
+ComponentBuilder.IndexedDBStore = IndexedDBStore;
+
+/**
+ * Error class for failed cloud requests
+ * @type {Function}
+ */
+ComponentBuilder.CloudError = CloudError;
+
+/**
+ * HTTP client for the /components API, usable without a builder
+ * @type {Function}
+ */
+ComponentBuilder.CloudClient = CloudClient;
+
+/**
+ * Error class for versions too low for their changes (`versionCheck`)
+ * @type {Function}
+ */
+ComponentBuilder.VersionError = VersionError;
+
+/**
+ * Error class for imports rejected by the trust policy
+ * @type {Function}
+ */
+ComponentBuilder.TrustError = TrustError;
+
+/**
+ * Tagged template for component templates that escapes interpolated values
+ * @type {Function}
+ */
+ComponentBuilder.html = runtime.html;
+
+/**
+ * Mark a string as trusted markup so `html` inserts it unescaped
+ * @type {Function}
+ */
+ComponentBuilder.unsafeHTML = runtime.unsafeHTML;
 
 // Export the main class
 export default ComponentBuilder;
@@ -0,0 +1,460 @@
+/**
+ * The component data interchange format: the shape `define()` records,
+ * `export()` writes and `import()` reads. Every record carries a
+ * `formatVersion`; older records are migrated forward before validation.
+ */
+import { isValidVersion, parseRange } from './semver.js';
+
+/**
+ * Current interchange format version. Data without a `formatVersion`
+ * predates versioning and is treated as version 0.
+ * @type {number}
+ */
+export const FORMAT_VERSION = 1;
+
+export const PROP_TYPES = ['String', 'Number', 'Boolean', 'Object', 'Array'];
+
+export const LIFECYCLE_HOOKS = [
+  'beforeMount',
+  'mounted',
+  'beforeUpdate',
+  'updated',
+  'propChanged',
+  'unmounted',
+  'adopted',
+  'onError',
+  // Form-associated elements only, named after the platform callbacks
+  'formAssociatedCallback',
+  'formDisabledCallback',
+  'formResetCallback',
+  'formStateRestoreCallback'
+];
+
+// Custom element names: lowercase, start with a letter and contain a hyphen
+const ELEMENT_NAME = /^[a-z][a-z0-9._]*-[a-z0-9._-]*$/;
+
+/**
+ * Error raised when component data does not match the interchange format
+ */
+export class FormatError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Array<{path: string, message: string}>} errors - Field-level errors
+   */
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'FormatError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Whether a function source is method shorthand for the given name
+ * @param {string} name - Method name
+ * @param {string} source - Trimmed function source
+ * @returns {boolean}
+ */
+export function isMethodShorthand(name, source) {
+  const escaped = name.replace(/[$]/g, '\\$');
+  return new RegExp(`^(async\\s+)?\\*?\\s*${escaped}\\s*\\(`).test(source);
+}
+
+/**
+ * Whether a source is a function or arrow function expression
+ * @param {string} source - Trimmed function source
+ * @returns {boolean}
+ */
+export function isFunctionSource(source) {
+  return /^(async\s+)?function\b/.test(source) ||
+    /^(async\s*)?(\([^)]*\)|[\w$]+)\s*=>/.test(source);
+}
+
+// Template sources that return a template literal: an arrow with an
+// expression body, or a function whose body is a single return statement
+const RETURNED_LITERALS = [
+  [/^((?:async\s*)?(?:\([^)]*\)|[\w$]+)\s*=>\s*)`/, /^\s*$/],
+  [/^((?:async\s+)?(?:function\b[^(]*|[\w$]+\s*)\([^)]*\)\s*\{\s*return\s*)`/, /^\s*;?\s*\}$/]
+];
+
+/**
+ * Read a template literal starting at a backtick, tagging untagged template
+ * literals in its interpolations with `html`
+ * @param {string} source - Source text
+ * @param {number} start - Index of the opening backtick
+ * @returns {{text: string, end: number}|null} Rewritten literal and the index after it
+ */
+function readTemplateLiteral(source, start) {
+  let text = '`';
+  let i = start + 1;
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '\\') {
+      text += source.slice(i, i + 2);
+      i += 2;
+    } else if (char === '`') {
+      return { text: text + char, end: i + 1 };
+    } else if (char === '$' && source[i + 1] === '{') {
+      const expression = readInterpolation(source, i + 2);
+      if (!expression) return null;
+      text += '${' + expression.text;
+      i = expression.end;
+    } else {
+      text += char;
+      i++;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read an interpolation up to and including its closing brace
+ * @param {string} source - Source text
+ * @param {number} start - Index after the opening `${`
+ * @returns {{text: string, end: number}|null} Rewritten interpolation and the index after it
+ */
+function readInterpolation(source, start) {
+  let text = '';
+  let depth = 0;
+  let i = start;
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '`') {
+      const literal = readTemplateLiteral(source, i);
+      if (!literal) return null;
+      // A literal right after an identifier or call is already tagged
+      text += (/[\w$)\]]\s*$/.test(text) ? '' : 'html') + literal.text;
+      i = literal.end;
+    } else if (char === '"' || char === '\'') {
+      let end = i + 1;
+      while (end < source.length && source[end] !== char) end += source[end] === '\\' ? 2 : 1;
+      text += source.slice(i, end + 1);
+      i = end + 1;
+    } else if (char === '}' && depth === 0) {
+      return { text: text + char, end: i + 1 };
+    } else {
+      if (char === '{') depth++;
+      if (char === '}') depth--;
+      text += char;
+      i++;
+    }
+  }
+  return null;
+}
+
+/**
+ * Tag a template that returns an untagged template literal with `html`, so
+ * its interpolations are escaped the way they are in `html` templates.
+ * Untagged literals nested in its interpolations are tagged too, which keeps
+ * lists built with `map()` as markup. The rewritten source expects `html` in
+ * scope; other sources are returned unchanged.
+ * @param {string} source - Template function source
+ * @returns {string} Template source
+ */
+export function tagTemplateSource(source) {
+  const trimmed = source.trim();
+  for (const [head, tail] of RETURNED_LITERALS) {
+    const match = trimmed.match(head);
+    const literal = match && readTemplateLiteral(trimmed, match[1].length);
+    if (literal && tail.test(trimmed.slice(literal.end))) {
+      return `${match[1]}html${literal.text}${trimmed.slice(literal.end)}`;
+    }
+  }
+  return source;
+}
+
+/**
+ * Migrations from each format version to the next
+ */
+const MIGRATIONS = {
+  // Version 0 stored templates either as function sources or as the body
+  // of a template literal, and left out fields the definition did not set
+  0: data => {
+    const template = typeof data.template === 'string' ? data.template.trim() : data.template;
+    const isBody = typeof template === 'string' &&
+      !isFunctionSource(template) && !isMethodShorthand('template', template);
+
+    return {
+      ...data,
+      formatVersion: 1,
+      version: data.version || '1.0.0',
+      props: data.props || [],
+      template: isBody
+        ? `function(props, state, helpers) { return helpers.html\`${data.template.replace(/`/g, '\\`')}\`; }`
+        : data.template,
+      styles: data.styles || '',
+      methods: data.methods || {},
+      events: data.events || [],
+      hooks: data.hooks || {},
+      dependencies: data.dependencies || {},
+      initialState: data.initialState || {}
+    };
+  }
+};
+
+/**
+ * Migrate component data, and any bundled dependencies, to the current format.
+ * Data from a newer or unknown format version is returned unchanged so that
+ * validation can report it.
+ * @param {Object} componentData - Component data in any known format version
+ * @returns {Object} Component data in the current format
+ */
+export function migrateComponentData(componentData) {
+  if (!isPlainObject(componentData)) return componentData;
+
+  let data = componentData;
+  let version = data.formatVersion === undefined ? 0 : data.formatVersion;
+  while (version < FORMAT_VERSION && MIGRATIONS[version]) {
+    data = MIGRATIONS[version](data);
+    version = data.formatVersion;
+  }
+
+  if (Array.isArray(data.bundle)) {
+    data = { ...data, bundle: data.bundle.map(migrateComponentData) };
+  }
+  return data;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isJSONValue(value) {
+  if (value === null || ['string', 'boolean'].includes(typeof value)) return true;
+  if (typeof value === 'number') return isFinite(value);
+  if (Array.isArray(value)) return value.every(isJSONValue);
+  return isPlainObject(value) && Object.keys(value).every(key => isJSONValue(value[key]));
+}
+
+function checkType(errors, path, type) {
+  if (!PROP_TYPES.includes(type)) {
+    errors.push({ path, message: `must be one of ${PROP_TYPES.join(', ')}` });
+  }
+}
+
+function checkFlags(errors, path, schema, flags) {
+  flags.forEach(flag => {
+    if (schema[flag] !== undefined && typeof schema[flag] !== 'boolean') {
+      errors.push({ path: `${path}.${flag}`, message: 'must be a boolean' });
+    }
+  });
+}
+
+function checkSources(errors, path, sources, allowed) {
+  if (!isPlainObject(sources)) {
+    errors.push({ path, message: 'must be an object of function sources' });
+    return;
+  }
+  Object.keys(sources).forEach(key => {
+    if (allowed && !allowed.includes(key)) {
+      errors.push({ path: `${path}.${key}`, message: `is not a lifecycle hook (${allowed.join(', ')})` });
+    } else if (typeof sources[key] !== 'string' || !sources[key].trim()) {
+      errors.push({ path: `${path}.${key}`, message: 'must be a function source string' });
+    }
+  });
+}
+
+function checkProps(errors, props) {
+  if (Array.isArray(props)) {
+    props.forEach((prop, index) => {
+      if (typeof prop === 'string') return;
+      if (!isPlainObject(prop) || typeof prop.name !== 'string') {
+        errors.push({ path: `props[${index}]`, message: 'must be a prop name or a schema with a name' });
+      }
+    });
+    return;
+  }
+  if (!isPlainObject(props)) {
+    errors.push({ path: 'props', message: 'must be an array of names or an object of prop schemas' });
+    return;
+  }
+
+  Object.keys(props).forEach(name => {
+    const schema = props[name];
+    const path = `props.${name}`;
+    if (typeof schema === 'string') {
+      checkType(errors, path, schema);
+      return;
+    }
+    if (!isPlainObject(schema)) {
+      errors.push({ path, message: 'must be a type name or a prop schema' });
+      return;
+    }
+    if (schema.type !== undefined) checkType(errors, `${path}.type`, schema.type);
+    if (schema.attribute !== undefined && typeof schema.attribute !== 'string') {
+      errors.push({ path: `${path}.attribute`, message: 'must be a string' });
+    }
+    if (schema.default !== undefined && !isJSONValue(schema.default)) {
+      errors.push({ path: `${path}.default`, message: 'must be JSON-serializable' });
+    }
+    checkFlags(errors, path, schema, ['required', 'reflect']);
+  });
+}
+
+function checkDetail(errors, path, detail) {
+  if (detail === null || detail === undefined) return;
+  if (typeof detail === 'string') {
+    checkType(errors, path, detail);
+    return;
+  }
+  if (!isPlainObject(detail)) {
+    errors.push({ path, message: 'must be a type name or an object of detail fields' });
+    return;
+  }
+
+  // Normalized detail schema: `{ type, required, fields? }`
+  if (detail.type && (detail.fields || typeof detail.required === 'boolean')) {
+    checkType(errors, `${path}.type`, detail.type);
+    if (detail.fields) checkDetail(errors, `${path}.fields`, detail.fields);
+    return;
+  }
+
+  Object.keys(detail).forEach(key => {
+    const field = detail[key];
+    const fieldPath = `${path}.${key}`;
+    if (typeof field === 'string') {
+      checkType(errors, fieldPath, field);
+    } else if (isPlainObject(field)) {
+      checkType(errors, `${fieldPath}.type`, field.type);
+      checkFlags(errors, fieldPath, field, ['required']);
+    } else {
+      errors.push({ path: fieldPath, message: 'must be a type name or `{ type, required }`' });
+    }
+  });
+}
+
+function checkEvents(errors, events) {
+  if (Array.isArray(events)) {
+    events.forEach((event, index) => {
+      if (typeof event !== 'string') {
+        errors.push({ path: `events[${index}]`, message: 'must be an event name' });
+      }
+    });
+    return;
+  }
+  if (!isPlainObject(events)) {
+    errors.push({ path: 'events', message: 'must be an array of names or an object of event contracts' });
+    return;
+  }
+
+  Object.keys(events).forEach(name => {
+    const contract = events[name];
+    const path = `events.${name}`;
+    if (!isPlainObject(contract)) {
+      errors.push({ path, message: 'must be an event contract object' });
+      return;
+    }
+    checkDetail(errors, `${path}.detail`, contract.detail);
+    checkFlags(errors, path, contract, ['bubbles', 'composed', 'cancelable']);
+  });
+}
+
+function checkDependencies(errors, dependencies) {
+  if (!isPlainObject(dependencies)) {
+    errors.push({ path: 'dependencies', message: 'must be an object of version ranges' });
+    return;
+  }
+  Object.keys(dependencies).forEach(name => {
+    let valid = typeof dependencies[name] === 'string';
+    try {
+      if (valid) parseRange(dependencies[name]);
+    } catch (error) {
+      valid = false;
+    }
+    if (!valid) {
+      errors.push({ path: `dependencies.${name}`, message: 'must be a valid version range' });
+    }
+  });
+}
+
+/**
+ * Collect the field-level errors of component data in the current format
+ * @param {Object} componentData - Component data
+ * @returns {Array<{path: string, message: string}>} Errors, empty when valid
+ */
+export function validateComponentData(componentData) {
+  if (!isPlainObject(componentData)) {
+    return [{ path: '', message: 'must be an object' }];
+  }
+
+  const errors = [];
+  const data = componentData;
+
+  if (data.formatVersion !== FORMAT_VERSION) {
+    const newer = typeof data.formatVersion === 'number' && data.formatVersion > FORMAT_VERSION;
+    errors.push({
+      path: 'formatVersion',
+      message: newer
+        ? `${data.formatVersion} is newer than the supported version ${FORMAT_VERSION}`
+        : `must be ${FORMAT_VERSION}`
+    });
+    return errors;
+  }
+
+  if (typeof data.name !== 'string' || !ELEMENT_NAME.test(data.name)) {
+    errors.push({ path: 'name', message: 'must be a valid custom element name (lowercase, with a hyphen)' });
+  }
+  if (typeof data.version !== 'string' || !isValidVersion(data.version)) {
+    errors.push({ path: 'version', message: 'must be a valid semver version' });
+  }
+  const template = typeof data.template === 'string' ? data.template.trim() : '';
+  if (!isFunctionSource(template) && !isMethodShorthand('template', template)) {
+    errors.push({ path: 'template', message: 'must be a function source string' });
+  }
+  if (typeof data.styles !== 'string') {
+    errors.push({ path: 'styles', message: 'must be a string' });
+  }
+  if (!isPlainObject(data.initialState) || !isJSONValue(data.initialState)) {
+    errors.push({ path: 'initialState', message: 'must be a JSON-serializable object' });
+  }
+  if (data.formAssociated !== undefined && typeof data.formAssociated !== 'boolean') {
+    errors.push({ path: 'formAssociated', message: 'must be a boolean' });
+  }
+
+  checkProps(errors, data.props);
+  checkEvents(errors, data.events);
+  checkSources(errors, 'methods', data.methods);
+  checkSources(errors, 'hooks', data.hooks, LIFECYCLE_HOOKS);
+  if (data.computed !== undefined) checkSources(errors, 'computed', data.computed);
+  if (data.watch !== undefined) checkSources(errors, 'watch', data.watch);
+  if (data.stores !== undefined &&
+    (!Array.isArray(data.stores) || !data.stores.every(name => typeof name === 'string' && name))) {
+    errors.push({ path: 'stores', message: 'must be an array of store names' });
+  }
+  checkDependencies(errors, data.dependencies);
+
+  if (data.bundle !== undefined) {
+    if (!Array.isArray(data.bundle)) {
+      errors.push({ path: 'bundle', message: 'must be an array of component data' });
+    } else {
+      data.bundle.forEach((dependency, index) => {
+        validateComponentData(dependency).forEach(error => {
+          errors.push({
+            path: `bundle[${index}]${error.path ? `.${error.path}` : ''}`,
+            message: error.message
+          });
+        });
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Migrate component data to the current format and validate it
+ * @param {Object} componentData - Component data in any known format version
+ * @returns {Object} Component data in the current format
+ * @throws {FormatError} When the data does not match the format
+ */
+export function readComponentData(componentData) {
+  const data = migrateComponentData(componentData);
+  const errors = validateComponentData(data);
+  if (errors.length) {
+    const label = isPlainObject(data) && typeof data.name === 'string'
+      ? `${data.name}${data.version ? `@${data.version}` : ''}`
+      : 'component';
+    const details = errors.map(error => `  - ${error.path || '(root)'}: ${error.message}`).join('\n');
+    throw new FormatError(`Invalid component data for ${label}:\n${details}`, errors);
+  }
+  return data;
+}
@@ -0,0 +1,64 @@
+/**
+ * Local registry store for Node: one JSON file per component version in a
+ * directory. Kept out of `stores.js` so browser bundles do not import `fs`.
+ */
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const EXTENSION = '.json';
+
+/**
+ * Store backed by a directory of JSON files
+ */
+export class FileSystemStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Directory the records are kept in (default `.components`)
+   */
+  constructor(options = {}) {
+    this.directory = path.resolve(options.directory || '.components');
+  }
+
+  file(name, version) {
+    return path.join(this.directory, `${encodeURIComponent(name)}@${encodeURIComponent(version)}${EXTENSION}`);
+  }
+
+  async files() {
+    try {
+      const entries = await fs.readdir(this.directory);
+      return entries
+        .filter(entry => entry.endsWith(EXTENSION))
+        .map(entry => path.join(this.directory, entry));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async getAll() {
+    const files = await this.files();
+    return Promise.all(files.map(async file => JSON.parse(await fs.readFile(file, 'utf8'))));
+  }
+
+  async set(componentData) {
+    const file = this.file(componentData.name, componentData.version);
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.mkdir(this.directory, { recursive: true });
+    // Write then rename, so a crash never leaves a half-written record
+    await fs.writeFile(temporary, JSON.stringify(componentData, null, 2));
+    await fs.rename(temporary, file);
+  }
+
+  async delete(name, version) {
+    try {
+      await fs.unlink(this.file(name, version));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async clear() {
+    const files = await this.files();
+    await Promise.all(files.map(file => fs.unlink(file)));
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * Integrity hashes, signatures and trust policy checks for exported
+ * component data. Uses WebCrypto (`crypto.subtle`), available in browsers
+ * and Node 18+.
+ */
+
+/**
+ * Error raised when imported component data fails the trust policy
+ */
+export class TrustError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} code - Machine-readable reason, e.g. `SIGNATURE_INVALID`
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'TrustError';
+    this.code = code;
+  }
+}
+
+// Fields that describe the payload rather than belong to it
+const UNSIGNED_FIELDS = ['integrity', 'signature'];
+
+const ALGORITHMS = {
+  Ed25519: {
+    sign: { name: 'Ed25519' },
+    importKey: () => ({ name: 'Ed25519' }),
+    isJWK: jwk => jwk.kty === 'OKP' && jwk.crv === 'Ed25519'
+  },
+  ECDSA: {
+    sign: { name: 'ECDSA', hash: 'SHA-256' },
+    importKey: jwk => ({ name: 'ECDSA', namedCurve: (jwk && jwk.crv) || 'P-256' }),
+    isJWK: jwk => jwk.kty === 'EC'
+  }
+};
+
+// Policies and signatures come from users and the network, so lookups by
+// their keys must not reach Object.prototype
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+function getSubtle() {
+  const subtle = typeof crypto !== 'undefined' && crypto.subtle;
+  if (!subtle) {
+    throw new Error('WebCrypto (crypto.subtle) is not available in this environment');
+  }
+  return subtle;
+}
+
+// DataView rather than Uint8Array keeps Babel from pulling in typed array polyfills
+function toBase64(buffer) {
+  const view = new DataView(buffer);
+  let binary = '';
+  for (let i = 0; i < view.byteLength; i++) binary += String.fromCharCode(view.getUint8(i));
+  return btoa(binary);
+}
+
+function fromBase64(value) {
+  const binary = atob(value);
+  const view = new DataView(new ArrayBuffer(binary.length));
+  for (let i = 0; i < binary.length; i++) view.setUint8(i, binary.charCodeAt(i));
+  return view.buffer;
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value === null || typeof value !== 'object') return value;
+  const sorted = {};
+  Object.keys(value).sort().forEach(key => {
+    sorted[key] = sortKeys(value[key]);
+  });
+  return sorted;
+}
+
+/**
+ * Serialize component data deterministically (sorted keys, no signature fields)
+ * @param {Object} componentData - Component data
+ * @returns {string} Canonical JSON
+ */
+export function canonicalize(componentData) {
+  const payload = JSON.parse(JSON.stringify(componentData));
+  UNSIGNED_FIELDS.forEach(field => delete payload[field]);
+  return JSON.stringify(sortKeys(payload));
+}
+
+/**
+ * Compute the SHA-256 integrity string of component data
+ * @param {Object} componentData - Component data
+ * @returns {Promise<string>} Integrity string, e.g. `sha256-<base64>`
+ */
+export async function computeIntegrity(componentData) {
+  const digest = await getSubtle().digest('SHA-256', new TextEncoder().encode(canonicalize(componentData)));
+  return `sha256-${toBase64(digest)}`;
+}
+
+/**
+ * Add an integrity hash and a signature to component data
+ * @param {Object} componentData - Component data
+ * @param {Object} signing - Signing options
+ * @param {CryptoKey} signing.privateKey - Ed25519 or ECDSA (P-256) private key
+ * @param {string} signing.keyId - Identifier consumers pin the public key under
+ * @returns {Promise<Object>} Signed component data
+ */
+export async function signComponent(componentData, signing) {
+  const algorithm = signing.privateKey && signing.privateKey.algorithm && signing.privateKey.algorithm.name;
+  if (!ALGORITHMS[algorithm]) {
+    throw new Error(`Unsupported signing key algorithm "${algorithm}"; use Ed25519 or ECDSA`);
+  }
+
+  const payload = new TextEncoder().encode(canonicalize(componentData));
+  const signature = await getSubtle().sign(ALGORITHMS[algorithm].sign, signing.privateKey, payload);
+
+  return {
+    ...componentData,
+    integrity: await computeIntegrity(componentData),
+    signature: {
+      algorithm,
+      keyId: signing.keyId || null,
+      value: toBase64(signature)
+    }
+  };
+}
+
+function isKeyFor(key, algorithm) {
+  if (!key || typeof key !== 'object') return false;
+  if (key.algorithm) return key.algorithm.name === algorithm;
+  return ALGORITHMS[algorithm].isJWK(key);
+}
+
+async function toPublicKey(key, algorithm) {
+  if (typeof CryptoKey !== 'undefined' && key instanceof CryptoKey) return key;
+  if (key && key.type === 'public' && key.algorithm) return key;
+  return getSubtle().importKey('jwk', key, ALGORITHMS[algorithm].importKey(key), false, ['verify']);
+}
+
+function describe(componentData) {
+  return `${componentData.name}@${componentData.version}`;
+}
+
+/**
+ * Check the origin of a network source against the policy
+ * @param {string} url - Source URL
+ * @param {Object} policy - Trust policy
+ * @throws {TrustError} ORIGIN_NOT_ALLOWED
+ */
+export function verifyOrigin(url, policy = {}) {
+  if (!policy.allowedOrigins) return;
+  const origin = new URL(url).origin;
+  if (!policy.allowedOrigins.includes(origin)) {
+    throw new TrustError(`Origin ${origin} is not in the allowed origins`, 'ORIGIN_NOT_ALLOWED');
+  }
+}
+
+/**
+ * Verify component data against a trust policy
+ * @param {Object} componentData - Component data
+ * @param {Object} policy - Trust policy
+ * @param {boolean} policy.requireSignature - Reject unsigned data
+ * @param {Object} policy.publicKeys - Pinned public keys (CryptoKey or JWK) by key id
+ * @param {Object} policy.integrity - Expected integrity strings by `name@version` or name
+ * @param {string} expectedIntegrity - Integrity pinned for this import
+ * @throws {TrustError} INTEGRITY_MISMATCH, SIGNATURE_REQUIRED, UNTRUSTED_KEY or SIGNATURE_INVALID
+ */
+export async function verifyComponent(componentData, policy = {}, expectedIntegrity) {
+  const pinned = expectedIntegrity ||
+    (policy.integrity && (policy.integrity[describe(componentData)] || policy.integrity[componentData.name]));
+  const needsHash = pinned || componentData.integrity;
+
+  if (needsHash) {
+    const actual = await computeIntegrity(componentData);
+    if (componentData.integrity && componentData.integrity !== actual) {
+      throw new TrustError(`Integrity of ${describe(componentData)} does not match its contents`, 'INTEGRITY_MISMATCH');
+    }
+    if (pinned && pinned !== actual) {
+      throw new TrustError(`Integrity of ${describe(componentData)} does not match the pinned hash`, 'INTEGRITY_MISMATCH');
+    }
+  }
+
+  const { signature } = componentData;
+  if (!signature) {
+    if (policy.requireSignature) {
+      throw new TrustError(`${describe(componentData)} is not signed`, 'SIGNATURE_REQUIRED');
+    }
+    return;
+  }
+  if (!policy.publicKeys) {
+    if (policy.requireSignature) {
+      throw new TrustError(`No public keys are pinned to verify ${describe(componentData)}`, 'UNTRUSTED_KEY');
+    }
+    return;
+  }
+
+  const keys = signature.keyId
+    ? [hasOwn(policy.publicKeys, signature.keyId) && policy.publicKeys[signature.keyId]].filter(Boolean)
+    : Object.values(policy.publicKeys);
+  if (!keys.length || !hasOwn(ALGORITHMS, signature.algorithm)) {
+    throw new TrustError(
+      `${describe(componentData)} is signed with untrusted key ${signature.keyId || '(no key id)'}`,
+      'UNTRUSTED_KEY'
+    );
+  }
+
+  let value;
+  try {
+    value = fromBase64(String(signature.value));
+  } catch (error) {
+    throw new TrustError(`Signature of ${describe(componentData)} is malformed`, 'SIGNATURE_INVALID');
+  }
+
+  // Keys for another algorithm cannot have made the signature, and keys that
+  // fail to import or verify do not vouch for it either
+  const payload = new TextEncoder().encode(canonicalize(componentData));
+  for (const key of keys.filter(key => isKeyFor(key, signature.algorithm))) {
+    try {
+      const publicKey = await toPublicKey(key, signature.algorithm);
+      if (await getSubtle().verify(ALGORITHMS[signature.algorithm].sign, publicKey, value, payload)) return;
+    } catch (error) {
+      // Treated like a signature that does not match
+    }
+  }
+  throw new TrustError(`Signature of ${describe(componentData)} is invalid`, 'SIGNATURE_INVALID');
+}
@@ -0,0 +1,162 @@
+/**
+ * Library bundles: many components in one script that embeds the runtime
+ * and the element class scaffolding once. Each component ships as a spec
+ * that is only evaluated when the component is defined, either at load or,
+ * in lazy mode, the first time its tag appears in the document.
+ */
+import { createRuntime } from './runtime.js';
+
+export const LIBRARY_FORMATS = ['iife', 'esm'];
+
+/**
+ * Library loader: defines components on demand, dependencies first.
+ * Embedded via toString(), so like the runtime it avoids syntax that needs
+ * transpiler helpers.
+ */
+function libraryLoader(createElementClass, components, manifest, lazy) {
+  'use strict';
+
+  const names = Object.keys(components);
+  const selector = names.join(',');
+
+  function has(name) {
+    return Object.prototype.hasOwnProperty.call(components, name);
+  }
+
+  function define(name) {
+    if (!has(name)) throw new Error('Component ' + name + ' is not in this library');
+    const component = components[name];
+    const existing = customElements.get(name);
+    if (existing) {
+      if (existing !== component.element) {
+        console.warn('Component ' + name + ' already registered');
+        component.element = existing;
+      }
+      return existing;
+    }
+
+    component.dependencies.forEach(function(dependency) {
+      if (has(dependency)) define(dependency);
+    });
+    component.element = createElementClass(component.create());
+    customElements.define(name, component.element);
+    return component.element;
+  }
+
+  function defineAll() {
+    return names.map(define);
+  }
+
+  function scan(node) {
+    if (node.nodeType === 1 && has(node.localName)) define(node.localName);
+    if (!selector || typeof node.querySelectorAll !== 'function') return;
+    const found = node.querySelectorAll(selector);
+    for (let i = 0; i < found.length; i++) define(found[i].localName);
+  }
+
+  /**
+   * Define components as their tags are added under a root. Tags rendered
+   * inside a component's shadow root are covered by its declared
+   * dependencies; other shadow roots can be observed separately.
+   */
+  function observe(root) {
+    scan(root);
+    const observer = new MutationObserver(function(records) {
+      records.forEach(function(record) {
+        Array.prototype.forEach.call(record.addedNodes, scan);
+      });
+    });
+    observer.observe(root, { childList: true, subtree: true });
+    return observer;
+  }
+
+  if (!lazy) {
+    defineAll();
+  } else if (typeof document !== 'undefined') {
+    observe(document);
+  }
+
+  return {
+    manifest: manifest,
+    define: define,
+    defineAll: defineAll,
+    observe: observe
+  };
+}
+
+/**
+ * Render a library bundle
+ * @param {Object} library - Bundle contents
+ * @param {string} library.format - `iife` (assigns the library to `window[globalName]`) or `esm`
+ * @param {string} library.globalName - Global the IIFE library is assigned to
+ * @param {boolean} library.lazy - Define components on first use instead of at load
+ * @param {Object} library.manifest - Description of the bundled components
+ * @param {string} library.themeCSS - Theme CSS shared by every component
+ * @param {string} library.elementClass - `ComponentElement` class declaration reading its spec from scope
+ * @param {Array<Object>} library.components - `{ name, dependencies, spec }`, dependencies first,
+ *   where `spec` is the source of the component's spec object
+ * @returns {string} Library source
+ */
+export function renderLibrary({ format, globalName, lazy, manifest, themeCSS, elementClass, components }) {
+  const entries = components.map(component => `${JSON.stringify(component.name)}: {
+      dependencies: ${JSON.stringify(component.dependencies)},
+      create: function() {
+        return ${component.spec};
+      }
+    }`);
+
+  // The class only interpolates single-line expressions, so re-indenting it is safe
+  const library = `(function() {
+  'use strict';
+
+  const runtime = (${createRuntime.toString()})();
+  const theme = ${themeCSS ? `runtime.sharedStyles(${JSON.stringify(themeCSS)})` : 'null'};
+  const manifest = ${JSON.stringify(manifest, null, 2).replace(/\n/g, '\n  ')};
+
+  // The element class scaffolding, shared by every component
+  function createElementClass(spec) {
+    const props = spec.props;
+    const events = spec.events;
+    const hooks = spec.hooks;
+    const computed = spec.computed;
+    const watch = spec.watch;
+    const storeNames = spec.stores;
+    const styles = spec.styles;
+
+    ${elementClass.replace(/\n(?=.)/g, '\n  ')}
+
+    Object.defineProperty(ComponentElement, 'name', { value: spec.className });
+    Object.keys(spec.methods).forEach(function(name) {
+      Object.defineProperty(ComponentElement.prototype, name, {
+        configurable: true,
+        writable: true,
+        value: spec.methods[name]
+      });
+    });
+    runtime.defineAccessors(ComponentElement.prototype, props, hooks);
+    if (spec.formAssociated) runtime.defineFormMembers(ComponentElement.prototype);
+    return ComponentElement;
+  }
+
+  // Specs are only evaluated when their component is defined
+  const components = {${entries.length ? `\n    ${entries.join(',\n    ')}\n  ` : ''}};
+
+  return (${libraryLoader.toString()})(createElementClass, components, manifest, ${Boolean(lazy)});
+})()`;
+
+  const header = `// Generated component library: ${manifest.components.map(component => `${component.name}@${component.version}`).join(', ')}`;
+  if (format === 'esm') {
+    return `${header}
+const library = ${library};
+
+export const manifest = library.manifest;
+export const define = library.define;
+export const defineAll = library.defineAll;
+export const observe = library.observe;
+export default library;
+`;
+  }
+  return `${header}
+window[${JSON.stringify(globalName)}] = ${library};
+`;
+}
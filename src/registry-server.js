@@ -0,0 +1,328 @@
+/**
+ * Reference registry server for the `/components` API used by the cloud
+ * client. Node only: stores component data on the filesystem (or any
+ * local registry store), validates payloads against the data format and
+ * protects writes with bearer tokens.
+ */
+import http from 'http';
+import { createHash, timingSafeEqual } from 'crypto';
+import { FileSystemStore } from './fs-store.js';
+import { readComponentData } from './format.js';
+import { compareVersions, isValidVersion, maxSatisfying, parseRange } from './semver.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Error with an HTTP status, turned into a JSON error response
+ */
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function etagOf(componentData) {
+  return `"${createHash('sha256').update(JSON.stringify(componentData)).digest('base64')}"`;
+}
+
+function sameToken(actual, expected) {
+  const a = Buffer.from(actual);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+function readBody(request, maxBodySize) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (tooLarge) return;
+      if (size > maxBodySize) {
+        // Keep draining without keeping the body, so the 413 response can be sent
+        tooLarge = true;
+        chunks.length = 0;
+        reject(new HttpError(413, `Request body is larger than ${maxBodySize} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => {
+      if (tooLarge) return;
+      const text = Buffer.concat(chunks).toString('utf8');
+      try {
+        resolve(text ? JSON.parse(text) : null);
+      } catch (error) {
+        reject(new HttpError(400, `Request body is not valid JSON: ${error.message}`));
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Create a request handler for the registry API
+ * @param {Object} options - Server options
+ * @param {string} options.directory - Directory component data is stored in (default `./registry-data`)
+ * @param {Object} options.storage - Store to use instead of the directory (see `stores.js`)
+ * @param {string|Array<string>} options.tokens - Bearer tokens accepted for writes; none disables auth
+ * @param {boolean} options.publicRead - Allow reads without a token (default true)
+ * @param {string} options.basePath - Path the API is mounted under, e.g. `/api`
+ * @param {string|null} options.cors - `Access-Control-Allow-Origin` value (default `*`, null disables CORS)
+ * @param {number} options.maxBodySize - Largest accepted request body in bytes (default 1 MB)
+ * @returns {Function} `(request, response) => Promise<void>`
+ */
+export function createRegistryHandler(options = {}) {
+  const storage = options.storage || new FileSystemStore({ directory: options.directory || './registry-data' });
+  const tokens = [].concat(options.tokens || []);
+  const publicRead = options.publicRead !== false;
+  const basePath = (options.basePath || '').replace(/\/+$/, '');
+  const cors = options.cors === undefined ? '*' : options.cors;
+  const maxBodySize = options.maxBodySize || 1024 * 1024;
+
+  // Component data keyed by name then version, loaded on the first request
+  let index = null;
+  // Writes run one at a time so checks and updates do not interleave
+  let writes = Promise.resolve();
+
+  async function load() {
+    if (!index) {
+      index = storage.getAll().then(records => {
+        const components = new Map();
+        records.forEach(record => {
+          if (!components.has(record.name)) components.set(record.name, new Map());
+          components.get(record.name).set(record.version, record);
+        });
+        return components;
+      });
+    }
+    return index;
+  }
+
+  function exclusive(operation) {
+    const result = writes.then(operation);
+    writes = result.catch(() => {});
+    return result;
+  }
+
+  function authorize(request, write) {
+    if (!tokens.length || (!write && publicRead)) return;
+    const match = /^Bearer\s+(.+)$/i.exec(request.headers.authorization || '');
+    if (!match || !tokens.some(token => sameToken(match[1], token))) {
+      throw new HttpError(401, 'A valid bearer token is required', { 'WWW-Authenticate': 'Bearer' });
+    }
+  }
+
+  function validate(body, name, version) {
+    let data;
+    try {
+      data = readComponentData(body);
+    } catch (error) {
+      throw new HttpError(422, error.message, { errors: error.errors });
+    }
+    if (name && data.name !== name) {
+      throw new HttpError(422, `Body is for ${data.name}, not ${name}`);
+    }
+    if (version && data.version !== version) {
+      throw new HttpError(422, `Body is for version ${data.version}, not ${version}`);
+    }
+    return data;
+  }
+
+  function sortedVersions(versions) {
+    return [...versions.keys()].sort(compareVersions);
+  }
+
+  async function findVersions(name) {
+    const versions = (await load()).get(name);
+    if (!versions || !versions.size) {
+      throw new HttpError(404, `No component ${name}`);
+    }
+    return versions;
+  }
+
+  async function list(query) {
+    const components = await load();
+    const search = (query.get('q') || '').toLowerCase();
+    const page = Math.max(1, parseInt(query.get('page'), 10) || 1);
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.get('limit'), 10) || DEFAULT_LIMIT));
+
+    const items = [...components.keys()].sort().map(name => {
+      const versions = sortedVersions(components.get(name));
+      const latest = components.get(name).get(versions[versions.length - 1]);
+      return { name, version: latest.version, versions, description: latest.description || null };
+    }).filter(item => !search ||
+      item.name.includes(search) || (item.description || '').toLowerCase().includes(search));
+
+    return {
+      status: 200,
+      body: { items: items.slice((page - 1) * limit, page * limit), page, limit, total: items.length }
+    };
+  }
+
+  async function get(request, name, range) {
+    if (range) {
+      try {
+        parseRange(range);
+      } catch (error) {
+        throw new HttpError(400, `Invalid version range "${range}"`);
+      }
+    }
+    const versions = await findVersions(name);
+    const version = range
+      ? maxSatisfying([...versions.keys()], range)
+      : sortedVersions(versions).pop();
+    if (!version) {
+      throw new HttpError(404, `No version of ${name} satisfies ${range}`);
+    }
+
+    const data = versions.get(version);
+    const etag = etagOf(data);
+    if (request.headers['if-none-match'] === etag) {
+      return { status: 304, headers: { ETag: etag } };
+    }
+    return { status: 200, body: data, headers: { ETag: etag } };
+  }
+
+  async function create(request) {
+    const body = await readBody(request, maxBodySize);
+    const data = validate(body);
+    return exclusive(async () => {
+      const components = await load();
+      if (components.has(data.name) && components.get(data.name).has(data.version)) {
+        throw new HttpError(409, `${data.name}@${data.version} already exists; use PUT to replace it`);
+      }
+      // Store what was sent, so signatures over the original payload still verify
+      await storage.set(body);
+      if (!components.has(data.name)) components.set(data.name, new Map());
+      components.get(data.name).set(data.version, body);
+      const etag = etagOf(body);
+      return { status: 201, body: { name: data.name, version: data.version, etag }, headers: { ETag: etag } };
+    });
+  }
+
+  async function replace(request, name, version) {
+    if (!version || !isValidVersion(version)) {
+      throw new HttpError(400, 'PUT requires an exact ?version=');
+    }
+    const body = await readBody(request, maxBodySize);
+    validate(body, name, version);
+    return exclusive(async () => {
+      const components = await load();
+      const current = components.has(name) ? components.get(name).get(version) : undefined;
+      const expected = request.headers['if-match'];
+      if (expected && (!current || (expected !== '*' && expected !== etagOf(current)))) {
+        throw new HttpError(412, `${name}@${version} has changed since it was read`);
+      }
+
+      await storage.set(body);
+      if (!components.has(name)) components.set(name, new Map());
+      components.get(name).set(version, body);
+      const etag = etagOf(body);
+      return { status: current ? 200 : 201, body: { name, version, etag }, headers: { ETag: etag } };
+    });
+  }
+
+  async function remove(name, version) {
+    return exclusive(async () => {
+      const versions = await findVersions(name);
+      const removed = version ? [version].filter(v => versions.has(v)) : sortedVersions(versions);
+      if (!removed.length) {
+        throw new HttpError(404, `No version ${version} of ${name}`);
+      }
+      for (const v of removed) {
+        await storage.delete(name, v);
+        versions.delete(v);
+      }
+      if (!versions.size) (await load()).delete(name);
+      return { status: 200, body: { name, deleted: removed } };
+    });
+  }
+
+  async function route(request) {
+    const url = new URL(request.url, 'http://registry');
+    if (basePath && url.pathname !== basePath && !url.pathname.startsWith(`${basePath}/`)) {
+      throw new HttpError(404, `Not found: ${url.pathname}`);
+    }
+    let segments;
+    try {
+      segments = url.pathname.slice(basePath.length).split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+      throw new HttpError(400, `Invalid percent-encoding in ${url.pathname}`);
+    }
+    const method = request.method;
+    const version = url.searchParams.get('version');
+
+    if (segments[0] !== 'components' || segments.length > 3 || (segments.length === 3 && segments[2] !== 'versions')) {
+      throw new HttpError(404, `Not found: ${url.pathname}`);
+    }
+    const write = !['GET', 'HEAD'].includes(method);
+    const allowed = segments.length === 1
+      ? ['GET', 'HEAD', 'POST']
+      : segments.length === 2 ? ['GET', 'HEAD', 'PUT', 'DELETE'] : ['GET', 'HEAD'];
+    if (!allowed.includes(method)) {
+      throw new HttpError(405, `${method} is not allowed on ${url.pathname}`, { Allow: allowed.join(', ') });
+    }
+    authorize(request, write);
+
+    const name = segments[1];
+    if (segments.length === 1) {
+      return method === 'POST' ? create(request) : list(url.searchParams);
+    }
+    if (segments.length === 3) {
+      return { status: 200, body: { name, versions: sortedVersions(await findVersions(name)) } };
+    }
+    if (method === 'PUT') return replace(request, name, version);
+    if (method === 'DELETE') return remove(name, version);
+    return get(request, name, version);
+  }
+
+  return async function handle(request, response) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (cors) {
+      headers['Access-Control-Allow-Origin'] = cors;
+      headers['Access-Control-Expose-Headers'] = 'ETag';
+    }
+
+    if (request.method === 'OPTIONS' && cors) {
+      response.writeHead(204, {
+        ...headers,
+        'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': request.headers['access-control-request-headers'] || 'Authorization, Content-Type',
+        'Access-Control-Max-Age': '600'
+      });
+      response.end();
+      return;
+    }
+
+    let result;
+    try {
+      result = await route(request);
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      const { errors, ...extraHeaders } = error instanceof HttpError ? error.details : {};
+      if (status === 500) console.error(error);
+      result = {
+        status,
+        headers: extraHeaders,
+        body: { error: status === 500 ? 'Internal server error' : error.message, ...(errors ? { errors } : {}) }
+      };
+    }
+
+    response.writeHead(result.status, { ...headers, ...result.headers });
+    response.end(result.body === undefined ? undefined : JSON.stringify(result.body));
+  };
+}
+
+/**
+ * Create an HTTP server for the registry API. Call `listen()` to start it.
+ * @param {Object} options - Server options (see `createRegistryHandler`)
+ * @returns {http.Server} Server
+ */
+export function createRegistryServer(options = {}) {
+  return http.createServer(createRegistryHandler(options));
+}
@@ -0,0 +1,838 @@
+/**
+ * Runtime helpers shared by live components and generated scripts.
+ *
+ * Everything lives inside a single factory so the whole runtime can be
+ * embedded in generated scripts via `createRuntime.toString()`. Keep the
+ * body self-contained: no imports, and no syntax that needs transpiler
+ * helpers (object/array spread, destructuring, for...of, classes).
+ * @returns {Object} Runtime helpers
+ */
+export function createRuntime() {
+  function cloneValue(value) {
+    return value !== null && typeof value === 'object'
+      ? JSON.parse(JSON.stringify(value))
+      : value;
+  }
+
+  function defaultFor(prop) {
+    if (prop.default !== undefined) return cloneValue(prop.default);
+    return prop.type === 'String' ? '' : null;
+  }
+
+  function fromAttribute(value, prop) {
+    if (value === null || value === undefined) return defaultFor(prop);
+    switch (prop.type) {
+    case 'Number':
+      return value.trim() === '' ? defaultFor(prop) : Number(value);
+    case 'Boolean':
+      return value !== 'false';
+    case 'Object':
+    case 'Array':
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        console.warn('Invalid JSON in attribute "' + prop.attribute + '": ' + value);
+        return defaultFor(prop);
+      }
+    default:
+      return value;
+    }
+  }
+
+  function toAttribute(value, prop) {
+    if (value === null || value === undefined) return null;
+    if (prop.type === 'Boolean') return value ? '' : null;
+    if (prop.type === 'Object' || prop.type === 'Array') return JSON.stringify(value);
+    return String(value);
+  }
+
+  function findProp(props, attribute) {
+    for (let i = 0; i < props.length; i++) {
+      if (props[i].attribute === attribute) return props[i];
+    }
+    return null;
+  }
+
+  function reflectProp(el, prop) {
+    const value = toAttribute(el.props[prop.name], prop);
+    el._reflecting = true;
+    try {
+      if (value === null) {
+        el.removeAttribute(prop.attribute);
+      } else if (el.getAttribute(prop.attribute) !== value) {
+        el.setAttribute(prop.attribute, value);
+      }
+    } finally {
+      el._reflecting = false;
+    }
+  }
+
+  /**
+   * Fill `el.props` from attributes, pre-upgrade property values and defaults
+   */
+  function initProps(el, props) {
+    props.forEach(function(prop) {
+      // A property assigned before the element was upgraded shadows the accessor
+      if (Object.prototype.hasOwnProperty.call(el, prop.name)) {
+        const value = el[prop.name];
+        delete el[prop.name];
+        el.props[prop.name] = value;
+      } else if (el.hasAttribute(prop.attribute)) {
+        el.props[prop.name] = fromAttribute(el.getAttribute(prop.attribute), prop);
+      } else if (!(prop.name in el.props)) {
+        el.props[prop.name] = defaultFor(prop);
+      }
+      if (prop.reflect) reflectProp(el, prop);
+    });
+    el._propsReady = true;
+  }
+
+  function checkRequired(el, props) {
+    props.forEach(function(prop) {
+      const value = el.props[prop.name];
+      if (prop.required && (value === null || value === undefined || value === '')) {
+        console.warn('<' + el.localName + '> is missing required prop "' + prop.name + '"');
+      }
+    });
+  }
+
+  /**
+   * Call a lifecycle hook, routing anything it throws to `onError`
+   */
+  function callHook(el, hooks, name, args) {
+    if (!hooks || typeof hooks[name] !== 'function') return undefined;
+    try {
+      return hooks[name].apply(el, args || []);
+    } catch (error) {
+      handleError(el, hooks, error, name);
+      return undefined;
+    }
+  }
+
+  /**
+   * Pass an error to the `onError` hook, or rethrow it when there is none
+   * @param {string} phase - Where the error happened (hook name, 'render', 'event' or 'watch')
+   */
+  function handleError(el, hooks, error, phase) {
+    if (!hooks || typeof hooks.onError !== 'function' || phase === 'onError') throw error;
+    hooks.onError.call(el, error, phase);
+  }
+
+  function propChanged(el, hooks, prop, oldValue, newValue) {
+    if (el._propsReady && oldValue !== newValue) {
+      callHook(el, hooks, 'propChanged', [prop.name, oldValue, newValue]);
+    }
+  }
+
+  /**
+   * Apply an attribute change to `el.props`
+   * @returns {boolean} Whether the prop value was updated
+   */
+  function attributeChanged(el, props, attribute, value, hooks) {
+    if (el._reflecting) return false;
+    const prop = findProp(props, attribute);
+    if (!prop) return false;
+    const oldValue = el.props[prop.name];
+    el.props[prop.name] = fromAttribute(value, prop);
+    propChanged(el, hooks, prop, oldValue, el.props[prop.name]);
+    return true;
+  }
+
+  /**
+   * Define JS property accessors for every prop on an element prototype
+   */
+  function defineAccessors(proto, props, hooks) {
+    props.forEach(function(prop) {
+      Object.defineProperty(proto, prop.name, {
+        configurable: true,
+        enumerable: true,
+        get: function() {
+          return this.props[prop.name];
+        },
+        set: function(value) {
+          const oldValue = this.props[prop.name];
+          this.props[prop.name] = value;
+          if (prop.reflect) reflectProp(this, prop);
+          if (oldValue !== value) {
+            propChanged(this, hooks, prop, oldValue, value);
+            requestUpdate(this);
+          }
+        }
+      });
+    });
+  }
+
+  function matchesType(value, type) {
+    switch (type) {
+    case 'String':
+      return typeof value === 'string';
+    case 'Number':
+      return typeof value === 'number' && !isNaN(value);
+    case 'Boolean':
+      return typeof value === 'boolean';
+    case 'Array':
+      return Array.isArray(value);
+    case 'Object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return true;
+    }
+  }
+
+  /**
+   * Check an event detail against its declared schema
+   * @returns {string|null} Description of the first problem, or null if valid
+   */
+  function validateDetail(schema, detail) {
+    if (!schema) return null;
+    if (detail === undefined || detail === null) {
+      return schema.required ? 'detail is required' : null;
+    }
+    if (!matchesType(detail, schema.type)) {
+      return 'detail must be of type ' + schema.type;
+    }
+    if (!schema.fields) return null;
+
+    const names = Object.keys(schema.fields);
+    for (let i = 0; i < names.length; i++) {
+      const field = schema.fields[names[i]];
+      const value = detail[names[i]];
+      if (value === undefined || value === null) {
+        if (field.required) return 'detail.' + names[i] + ' is required';
+      } else if (!matchesType(value, field.type)) {
+        return 'detail.' + names[i] + ' must be of type ' + field.type;
+      }
+    }
+    const extra = Object.keys(detail).filter(function(key) {
+      return names.indexOf(key) === -1;
+    });
+    return extra.length ? 'detail.' + extra[0] + ' is not declared' : null;
+  }
+
+  /**
+   * Dispatch a declared event from an element
+   * @returns {boolean} The result of dispatchEvent
+   */
+  function emit(el, events, name, detail) {
+    let event = null;
+    for (let i = 0; i < events.length; i++) {
+      if (events[i].name === name) event = events[i];
+    }
+    if (!event) {
+      throw new Error('<' + el.localName + '> does not declare event "' + name + '"');
+    }
+    const problem = validateDetail(event.detail, detail);
+    if (problem) {
+      throw new Error('Invalid payload for event "' + name + '" on <' + el.localName + '>: ' + problem);
+    }
+    return el.dispatchEvent(new CustomEvent(name, {
+      detail: detail,
+      bubbles: event.bubbles,
+      composed: event.composed,
+      cancelable: event.cancelable
+    }));
+  }
+
+  /**
+   * Attach ElementInternals for a form-associated element
+   * @returns {ElementInternals|null} Internals, or null where unsupported
+   */
+  function attachInternals(el) {
+    return typeof el.attachInternals === 'function' ? el.attachInternals() : null;
+  }
+
+  const FORM_PROPERTIES = ['form', 'labels', 'validity', 'validationMessage', 'willValidate'];
+
+  /**
+   * Define the form helpers of form-associated elements on a prototype.
+   * They delegate to `el.internals` and do nothing where it is unsupported.
+   */
+  function defineFormMembers(proto) {
+    proto.setFormValue = function(value, state) {
+      if (this.internals) this.internals.setFormValue(value, state);
+    };
+    proto.setValidity = function(flags, message, anchor) {
+      if (this.internals) this.internals.setValidity(flags || {}, message, anchor);
+    };
+    proto.checkValidity = function() {
+      return this.internals ? this.internals.checkValidity() : true;
+    };
+    proto.reportValidity = function() {
+      return this.internals ? this.internals.reportValidity() : true;
+    };
+    FORM_PROPERTIES.forEach(function(name) {
+      Object.defineProperty(proto, name, {
+        configurable: true,
+        enumerable: true,
+        get: function() {
+          return this.internals ? this.internals[name] : null;
+        }
+      });
+    });
+  }
+
+  // Symbols survive neither JSON nor attributes, so safe markup can't be forged from data
+  const SAFE_HTML = typeof Symbol === 'function' ? Symbol.for('shared-component-builder.safe-html') : '__safeHTML';
+
+  function SafeHTML(value) {
+    this.value = value;
+    this[SAFE_HTML] = true;
+  }
+  SafeHTML.prototype.toString = function() {
+    return this.value;
+  };
+
+  function isSafeHTML(value) {
+    return value !== null && typeof value === 'object' && value[SAFE_HTML] === true;
+  }
+
+  function escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function interpolate(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (isSafeHTML(value)) return value.value;
+    if (Array.isArray(value)) return value.map(interpolate).join('');
+    return escapeHTML(value);
+  }
+
+  /**
+   * Tagged template that escapes every interpolated value unless it is
+   * itself the result of `html` or `unsafeHTML`
+   */
+  function html(strings) {
+    let result = strings[0];
+    for (let i = 1; i < strings.length; i++) {
+      result += interpolate(arguments[i]) + strings[i];
+    }
+    return new SafeHTML(result);
+  }
+
+  /**
+   * Mark a string as trusted markup so `html` inserts it unescaped
+   */
+  function unsafeHTML(value) {
+    return new SafeHTML(value === null || value === undefined ? '' : String(value));
+  }
+
+  /**
+   * Turn a template result into a markup string
+   */
+  function toHTML(result) {
+    if (result === null || result === undefined) return '';
+    return isSafeHTML(result) ? result.value : String(result);
+  }
+
+  const templateHelpers = { html: html, unsafeHTML: unsafeHTML };
+
+  /**
+   * Create a store: shared state that subscribed elements re-render on
+   * @param {Object} initialState - Initial state
+   * @returns {{state: Object, setState: Function, subscribe: Function}} Store
+   */
+  function createStore(initialState) {
+    let listeners = [];
+    const store = {
+      state: Object.assign({}, initialState),
+      // Shallow-merge like element setState; also accepts `state => partial`
+      setState: function(partial) {
+        const next = typeof partial === 'function' ? partial(store.state) : partial;
+        store.state = Object.assign({}, store.state, next);
+        listeners.slice().forEach(function(listener) {
+          listener(store.state);
+        });
+      },
+      // Returns a function that removes the listener
+      subscribe: function(listener) {
+        listeners.push(listener);
+        return function() {
+          listeners = listeners.filter(function(other) {
+            return other !== listener;
+          });
+        };
+      }
+    };
+    return store;
+  }
+
+  // Stores are shared by name across builders and generated scripts on the page
+  const STORES = typeof Symbol === 'function' ? Symbol.for('shared-component-builder.stores') : '__stores';
+  const localScope = {};
+
+  /**
+   * Get the named store, creating it if needed. State keys the store does
+   * not have yet are filled from `initialState`, so components and the app
+   * may ask for a store in any order.
+   * @param {string} name - Store name
+   * @param {Object} initialState - Initial state
+   * @returns {Object} Store
+   */
+  function getStore(name, initialState) {
+    const scope = typeof window !== 'undefined' ? window : localScope;
+    const stores = scope[STORES] || (scope[STORES] = {});
+    if (!stores[name]) {
+      stores[name] = createStore(initialState);
+      return stores[name];
+    }
+    const missing = {};
+    Object.keys(initialState || {}).forEach(function(key) {
+      if (!(key in stores[name].state)) missing[key] = initialState[key];
+    });
+    if (Object.keys(missing).length) stores[name].setState(missing);
+    return stores[name];
+  }
+
+  /**
+   * Resolve declared store names to stores
+   * @returns {Object} Stores keyed by name
+   */
+  function resolveStores(names) {
+    const stores = {};
+    (names || []).forEach(function(name) {
+      stores[name] = getStore(name);
+    });
+    return stores;
+  }
+
+  /**
+   * Re-render an element whenever one of its stores changes
+   */
+  function subscribeStores(el) {
+    unsubscribeStores(el);
+    el._unsubscribers = Object.keys(el.stores).map(function(name) {
+      return el.stores[name].subscribe(function() {
+        requestUpdate(el);
+      });
+    });
+  }
+
+  function unsubscribeStores(el) {
+    (el._unsubscribers || []).forEach(function(unsubscribe) {
+      unsubscribe();
+    });
+    el._unsubscribers = null;
+  }
+
+  /**
+   * Computed values of an element: evaluated on first read with
+   * `(props, state, stores)`, then cached until an update is requested
+   * @param {Object} el - Element (or server-side stand-in)
+   * @param {Object} getters - Computed functions keyed by name
+   * @returns {Object} Object with a getter per computed value
+   */
+  function createComputed(el, getters) {
+    const values = {};
+    Object.keys(getters || {}).forEach(function(name) {
+      Object.defineProperty(values, name, {
+        enumerable: true,
+        get: function() {
+          const cache = el._computedCache || (el._computedCache = {});
+          if (!(name in cache)) cache[name] = getters[name].call(el, el.props, el.state, el.stores);
+          return cache[name];
+        }
+      });
+    });
+    return values;
+  }
+
+  /**
+   * Call watchers whose prop or state key changed since the last render,
+   * with `(newValue, oldValue)`. Runs at the start of every render, so
+   * several changes in one task produce one call.
+   */
+  function runWatchers(el, watch, hooks) {
+    const names = Object.keys(watch || {});
+    const previous = el._watched;
+    const current = {};
+    names.forEach(function(name) {
+      current[name] = name in el.props ? el.props[name] : el.state[name];
+    });
+    el._watched = current;
+    if (!previous) return;
+    names.forEach(function(name) {
+      if (name in previous && current[name] !== previous[name]) {
+        try {
+          watch[name].call(el, current[name], previous[name]);
+        } catch (error) {
+          handleError(el, hooks, error, 'watch');
+        }
+      }
+    });
+  }
+
+  function supportsAdoptedStyleSheets() {
+    return typeof ShadowRoot !== 'undefined' && 'adoptedStyleSheets' in ShadowRoot.prototype &&
+      typeof CSSStyleSheet === 'function' && 'replaceSync' in CSSStyleSheet.prototype;
+  }
+
+  /**
+   * Compile CSS once into a constructable stylesheet that every shadow root
+   * can adopt. Where that is unsupported, `sheet` is null and the CSS is
+   * rendered into a `<style>` element instead.
+   * @param {string} css - CSS text
+   * @returns {{css: string, sheet: CSSStyleSheet|null}} Styles
+   */
+  function createStyles(css) {
+    const styles = { css: css || '', sheet: null };
+    if (supportsAdoptedStyleSheets()) {
+      styles.sheet = new CSSStyleSheet();
+      styles.sheet.replaceSync(styles.css);
+    }
+    return styles;
+  }
+
+  /**
+   * Replace the CSS of compiled styles; roots that adopted the sheet update at once
+   */
+  function updateStyles(styles, css) {
+    styles.css = css || '';
+    if (styles.sheet) styles.sheet.replaceSync(styles.css);
+  }
+
+  // Styles shared by every generated script on the page, keyed by CSS text
+  const SHARED_STYLES = typeof Symbol === 'function' ? Symbol.for('shared-component-builder.styles') : '__sharedStyles';
+
+  /**
+   * Compiled styles shared across components, e.g. a theme embedded in several generated scripts
+   */
+  function sharedStyles(css) {
+    const scope = typeof window !== 'undefined' ? window : {};
+    const cache = scope[SHARED_STYLES] || (scope[SHARED_STYLES] = {});
+    return cache[css] || (cache[css] = createStyles(css));
+  }
+
+  /**
+   * Adopt the compiled stylesheets into a shadow root. The first time, any
+   * leading `<style>` elements (rendered by the server) are dropped, since
+   * the adopted sheets replace them.
+   * @param {ShadowRoot} root - Shadow root
+   * @param {Array<Object|null>} list - Styles from `createStyles`, in cascade order
+   */
+  function adoptStyles(root, list) {
+    const sheets = [];
+    list.forEach(function(styles) {
+      if (styles && styles.sheet) sheets.push(styles.sheet);
+    });
+    const current = root.adoptedStyleSheets;
+    if (!current || (current.length === sheets.length && sheets.every(function(sheet, i) {
+      return current[i] === sheet;
+    }))) return;
+
+    if (!current.length) {
+      while (root.firstElementChild && root.firstElementChild.localName === 'style' &&
+        root.firstChild === root.firstElementChild) {
+        root.removeChild(root.firstElementChild);
+      }
+    }
+    root.adoptedStyleSheets = sheets;
+  }
+
+  /**
+   * Render a template to shadow root markup, with `<style>` elements for
+   * styles that have no adoptable sheet. Pure string work, so the same
+   * markup is produced on the server and in the browser.
+   * @param {Function} template - `(props, state, helpers) => markup`
+   * @param {Object} el - Element (or server-side stand-in) with `props` and `state`
+   * @param {Array<Object|null>} list - Styles (`{ css, sheet }`), in cascade order
+   * @returns {string} Markup
+   */
+  function renderMarkup(template, el, list) {
+    let markup = '';
+    (list || []).forEach(function(styles) {
+      if (styles && styles.css && !styles.sheet) markup += '<style>' + styles.css + '</style>';
+    });
+    const helpers = {
+      html: html,
+      unsafeHTML: unsafeHTML,
+      computed: el.computed || {},
+      stores: el.stores || {}
+    };
+    return markup + toHTML(template.call(el, el.props, el.state, helpers));
+  }
+
+  const STATE_ATTRIBUTE = 'data-ssr-state';
+
+  /**
+   * Reuse a server-rendered shadow root, or attach a new one. Browsers
+   * without Declarative Shadow DOM leave `<template shadowrootmode>` in the
+   * light DOM, so its content is moved into the new root instead.
+   * @returns {ShadowRoot} Shadow root
+   */
+  function attachShadowRoot(el) {
+    if (el.shadowRoot) return el.shadowRoot;
+    const root = el.attachShadow({ mode: 'open' });
+    const first = el.firstElementChild;
+    if (first && first.localName === 'template' && first.getAttribute('shadowrootmode') === 'open') {
+      root.appendChild(first.content);
+      el.removeChild(first);
+    }
+    return root;
+  }
+
+  /**
+   * Merge state serialized by the server into `el.state`, once
+   */
+  function readServerState(el) {
+    const json = el.getAttribute(STATE_ATTRIBUTE);
+    if (json === null) return;
+    el.removeAttribute(STATE_ATTRIBUTE);
+    try {
+      el.state = Object.assign({}, el.state, JSON.parse(json));
+    } catch (error) {
+      console.warn('Invalid JSON in attribute "' + STATE_ATTRIBUTE + '": ' + json);
+    }
+  }
+
+  /**
+   * Schedule a render for the next microtask. Calls made before it runs
+   * are coalesced into that single render.
+   * @returns {Promise} Resolves once the render has run
+   */
+  function requestUpdate(el) {
+    // Whatever changed may feed a computed value
+    el._computedCache = null;
+    el._updateQueued = true;
+    if (el._updatePromise) return el._updatePromise;
+    el._updatePromise = Promise.resolve().then(function() {
+      el._updatePromise = null;
+      if (el._updateQueued && el.isConnected) {
+        el._updateQueued = false;
+        el.render();
+      }
+    });
+    return el._updatePromise;
+  }
+
+  /**
+   * Drop a pending render, e.g. one requested by attributes set before the
+   * element connected, when the element is about to render anyway
+   */
+  function cancelUpdate(el) {
+    el._updateQueued = false;
+  }
+
+  /**
+   * Resolve once no render is pending, including renders requested while rendering
+   */
+  function updateComplete(el) {
+    if (!el._updatePromise) return Promise.resolve();
+    return el._updatePromise.then(function() {
+      return updateComplete(el);
+    });
+  }
+
+  // Attributes whose live state is held in a property once the user interacts
+  const PROPERTY_ATTRIBUTES = { value: 'value', checked: 'checked', selected: 'selected' };
+
+  function setAttributeProperty(el, name, value) {
+    const property = PROPERTY_ATTRIBUTES[name];
+    if (!property || !(property in el)) return;
+    el[property] = property === 'value' ? (value === null ? '' : value) : value !== null;
+  }
+
+  function syncAttributes(el, next) {
+    for (let i = el.attributes.length - 1; i >= 0; i--) {
+      const name = el.attributes[i].name;
+      if (!next.hasAttribute(name)) {
+        el.removeAttribute(name);
+        setAttributeProperty(el, name, null);
+      }
+    }
+    for (let i = 0; i < next.attributes.length; i++) {
+      const attr = next.attributes[i];
+      if (el.getAttribute(attr.name) !== attr.value) {
+        el.setAttribute(attr.name, attr.value);
+        setAttributeProperty(el, attr.name, attr.value);
+      }
+    }
+  }
+
+  function nodeKey(node) {
+    if (node.nodeType !== 1) return null;
+    return node.getAttribute('data-key') || node.id || null;
+  }
+
+  function isSameNode(current, next) {
+    return current.nodeType === next.nodeType &&
+      current.nodeName === next.nodeName &&
+      nodeKey(current) === nodeKey(next);
+  }
+
+  function patchNode(current, next) {
+    if (current.nodeType === 1) {
+      syncAttributes(current, next);
+      if (current.nodeName === 'TEMPLATE') {
+        patchChildren(current.content, next.content);
+      } else {
+        patchChildren(current, next);
+      }
+    } else if (current.nodeValue !== next.nodeValue) {
+      current.nodeValue = next.nodeValue;
+    }
+  }
+
+  function patchChildren(parent, next) {
+    const currentNodes = Array.prototype.slice.call(parent.childNodes);
+    const nextNodes = Array.prototype.slice.call(next.childNodes);
+
+    for (let i = 0; i < nextNodes.length; i++) {
+      const current = currentNodes[i];
+      if (!current) {
+        parent.appendChild(nextNodes[i]);
+      } else if (isSameNode(current, nextNodes[i])) {
+        patchNode(current, nextNodes[i]);
+      } else {
+        parent.replaceChild(nextNodes[i], current);
+      }
+    }
+    for (let i = nextNodes.length; i < currentNodes.length; i++) {
+      parent.removeChild(currentNodes[i]);
+    }
+  }
+
+  const BINDING_PREFIX = 'data-on-';
+
+  /**
+   * Rewrite `@event="method"` shorthands to `data-on-event="method"`,
+   * since `@` is not valid in attribute names set from script
+   */
+  function normalizeBindings(fragment) {
+    const nodes = fragment.querySelectorAll('*');
+    for (let i = 0; i < nodes.length; i++) {
+      const attributes = nodes[i].attributes;
+      for (let j = attributes.length - 1; j >= 0; j--) {
+        const name = attributes[j].name;
+        if (name.charAt(0) === '@') {
+          nodes[i].setAttribute(BINDING_PREFIX + name.slice(1), attributes[j].value);
+          nodes[i].removeAttribute(name);
+        }
+      }
+    }
+  }
+
+  /**
+   * Rewrite `@event="method"` shorthands in a markup string, for server
+   * rendering where there is no DOM to run `normalizeBindings` on
+   */
+  function normalizeBindingMarkup(markup) {
+    return markup.replace(/<[a-zA-Z][^>]*>/g, function(tag) {
+      return tag.replace(/(\s)@([\w:.-]+)(?=[\s=/>])/g, '$1' + BINDING_PREFIX + '$2');
+    });
+  }
+
+  /**
+   * Update `root` to match `markup`, touching only the nodes, text and
+   * attributes that changed so focus, selection and scroll state survive
+   */
+  function patch(root, markup) {
+    const template = root.ownerDocument.createElement('template');
+    template.innerHTML = markup;
+    normalizeBindings(template.content);
+    patchChildren(root, template.content);
+  }
+
+  function handleBoundEvent(el, hooks, type, event) {
+    const attribute = BINDING_PREFIX + type;
+    let node = event.target;
+    while (node && node !== el.shadowRoot) {
+      if (node.nodeType === 1 && node.hasAttribute(attribute)) {
+        const method = node.getAttribute(attribute);
+        if (typeof el[method] === 'function') {
+          try {
+            el[method](event, node);
+          } catch (error) {
+            handleError(el, hooks, error, 'event');
+          }
+        } else {
+          console.warn('<' + el.localName + '> has no method "' + method + '" for ' + attribute);
+        }
+      }
+      if (!event.bubbles || event.cancelBubble) break;
+      node = node.parentNode;
+    }
+  }
+
+  /**
+   * Delegate the event types bound in the shadow DOM to the component's
+   * methods. One capturing listener per type lives on the shadow root, so
+   * re-rendered nodes need no wiring; types no longer bound are removed.
+   */
+  function bindEvents(el, hooks) {
+    const root = el.shadowRoot;
+    const listeners = el._eventListeners || (el._eventListeners = {});
+    const types = {};
+    const nodes = root.querySelectorAll('*');
+    for (let i = 0; i < nodes.length; i++) {
+      const attributes = nodes[i].attributes;
+      for (let j = 0; j < attributes.length; j++) {
+        if (attributes[j].name.indexOf(BINDING_PREFIX) === 0) {
+          types[attributes[j].name.slice(BINDING_PREFIX.length)] = true;
+        }
+      }
+    }
+
+    Object.keys(listeners).forEach(function(type) {
+      if (!types[type]) {
+        root.removeEventListener(type, listeners[type], true);
+        delete listeners[type];
+      }
+    });
+    Object.keys(types).forEach(function(type) {
+      if (!listeners[type]) {
+        listeners[type] = function(event) {
+          handleBoundEvent(el, hooks, type, event);
+        };
+        root.addEventListener(type, listeners[type], true);
+      }
+    });
+  }
+
+  return {
+    fromAttribute: fromAttribute,
+    toAttribute: toAttribute,
+    defaultFor: defaultFor,
+    initProps: initProps,
+    checkRequired: checkRequired,
+    attributeChanged: attributeChanged,
+    defineAccessors: defineAccessors,
+    validateDetail: validateDetail,
+    emit: emit,
+    createStore: createStore,
+    getStore: getStore,
+    resolveStores: resolveStores,
+    subscribeStores: subscribeStores,
+    unsubscribeStores: unsubscribeStores,
+    createComputed: createComputed,
+    runWatchers: runWatchers,
+    attachInternals: attachInternals,
+    defineFormMembers: defineFormMembers,
+    html: html,
+    unsafeHTML: unsafeHTML,
+    escapeHTML: escapeHTML,
+    toHTML: toHTML,
+    templateHelpers: templateHelpers,
+    renderMarkup: renderMarkup,
+    createStyles: createStyles,
+    updateStyles: updateStyles,
+    sharedStyles: sharedStyles,
+    adoptStyles: adoptStyles,
+    STATE_ATTRIBUTE: STATE_ATTRIBUTE,
+    attachShadowRoot: attachShadowRoot,
+    readServerState: readServerState,
+    requestUpdate: requestUpdate,
+    cancelUpdate: cancelUpdate,
+    updateComplete: updateComplete,
+    patch: patch,
+    normalizeBindingMarkup: normalizeBindingMarkup,
+    bindEvents: bindEvents,
+    callHook: callHook,
+    handleError: handleError,
+    cloneValue: cloneValue
+  };
+}
@@ -0,0 +1,229 @@
+/**
+ * Minimal semver support for component versions and version ranges.
+ * Supports exact versions, `x`/`*` wildcards, `^` and `~` ranges,
+ * comparators (`>=1.2.0 <2.0.0`), hyphen ranges and `||` alternatives.
+ */
+
+const VERSION_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Parse a version string
+ * @param {string} version - Version, e.g. `1.2.3` or `2.0.0-beta.1`
+ * @returns {Object|null} Parsed version, or null if invalid
+ */
+export function parseVersion(version) {
+  const match = VERSION_PATTERN.exec(String(version).trim());
+  if (!match) return null;
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+/**
+ * Whether a string is a valid version
+ * @param {string} version - Version string
+ * @returns {boolean}
+ */
+export function isValidVersion(version) {
+  return parseVersion(version) !== null;
+}
+
+function comparePrerelease(a, b) {
+  if (!a.length || !b.length) return b.length - a.length;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    const aNumeric = /^\d+$/.test(a[i]);
+    const bNumeric = /^\d+$/.test(b[i]);
+    if (aNumeric && bNumeric && Number(a[i]) !== Number(b[i])) return Number(a[i]) - Number(b[i]);
+    if (aNumeric !== bNumeric) return aNumeric ? -1 : 1;
+    if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Compare two versions
+ * @param {string|Object} a - Version
+ * @param {string|Object} b - Version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareVersions(a, b) {
+  const left = typeof a === 'string' ? parseVersion(a) : a;
+  const right = typeof b === 'string' ? parseVersion(b) : b;
+  if (!left || !right) {
+    throw new Error(`Invalid version "${!left ? a : b}"`);
+  }
+  return left.major - right.major ||
+    left.minor - right.minor ||
+    left.patch - right.patch ||
+    comparePrerelease(left.prerelease, right.prerelease);
+}
+
+const WILDCARD = /^[xX*]$/;
+
+/**
+ * Parse a possibly partial version (`1`, `1.2`, `1.x`) into its parts
+ * @returns {Object} Parts, with `null` for missing or wildcard parts
+ */
+function parsePartial(version) {
+  const [core, prerelease] = version.replace(/^[v=]/, '').split(/-(.*)/);
+  const parts = core.split('.');
+  if (parts.length > 3 || parts.some(part => !WILDCARD.test(part) && !/^\d+$/.test(part))) {
+    throw new Error(`Invalid version range "${version}"`);
+  }
+  const [major, minor, patch] = [0, 1, 2].map(i =>
+    parts[i] === undefined || WILDCARD.test(parts[i]) ? null : Number(parts[i])
+  );
+  return { major, minor, patch, prerelease: prerelease ? prerelease.split('.') : [] };
+}
+
+function toVersion({ major, minor, patch, prerelease }) {
+  return { major: major || 0, minor: minor || 0, patch: patch || 0, prerelease: prerelease || [] };
+}
+
+/**
+ * The first version after every version matching a partial `major[.minor]`
+ */
+function nextAfter(major, minor) {
+  return minor === null
+    ? { major: major + 1, minor: 0, patch: 0 }
+    : { major, minor: minor + 1, patch: 0 };
+}
+
+/**
+ * Exclusive upper bound that also excludes pre-releases of that version
+ */
+function below(version) {
+  return { operator: '<', version: toVersion({ ...version, prerelease: ['0'] }) };
+}
+
+/**
+ * Expand one range token (e.g. `^1.2.0`) into comparators
+ * @returns {Array<Object>} Comparators `{ operator, version }`
+ */
+function expandToken(token) {
+  const match = /^(\^|~|>=|<=|>|<|=)?(.*)$/.exec(token);
+  const operator = match[1] || '';
+  const partial = parsePartial(match[2]);
+  const { major, minor, patch } = partial;
+  const lower = toVersion(partial);
+
+  if (major === null) return [];
+
+  if (operator === '^') {
+    let upper;
+    if (major > 0 || minor === null) upper = { major: major + 1, minor: 0, patch: 0 };
+    else if (minor > 0 || patch === null) upper = { major, minor: minor + 1, patch: 0 };
+    else upper = { major, minor, patch: patch + 1 };
+    return [{ operator: '>=', version: lower }, below(upper)];
+  }
+
+  if (operator === '~') {
+    return [{ operator: '>=', version: lower }, below(nextAfter(major, minor))];
+  }
+
+  if (operator === '' || operator === '=') {
+    if (patch !== null) return [{ operator: '=', version: lower }];
+    return [{ operator: '>=', version: lower }, below(nextAfter(major, minor))];
+  }
+
+  if (operator === '>' && patch === null) {
+    return [{ operator: '>=', version: toVersion(nextAfter(major, minor)) }];
+  }
+
+  if (operator === '<=' && patch === null) {
+    return [below(nextAfter(major, minor))];
+  }
+
+  return [{ operator, version: lower }];
+}
+
+/**
+ * Parse a range into a list of comparator sets (any set may match)
+ * @param {string} range - Version range
+ * @returns {Array<Array<Object>>} Comparator sets
+ */
+export function parseRange(range) {
+  const source = String(range || '*').trim() || '*';
+  return source.split('||').map(part => {
+    const hyphen = /^\s*(\S+)\s+-\s+(\S+)\s*$/.exec(part);
+    if (hyphen) {
+      return [...expandToken(`>=${hyphen[1]}`), ...expandToken(`<=${hyphen[2]}`)];
+    }
+    const tokens = part.trim().replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1').split(/\s+/).filter(Boolean);
+    return tokens.flatMap(expandToken);
+  });
+}
+
+function test(version, { operator, version: bound }) {
+  const result = compareVersions(version, bound);
+  switch (operator) {
+  case '>': return result > 0;
+  case '>=': return result >= 0;
+  case '<': return result < 0;
+  case '<=': return result <= 0;
+  default: return result === 0;
+  }
+}
+
+/**
+ * Whether a version satisfies a range. Pre-release versions only match
+ * when a comparator in the same set names a pre-release of that version.
+ * @param {string} version - Version
+ * @param {string} range - Version range
+ * @returns {boolean}
+ */
+export function satisfies(version, range) {
+  const parsed = parseVersion(version);
+  if (!parsed) return false;
+
+  return parseRange(range).some(set => {
+    if (!set.every(comparator => test(parsed, comparator))) return false;
+    if (!parsed.prerelease.length) return true;
+    return set.some(({ version: bound }) =>
+      bound.prerelease.length && !(bound.prerelease.length === 1 && bound.prerelease[0] === '0') &&
+      bound.major === parsed.major && bound.minor === parsed.minor && bound.patch === parsed.patch
+    );
+  });
+}
+
+/**
+ * Pick the highest version that satisfies a range
+ * @param {Array<string>} versions - Candidate versions
+ * @param {string} range - Version range
+ * @returns {string|null} Highest matching version
+ */
+export function maxSatisfying(versions, range) {
+  return versions
+    .filter(version => satisfies(version, range))
+    .sort(compareVersions)
+    .pop() || null;
+}
+
+const RELEASE_TYPES = ['major', 'minor', 'patch'];
+
+/**
+ * The lowest version that may follow a version for a release of the given
+ * type. Below 1.0.0 each type moves down a level, as in caret ranges
+ * (`^0.2.0` does not accept 0.3.0), and a patch release needs no bump.
+ * @param {string} version - Previous version
+ * @param {string} release - `major`, `minor` or `patch`
+ * @returns {string} Minimum next version
+ */
+export function minimumVersion(version, release) {
+  const parsed = parseVersion(version);
+  if (!parsed) {
+    throw new Error(`Invalid version "${version}"`);
+  }
+  if (release === 'patch') return version;
+
+  const shift = parsed.major > 0 ? 0 : parsed.minor > 0 ? 1 : 2;
+  const level = Math.min(RELEASE_TYPES.indexOf(release) + shift, 2);
+  if (level === 0) return `${parsed.major + 1}.0.0`;
+  if (level === 1) return `${parsed.major}.${parsed.minor + 1}.0`;
+  return `${parsed.major}.${parsed.minor}.${parsed.patch + 1}`;
+}
@@ -0,0 +1,186 @@
+/**
+ * Storage backends for the local registry. A store keeps component data
+ * records keyed by `name@version` and exposes an async interface:
+ * `getAll()`, `set(componentData)`, `delete(name, version)` and `clear()`.
+ * The filesystem store lives in `fs-store.js` so browser bundles do not
+ * pull in Node modules.
+ */
+
+/**
+ * Key a component data record is stored under
+ * @param {string} name - Component name
+ * @param {string} version - Component version
+ * @returns {string} Record key
+ */
+export function recordKey(name, version) {
+  return `${name}@${version}`;
+}
+
+// Records are stored as JSON, so copies never share state with the registry
+function copy(componentData) {
+  return JSON.parse(JSON.stringify(componentData));
+}
+
+/**
+ * In-memory store, for tests and short-lived builders
+ */
+export class MemoryStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async getAll() {
+    return [...this.records.values()].map(copy);
+  }
+
+  async set(componentData) {
+    this.records.set(recordKey(componentData.name, componentData.version), copy(componentData));
+  }
+
+  async delete(name, version) {
+    this.records.delete(recordKey(name, version));
+  }
+
+  async clear() {
+    this.records.clear();
+  }
+}
+
+/**
+ * Store backed by `localStorage`, one entry per record
+ */
+export class LocalStorageStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.prefix - Key prefix (default `shared-component-builder:`)
+   * @param {Storage} options.storage - Web Storage object (default `localStorage`)
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix || 'shared-component-builder:';
+    this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    if (!this.storage) {
+      throw new Error('localStorage is not available in this environment');
+    }
+  }
+
+  keys() {
+    const keys = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (key.startsWith(this.prefix)) keys.push(key);
+    }
+    return keys;
+  }
+
+  async getAll() {
+    return this.keys().map(key => JSON.parse(this.storage.getItem(key)));
+  }
+
+  async set(componentData) {
+    this.storage.setItem(
+      this.prefix + recordKey(componentData.name, componentData.version),
+      JSON.stringify(componentData)
+    );
+  }
+
+  async delete(name, version) {
+    this.storage.removeItem(this.prefix + recordKey(name, version));
+  }
+
+  async clear() {
+    this.keys().forEach(key => this.storage.removeItem(key));
+  }
+}
+
+/**
+ * Store backed by an IndexedDB object store
+ */
+export class IndexedDBStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.databaseName - Database name (default `shared-component-builder`)
+   * @param {string} options.storeName - Object store name (default `components`)
+   * @param {IDBFactory} options.indexedDB - IndexedDB factory (default `indexedDB`)
+   */
+  constructor(options = {}) {
+    this.databaseName = options.databaseName || 'shared-component-builder';
+    this.storeName = options.storeName || 'components';
+    this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    if (!this.indexedDB) {
+      throw new Error('IndexedDB is not available in this environment');
+    }
+  }
+
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.databaseName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.database;
+  }
+
+  /**
+   * Run one request in its own transaction
+   * @param {string} mode - `readonly` or `readwrite`
+   * @param {Function} operation - `store => IDBRequest`
+   * @returns {Promise<*>} Request result, once the transaction completes
+   */
+  async transaction(mode, operation) {
+    const database = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  getAll() {
+    return this.transaction('readonly', store => store.getAll());
+  }
+
+  async set(componentData) {
+    await this.transaction('readwrite', store =>
+      store.put(copy(componentData), recordKey(componentData.name, componentData.version))
+    );
+  }
+
+  async delete(name, version) {
+    await this.transaction('readwrite', store => store.delete(recordKey(name, version)));
+  }
+
+  async clear() {
+    await this.transaction('readwrite', store => store.clear());
+  }
+}
+
+const STORES = {
+  memory: MemoryStore,
+  localStorage: LocalStorageStore,
+  indexedDB: IndexedDBStore
+};
+
+/**
+ * Resolve the `storage` option to a store
+ * @param {Object|string} storage - A store, or `memory`, `localStorage` or `indexedDB`
+ * @returns {Object|null} Store, or null when none is configured
+ */
+export function createStore(storage) {
+  if (!storage) return null;
+  if (typeof storage === 'string') {
+    if (!STORES[storage]) {
+      throw new Error(`Unknown storage "${storage}"; use ${Object.keys(STORES).join(', ')} or a store object`);
+    }
+    return new STORES[storage]();
+  }
+  const missing = ['getAll', 'set', 'delete', 'clear'].filter(method => typeof storage[method] !== 'function');
+  if (missing.length) {
+    throw new Error(`Storage is missing ${missing.join(', ')}`);
+  }
+  return storage;
+}
@@ -0,0 +1,32 @@
+import type { ComponentElement } from './component-builder';
+
+/** Create a registered component, connect it and wait for its first render */
+export function mount<E extends HTMLElement = ComponentElement>(
+  name: string,
+  props?: Record<string, any>,
+  state?: Record<string, any>
+): Promise<E>;
+
+/** Remove the elements added by `mount()` */
+export function cleanup(): void;
+
+/** First match inside a component's shadow root, or any shadow root nested in it */
+export function query<E extends Element = Element>(root: Element | ShadowRoot | Document, selector: string): E | null;
+
+/** Every match inside a component's shadow root and the shadow roots nested in it */
+export function queryAll<E extends Element = Element>(root: Element | ShadowRoot | Document, selector: string): E[];
+
+/** Wait until a component (default every mounted one) and the components inside it have rendered */
+export function waitForRender(el?: HTMLElement): Promise<void>;
+
+/** Dispatch an event (bubbling and composed when created from a type) and wait for re-renders */
+export function fire(el: Element, event: string | Event, init?: CustomEventInit): Promise<boolean>;
+
+/** Update props and wait for the component to re-render */
+export function setProps<E extends HTMLElement>(el: E, props: Record<string, any>): Promise<E>;
+
+/** Jest snapshot serializer that prints components with their shadow DOM */
+export const shadowSerializer: {
+  test(value: unknown): boolean;
+  serialize(value: Element | ShadowRoot): string;
+};
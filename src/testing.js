@@ -0,0 +1,205 @@
+/**
+ * Test helpers for components, published as `shared-component-builder/testing`.
+ * They mount registered elements into the document and reach into their
+ * shadow roots, so they need a DOM: a browser, or jsdom under jest.
+ */
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const DOCUMENT_FRAGMENT_NODE = 11;
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+// Elements added by mount(), removed by cleanup()
+const mounted = new Set();
+
+function assignProps(el, props) {
+  Object.keys(props).forEach(key => {
+    // Declared props (and DOM properties) are assigned, so objects pass through unchanged
+    if (key in el) {
+      el[key] = props[key];
+    } else if (props[key] === null || props[key] === undefined || props[key] === false) {
+      el.removeAttribute(key);
+    } else {
+      el.setAttribute(key, props[key] === true ? '' : String(props[key]));
+    }
+  });
+}
+
+// Depth-first through nested shadow roots; stops at the first match when `first` is set
+function search(root, selector, found, first) {
+  const matches = root.querySelectorAll(selector);
+  for (let i = 0; i < matches.length; i++) {
+    found.push(matches[i]);
+    if (first) return true;
+  }
+  const elements = root.querySelectorAll('*');
+  for (let i = 0; i < elements.length; i++) {
+    if (elements[i].shadowRoot && search(elements[i].shadowRoot, selector, found, first)) return true;
+  }
+  return false;
+}
+
+/**
+ * Create a registered component, connect it to the document and wait for
+ * its first render
+ * @param {string} name - Tag name of a defined or imported component
+ * @param {Object} props - Prop values, assigned as properties; other keys become attributes
+ * @param {Object} state - State merged over `initialState` before the first render
+ * @returns {Promise<HTMLElement>} The rendered element
+ */
+export async function mount(name, props = {}, state = {}) {
+  if (typeof customElements === 'undefined' || !customElements.get(name)) {
+    throw new Error(`<${name}> is not defined; define or import the component before mounting it`);
+  }
+
+  const el = document.createElement(name);
+  assignProps(el, props);
+  if (Object.keys(state).length) el.state = { ...el.state, ...state };
+  document.body.appendChild(el);
+  mounted.add(el);
+  await waitForRender(el);
+  return el;
+}
+
+/**
+ * Remove the elements added by `mount()`, e.g. in `afterEach`
+ */
+export function cleanup() {
+  mounted.forEach(el => el.remove());
+  mounted.clear();
+}
+
+/**
+ * Find the first element matching a selector inside a component's shadow
+ * root, or inside any shadow root nested in it
+ * @param {Element|ShadowRoot|Document} root - Component (its shadow root is searched) or root node
+ * @param {string} selector - CSS selector
+ * @returns {Element|null} Matching element
+ */
+export function query(root, selector) {
+  const found = [];
+  search(root.shadowRoot || root, selector, found, true);
+  return found.length ? found[0] : null;
+}
+
+/**
+ * Find every element matching a selector inside a component's shadow root
+ * and the shadow roots nested in it, shallower roots first
+ * @param {Element|ShadowRoot|Document} root - Component (its shadow root is searched) or root node
+ * @param {string} selector - CSS selector
+ * @returns {Array<Element>} Matching elements
+ */
+export function queryAll(root, selector) {
+  const found = [];
+  search(root.shadowRoot || root, selector, found, false);
+  return found;
+}
+
+/**
+ * Wait until a component, and the components rendered inside it, have no
+ * render pending
+ * @param {HTMLElement} el - Component (default every mounted component)
+ * @returns {Promise<void>}
+ */
+export async function waitForRender(el) {
+  const targets = el ? [el] : [...mounted];
+  for (const target of targets) {
+    const components = [target, ...queryAll(target, '*')].filter(node => 'updateComplete' in node);
+    for (const component of components) {
+      await component.updateComplete;
+    }
+  }
+}
+
+/**
+ * Dispatch an event and wait for the components it reaches to re-render.
+ * Events created from a type bubble and cross shadow boundaries, like
+ * user input does; `init.detail` makes it a CustomEvent.
+ * @param {Element} el - Event target
+ * @param {string|Event} event - Event, or its type
+ * @param {Object} init - Event init for an event created from a type
+ * @returns {Promise<boolean>} Whether the event was not cancelled
+ */
+export async function fire(el, event, init = {}) {
+  if (typeof event === 'string') {
+    const options = { bubbles: true, composed: true, cancelable: true, ...init };
+    event = 'detail' in init ? new CustomEvent(event, options) : new Event(event, options);
+  }
+  const result = el.dispatchEvent(event);
+
+  // Re-render every component whose shadow root contains the target
+  let node = el;
+  while (node) {
+    if ('updateComplete' in node) await waitForRender(node);
+    const root = node.getRootNode();
+    node = root.nodeType === DOCUMENT_FRAGMENT_NODE ? root.host : null;
+  }
+  return result;
+}
+
+/**
+ * Update a component's props and wait for it to re-render
+ * @param {HTMLElement} el - Component
+ * @param {Object} props - Prop values, assigned as properties; other keys become attributes
+ * @returns {Promise<HTMLElement>} The element
+ */
+export async function setProps(el, props) {
+  assignProps(el, props);
+  await waitForRender(el);
+  return el;
+}
+
+function printChildren(parent, indent, lines) {
+  Array.prototype.forEach.call(parent.childNodes, child => printNode(child, indent, lines));
+}
+
+// Elements and non-blank text; comments are left out
+function printNode(node, indent, lines) {
+  if (node.nodeType === TEXT_NODE) {
+    const text = node.textContent.trim();
+    if (text) lines.push(`${indent}${text}`);
+    return;
+  }
+  if (node.nodeType !== ELEMENT_NODE) return;
+
+  const tag = node.localName;
+  const attributes = Array.prototype.map.call(node.attributes, attribute =>
+    attribute.value === '' ? ` ${attribute.name}` : ` ${attribute.name}="${attribute.value.replace(/"/g, '&quot;')}"`
+  ).join('');
+  const children = [];
+  if (node.shadowRoot) {
+    children.push(`${indent}  #shadow-root (${node.shadowRoot.mode})`);
+    printChildren(node.shadowRoot, `${indent}    `, children);
+  }
+  printChildren(tag === 'template' ? node.content : node, `${indent}  `, children);
+
+  if (!children.length) {
+    lines.push(VOID_ELEMENTS.includes(tag) ? `${indent}<${tag}${attributes}>` : `${indent}<${tag}${attributes}></${tag}>`);
+    return;
+  }
+  lines.push(`${indent}<${tag}${attributes}>`, ...children, `${indent}</${tag}>`);
+}
+
+/**
+ * Jest snapshot serializer that prints components with their shadow DOM,
+ * one node per line. Register it with `expect.addSnapshotSerializer()`.
+ * @type {{test: Function, serialize: Function}}
+ */
+export const shadowSerializer = {
+  test(value) {
+    return Boolean(value) && typeof value === 'object' &&
+      ((value.nodeType === ELEMENT_NODE && Boolean(value.shadowRoot)) ||
+        (value.nodeType === DOCUMENT_FRAGMENT_NODE && Boolean(value.host)));
+  },
+
+  serialize(value) {
+    const lines = [];
+    if (value.nodeType === DOCUMENT_FRAGMENT_NODE) {
+      lines.push(`#shadow-root (${value.mode})`);
+      printChildren(value, '  ', lines);
+    } else {
+      printNode(value, '', lines);
+    }
+    return lines.join('\n');
+  }
+};
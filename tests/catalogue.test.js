@@ -0,0 +1,108 @@
+import ComponentBuilder from '../src/component-builder.js';
+
+describe('generateCatalogue', () => {
+  let builder;
+
+  beforeEach(() => {
+    builder = new ComponentBuilder();
+    jest.clearAllMocks();
+
+    builder.define('catalogue-icon', {
+      version: '0.2.0',
+      template: () => '<i></i>'
+    });
+    builder.define('catalogue-card', {
+      version: '1.4.0',
+      description: 'A card with a title',
+      dependencies: { 'catalogue-icon': '^0.2.0' },
+      props: {
+        heading: { type: String, default: 'Hello' },
+        count: { type: Number, required: true },
+        open: { type: Boolean, default: true }
+      },
+      events: { 'card-open': { detail: { id: Number } } },
+      template: (props, state, { html }) => html`<h3>${props.heading}</h3><p>${props.count}</p><script></script>`
+    });
+  });
+
+  const loadPage = html => {
+    const page = new DOMParser().parseFromString(html, 'text/html');
+    document.body.innerHTML = page.body.innerHTML;
+    // The elements are already defined by the builder, so only the page script needs to run
+    const scripts = page.querySelectorAll('script');
+    new Function(scripts[scripts.length - 1].textContent)();
+    return document.getElementById('component-catalogue-card');
+  };
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('should document every component with its version, props, events and usage', async () => {
+    const html = await builder.generateCatalogue(undefined, { title: 'Acme <UI>' });
+    const page = new DOMParser().parseFromString(html, 'text/html');
+
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(page.title).toBe('Acme <UI>');
+    expect([...page.querySelectorAll('nav a')].map(link => link.getAttribute('href')))
+      .toEqual(['#component-catalogue-card', '#component-catalogue-icon']);
+
+    const section = page.getElementById('component-catalogue-card');
+    expect(section.querySelector('h2').textContent).toBe('<catalogue-card> 1.4.0');
+    expect(section.querySelector('p').textContent).toBe('A card with a title');
+    expect([...section.querySelectorAll('table')[0].querySelectorAll('tbody tr')].map(row => row.textContent))
+      .toEqual(['headingheadingString"Hello"', 'countcountNumberyes', 'openopenBooleantrue']);
+    expect(section.querySelectorAll('table')[1].querySelector('tbody tr').textContent).toBe('card-open{ id: Number }');
+    expect(section.querySelector('.preview').innerHTML).toBe('<catalogue-card></catalogue-card>');
+    expect(section.querySelector('pre:last-child').textContent).toContain(
+      '3. Use the component: <catalogue-card heading="value" count="value" open></catalogue-card>'
+    );
+  });
+
+  test('should inline the component scripts with their dependencies', async () => {
+    const html = await builder.generateCatalogue(['catalogue-card']);
+    const scripts = [...new DOMParser().parseFromString(html, 'text/html').querySelectorAll('script')]
+      .map(script => script.textContent);
+
+    expect(scripts).toHaveLength(3);
+    expect(scripts[0]).toContain("customElements.define('catalogue-icon'");
+    expect(scripts[1]).toContain("customElements.define('catalogue-card'");
+    // The template's "</script>" must not close the inline script
+    expect(scripts[1]).toContain('<\\/script>');
+    expect(html).not.toContain('id="component-catalogue-icon"');
+  });
+
+  test('should update the preview from the prop controls and log events', async () => {
+    const section = loadPage(await builder.generateCatalogue(['catalogue-card']));
+    const el = section.querySelector('catalogue-card');
+    const markup = section.querySelector('.markup code');
+    const control = attribute => section.querySelector(`[data-attribute="${attribute}"]`);
+    const input = (attribute, update) => {
+      update(control(attribute));
+      control(attribute).dispatchEvent(new Event('input', { bubbles: true }));
+    };
+
+    expect(markup.textContent).toBe('<catalogue-card></catalogue-card>');
+    expect(control('heading').value).toBe('Hello');
+    expect(control('open').checked).toBe(true);
+
+    input('heading', field => { field.value = 'News & "more"'; });
+    input('count', field => { field.value = '3'; });
+    input('open', field => { field.checked = false; });
+    await el.updateComplete;
+
+    expect(el.props).toMatchObject({ heading: 'News & "more"', count: 3, open: false });
+    expect(el.shadowRoot.querySelector('h3').textContent).toBe('News & "more"');
+    expect(markup.textContent).toBe('<catalogue-card heading="News &amp; &quot;more&quot;" count="3" open="false"></catalogue-card>');
+
+    input('count', field => { field.value = ''; });
+    expect(el.hasAttribute('count')).toBe(false);
+
+    el.emit('card-open', { id: 7 });
+    expect(section.querySelector('.event-log').textContent).toBe('card-open {"id":7}');
+  });
+
+  test('should reject unknown components', async () => {
+    await expect(builder.generateCatalogue(['catalogue-missing'])).rejects.toThrow('Component catalogue-missing not found');
+  });
+});
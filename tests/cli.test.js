@@ -0,0 +1,191 @@
+import http from 'http';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import ComponentBuilder from '../src/component-builder.js';
+import { parseArgs, run } from '../src/cli.js';
+import { FileSystemStore } from '../src/fs-store.js';
+import { createRegistryServer } from '../src/registry-server.js';
+import { MemoryStore } from '../src/stores.js';
+
+// fetch over Node's http module; the global fetch is mocked in tests
+const nodeFetch = (url, init = {}) => new Promise((resolve, reject) => {
+  const request = http.request(url, { method: init.method || 'GET', headers: init.headers }, response => {
+    const chunks = [];
+    response.on('data', chunk => chunks.push(chunk));
+    response.on('end', () => resolve({
+      ok: response.statusCode >= 200 && response.statusCode < 300,
+      status: response.statusCode,
+      headers: { get: name => response.headers[name.toLowerCase()] || null },
+      text: () => Promise.resolve(Buffer.concat(chunks).toString('utf8'))
+    }));
+  });
+  request.on('error', reject);
+  request.end(init.body);
+});
+
+describe('scb cli', () => {
+  let cwd;
+  let output;
+
+  const io = () => ({
+    cwd,
+    env: { SCB_TOKEN: 'secret' },
+    stdout: { write: text => { output.stdout += text; } },
+    stderr: { write: text => { output.stderr += text; } }
+  });
+  const write = (file, contents) => fs.mkdir(path.dirname(path.join(cwd, file)), { recursive: true })
+    .then(() => fs.writeFile(path.join(cwd, file), typeof contents === 'string' ? contents : JSON.stringify(contents)));
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    global.fetch.mockReset();
+    output = { stdout: '', stderr: '' };
+    cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'scb-cli-'));
+
+    await write('components/banner.js', `
+      module.exports = builder => {
+        builder.define('cli-banner', {
+          version: '1.2.0',
+          props: { message: String },
+          template: (props, state, { html }) => html\`<p>\${props.message}</p>\`
+        });
+      };
+    `);
+    await write('components/badges.js', `
+      module.exports = [
+        { name: 'cli-badge', version: '0.3.0', template: () => '<i></i>' },
+        { name: 'cli-chip', template: () => '<b></b>' }
+      ];
+    `);
+    await write('components/notes.txt', 'not a module');
+  });
+
+  afterEach(() => fs.rm(cwd, { recursive: true, force: true }));
+
+  test('parseArgs should split commands, positionals and options', () => {
+    expect(parseArgs(['export', 'a.js', '--type', 'json', '--bundle', 'b.js', '--out=dist'])).toEqual({
+      command: 'export',
+      args: ['a.js', 'b.js'],
+      options: { type: 'json', bundle: true, out: 'dist' }
+    });
+  });
+
+  test('export should write one artifact per defined component', async () => {
+    await write('scb.config.json', { components: ['components'], outDir: 'build' });
+
+    expect(await run(['export'], io())).toBe(0);
+    expect((await fs.readdir(path.join(cwd, 'build'))).sort()).toEqual(['cli-badge.js', 'cli-banner.js', 'cli-chip.js']);
+    expect(output.stdout).toContain('Exported cli-banner@1.2.0 to build/cli-banner.js');
+
+    const script = await fs.readFile(path.join(cwd, 'build/cli-banner.js'), 'utf8');
+    expect(script).toContain("customElements.define('cli-banner'");
+
+    expect(await run(['export', 'components/badges.js', '--type', 'json', '--out', 'json'], io())).toBe(0);
+    const data = JSON.parse(await fs.readFile(path.join(cwd, 'json/cli-badge.json'), 'utf8'));
+    expect(data).toMatchObject({ formatVersion: 1, name: 'cli-badge', version: '0.3.0' });
+  });
+
+  test('export --type dts should write type declarations', async () => {
+    expect(await run(['export', 'components/banner.js', '--type', 'dts', '--out', 'types'], io())).toBe(0);
+    const declarations = await fs.readFile(path.join(cwd, 'types/cli-banner.d.ts'), 'utf8');
+    expect(declarations).toContain('export interface CliBannerProps {\n  message: string;\n}');
+    expect(declarations).toContain('"cli-banner": CliBannerElement;');
+  });
+
+  test('manifest should describe defined and pulled components', async () => {
+    await write('scb.config.json', { registry: 'vendor' });
+    const pulled = new ComponentBuilder({ localRegistry: false }).define('cli-pulled', {
+      version: '2.0.0',
+      template: () => '<slot></slot>'
+    });
+    await new FileSystemStore({ directory: path.join(cwd, 'vendor') }).set(pulled);
+
+    expect(await run(['manifest', 'components/banner.js', '--out', 'docs/custom-elements.json'], io())).toBe(0);
+    expect(output.stdout).toBe('Described 2 components in docs/custom-elements.json\n');
+    const manifest = JSON.parse(await fs.readFile(path.join(cwd, 'docs/custom-elements.json'), 'utf8'));
+    expect(manifest.modules.map(module => module.declarations[0].tagName)).toEqual(['cli-pulled', 'cli-banner']);
+    expect(manifest.modules[0].declarations[0]).toMatchObject({ version: '2.0.0', slots: [{ name: '' }] });
+
+    await fs.rm(path.join(cwd, 'vendor'), { recursive: true });
+    expect(await run(['manifest'], io())).toBe(1);
+    expect(output.stderr).toContain('No components to describe');
+  });
+
+  test('manifest should describe local definitions of pulled components', async () => {
+    await write('scb.config.json', { registry: 'vendor' });
+    const pulled = new ComponentBuilder({ localRegistry: false }).define('cli-banner', {
+      version: '1.0.0',
+      template: () => '<p></p>'
+    });
+    await new FileSystemStore({ directory: path.join(cwd, 'vendor') }).set(pulled);
+
+    expect(await run(['manifest', 'components/banner.js'], io())).toBe(0);
+    expect(output.stdout).toBe('Described 1 components in custom-elements.json\n');
+    const manifest = JSON.parse(await fs.readFile(path.join(cwd, 'custom-elements.json'), 'utf8'));
+    expect(manifest.modules.map(module => module.declarations[0].version)).toEqual(['1.2.0']);
+  });
+
+  test('should report errors with a non-zero exit code', async () => {
+    expect(await run(['export'], io())).toBe(1);
+    expect(output.stderr).toBe('scb: No definition files given and no "components" in scb.config.json\n');
+
+    expect(await run(['export', 'components', '--type', 'svelte'], io())).toBe(1);
+    expect(output.stderr).toContain('Unknown export type "svelte"; use script, json, react, vue');
+
+    expect(await run(['publish', 'components'], io())).toBe(1);
+    expect(output.stderr).toContain('Set "apiEndpoint" in scb.config.json to publish');
+
+    expect(await run(['deploy'], io())).toBe(1);
+    expect(output.stderr).toContain('scb: unknown command "deploy"');
+
+    expect(await run(['--help'], io())).toBe(0);
+    expect(output.stdout).toContain('Usage: scb <command> [options]');
+  });
+
+  describe('with a registry', () => {
+    let server;
+
+    beforeEach(async () => {
+      global.fetch.mockImplementation(nodeFetch);
+      server = createRegistryServer({ storage: new MemoryStore(), tokens: ['secret'] });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      await write('scb.config.json', {
+        apiEndpoint: `http://127.0.0.1:${server.address().port}`,
+        components: ['components/banner.js', 'components/badges.js'],
+        registry: 'vendor/components',
+        cloud: { retries: 0 }
+      });
+    });
+
+    afterEach(() => new Promise(resolve => server.close(resolve)));
+
+    test('publish, pull and list should round-trip through the registry', async () => {
+      expect(await run(['publish'], io())).toBe(0);
+      expect(output.stdout).toBe('Published cli-banner@1.2.0\nPublished cli-badge@0.3.0\nPublished cli-chip@1.0.0\n');
+      expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer secret');
+
+      expect(await run(['publish', 'components/banner.js', '--update'], io())).toBe(0);
+      expect(output.stdout).toContain('Updated cli-banner@1.2.0');
+
+      output.stdout = '';
+      expect(await run(['list', '--remote', '--search', 'ba'], io())).toBe(0);
+      expect(output.stdout).toBe('cli-badge@0.3.0\ncli-banner@1.2.0\nPage 1 of 1 (2 components)\n');
+
+      output.stdout = '';
+      expect(await run(['pull', 'cli-banner@^1.0.0', 'cli-chip'], io())).toBe(0);
+      expect(output.stdout).toBe(
+        'Pulled cli-banner@1.2.0 into vendor/components\nPulled cli-chip@1.0.0 into vendor/components\n'
+      );
+
+      output.stdout = '';
+      expect(await run(['list'], io())).toBe(0);
+      expect(output.stdout).toBe('cli-banner@1.2.0  (1.2.0)\ncli-chip@1.0.0  (1.0.0)\n');
+    });
+
+    test('pull should fail for unknown components', async () => {
+      expect(await run(['pull', 'cli-missing'], io())).toBe(1);
+      expect(output.stderr).toContain('failed with 404');
+    });
+  });
+});
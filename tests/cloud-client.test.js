@@ -0,0 +1,192 @@
+import ComponentBuilder from '../src/component-builder.js';
+import { CloudClient, CloudError } from '../src/cloud-client.js';
+
+describe('cloud client', () => {
+  const endpoint = 'https://registry.example.com/api';
+  const client = (options = {}) => new CloudClient({ endpoint, retryDelay: 1, ...options });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.fetch.mockReset();
+  });
+
+  describe('requests', () => {
+    test('should send bearer tokens and custom headers to the endpoint', async () => {
+      const headers = jest.fn(() => ({ 'X-Team': 'design' }));
+      global.fetch.mockResolvedValueOnce(jsonResponse({ name: 'cloud-card' }));
+
+      await client({ token: async () => 'secret', headers }).load('cloud-card', '^1.0.0');
+
+      expect(fetch).toHaveBeenCalledWith(
+        `${endpoint}/components/cloud-card?version=%5E1.0.0`,
+        expect.objectContaining({
+          method: 'GET',
+          headers: { Authorization: 'Bearer secret', 'X-Team': 'design' }
+        })
+      );
+      expect(headers).toHaveBeenCalledWith({ method: 'GET', url: `${endpoint}/components/cloud-card?version=%5E1.0.0` });
+    });
+
+    test('should not send auth headers to other URLs', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({ ok: 1 }));
+
+      await expect(client({ token: 'secret' }).fetchJSON('https://cdn.example.com/card.json')).resolves.toEqual({ ok: 1 });
+      expect(fetch.mock.calls[0][1].headers).toBeUndefined();
+    });
+
+    test('should throw typed errors for non-2xx responses', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({ error: 'No component cloud-missing' }, { status: 404 }));
+
+      const error = await client().load('cloud-missing').catch(e => e);
+
+      expect(error).toBeInstanceOf(CloudError);
+      expect(error).toMatchObject({ code: 'NOT_FOUND', status: 404, body: { error: 'No component cloud-missing' } });
+      expect(error.message).toBe(`GET ${endpoint}/components/cloud-missing failed with 404: No component cloud-missing`);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject bodies that are not JSON', async () => {
+      global.fetch.mockResolvedValueOnce({ ok: true, status: 200, text: () => Promise.resolve('<html>') });
+
+      await expect(client().load('cloud-html')).rejects.toMatchObject({ code: 'INVALID_RESPONSE' });
+    });
+
+    test('should retry transient failures with backoff', async () => {
+      global.fetch
+        .mockRejectedValueOnce(new Error('socket hang up'))
+        .mockResolvedValueOnce(jsonResponse({ error: 'busy' }, { status: 503 }))
+        .mockResolvedValueOnce(jsonResponse({ name: 'cloud-retry' }));
+
+      await expect(client().load('cloud-retry')).resolves.toEqual({ name: 'cloud-retry' });
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('should give up after the configured retries', async () => {
+      global.fetch.mockResolvedValue(jsonResponse(null, { status: 500 }));
+
+      await expect(client({ retries: 1 }).load('cloud-down')).rejects.toMatchObject({ code: 'SERVER_ERROR' });
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should only retry POST when rate limited', async () => {
+      global.fetch
+        .mockResolvedValueOnce(jsonResponse(null, { status: 429, headers: { 'Retry-After': '0' } }))
+        .mockResolvedValueOnce(jsonResponse({ id: 1 }))
+        .mockResolvedValueOnce(jsonResponse(null, { status: 500 }));
+
+      await expect(client().save({ name: 'cloud-post' })).resolves.toEqual({ id: 1 });
+      await expect(client().save({ name: 'cloud-post' })).rejects.toMatchObject({ code: 'SERVER_ERROR' });
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('should time out slow requests', async () => {
+      global.fetch.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }));
+
+      const error = await client({ timeout: 5, retries: 0 }).load('cloud-slow').catch(e => e);
+
+      expect(error).toMatchObject({ code: 'TIMEOUT' });
+      expect(error.message).toBe(`GET ${endpoint}/components/cloud-slow timed out after 5ms`);
+    });
+
+    test('should time out bodies that stall after the headers', async () => {
+      global.fetch.mockImplementation((url, { signal }) => Promise.resolve({
+        ...jsonResponse(null),
+        text: () => new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(new Error('aborted')));
+        })
+      }));
+
+      const error = await client({ timeout: 5, retries: 1 }).load('cloud-stalled').catch(e => e);
+
+      expect(error).toMatchObject({ code: 'TIMEOUT' });
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('operations', () => {
+    test('should list and search with pagination', async () => {
+      const page = { items: [{ name: 'cloud-card', version: '1.0.0' }], page: 2, limit: 10, total: 11 };
+      global.fetch.mockResolvedValueOnce(jsonResponse(page));
+
+      await expect(client().list({ search: 'card', page: 2, limit: 10 })).resolves.toEqual(page);
+      expect(fetch.mock.calls[0][0]).toBe(`${endpoint}/components?q=card&page=2&limit=10`);
+    });
+
+    test('should update with PUT and If-Match', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({ updated: true }));
+
+      await client().update({ name: 'cloud-card', version: '1.2.0' }, { etag: '"abc"' });
+
+      expect(fetch).toHaveBeenCalledWith(`${endpoint}/components/cloud-card?version=1.2.0`, expect.objectContaining({
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'If-Match': '"abc"' },
+        body: JSON.stringify({ name: 'cloud-card', version: '1.2.0' })
+      }));
+    });
+
+    test('should delete a component or one version', async () => {
+      global.fetch.mockResolvedValue(jsonResponse(undefined, { status: 204 }));
+
+      await expect(client().delete('cloud-card')).resolves.toBe(null);
+      await client().delete('cloud-card', '1.0.0');
+
+      expect(fetch.mock.calls.map(call => [call[1].method, call[0]])).toEqual([
+        ['DELETE', `${endpoint}/components/cloud-card`],
+        ['DELETE', `${endpoint}/components/cloud-card?version=1.0.0`]
+      ]);
+    });
+
+    test('should revalidate cached GETs with ETags', async () => {
+      const cloud = client();
+      global.fetch
+        .mockResolvedValueOnce(jsonResponse({ name: 'cloud-card', version: '1.0.0' }, { headers: { ETag: '"v1"' } }))
+        .mockResolvedValueOnce(jsonResponse(undefined, { status: 304 }))
+        .mockResolvedValueOnce(jsonResponse({ deleted: true }))
+        .mockResolvedValueOnce(jsonResponse({ name: 'cloud-card', version: '2.0.0' }));
+
+      const first = await cloud.load('cloud-card');
+      first.version = 'mutated';
+      await expect(cloud.load('cloud-card')).resolves.toEqual({ name: 'cloud-card', version: '1.0.0' });
+      expect(fetch.mock.calls[1][1].headers['If-None-Match']).toBe('"v1"');
+
+      await cloud.delete('cloud-card', '1.0.0');
+      await cloud.load('cloud-card');
+      expect(fetch.mock.calls[3][1].headers['If-None-Match']).toBeUndefined();
+    });
+  });
+
+  describe('builder integration', () => {
+    test('should pass cloud options through and expose list, update and delete', async () => {
+      const builder = new ComponentBuilder({ apiEndpoint: endpoint, cloud: { token: 'secret' } });
+      builder.define('cloud-builder', { version: '1.1.0', template: () => '' });
+      global.fetch.mockResolvedValue(jsonResponse({ ok: true }));
+
+      await builder.listFromCloud({ search: 'builder' });
+      await builder.updateInCloud('cloud-builder');
+      await builder.deleteFromCloud('cloud-builder@1.1.0');
+
+      expect(fetch.mock.calls.map(call => [call[1].method, call[0]])).toEqual([
+        ['GET', `${endpoint}/components?q=builder`],
+        ['PUT', `${endpoint}/components/cloud-builder?version=1.1.0`],
+        ['DELETE', `${endpoint}/components/cloud-builder?version=1.1.0`]
+      ]);
+      expect(fetch.mock.calls.every(call => call[1].headers.Authorization === 'Bearer secret')).toBe(true);
+    });
+
+    test('should reject a failed cloud import with a CloudError', async () => {
+      const builder = new ComponentBuilder({ apiEndpoint: endpoint });
+      global.fetch.mockResolvedValueOnce(jsonResponse({ error: 'Unauthorized' }, { status: 401 }));
+
+      await expect(builder.import('cloud-private')).rejects.toBeInstanceOf(ComponentBuilder.CloudError);
+      await expect(new ComponentBuilder().listFromCloud()).rejects.toThrow('API endpoint not configured');
+    });
+
+    test('should expose the client and its error on ComponentBuilder', () => {
+      expect(ComponentBuilder.CloudClient).toBe(CloudClient);
+      expect(ComponentBuilder.CloudError).toBe(CloudError);
+      expect(new ComponentBuilder.CloudClient({ endpoint }).url('/components')).toBe(`${endpoint}/components`);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import ComponentBuilder from '../src/component-builder.js';
+import { diffContracts } from '../src/compatibility.js';
+
+describe('component diffs', () => {
+  const builder = new ComponentBuilder({ localRegistry: false });
+  const component = (version, contract = {}) => ({
+    name: 'diff-card',
+    version,
+    props: { title: String, count: { type: Number, default: 0 } },
+    events: { select: { detail: { id: Number } }, close: { bubbles: true } },
+    methods: { open: 'open() {}', close: 'close() {}' },
+    ...contract
+  });
+  const base = component('1.0.0');
+
+  test('should report no changes as a patch', () => {
+    const diff = builder.diff(base, component('1.0.1', { template: '<p></p>' }));
+
+    expect(diff).toEqual({
+      from: '1.0.0',
+      to: '1.0.1',
+      release: 'patch',
+      changes: [],
+      props: { added: [], removed: [], changed: [] },
+      events: { added: [], removed: [], changed: [] },
+      methods: { added: [], removed: [] }
+    });
+  });
+
+  test('should classify additions as minor', () => {
+    const diff = builder.diff(base, component('1.1.0', {
+      props: { title: String, count: { type: Number, default: 0 }, open: Boolean },
+      events: { select: { detail: { id: Number, label: { type: String, required: false } } }, close: { bubbles: true }, open: {} },
+      methods: { open: 'open() {}', close: 'close() {}', toggle: 'toggle() {}' }
+    }));
+
+    expect(diff.release).toBe('minor');
+    expect(diff.props.added).toEqual(['open']);
+    expect(diff.events).toEqual({
+      added: ['open'],
+      removed: [],
+      changed: [{ name: 'select', from: '{ id: Number }', to: '{ id: Number, label?: String }' }]
+    });
+    expect(diff.methods.added).toEqual(['toggle']);
+    expect(diff.changes.map(change => change.message)).toEqual([
+      'Added prop "open"',
+      'Changed detail of event "select" from { id: Number } to { id: Number, label?: String }',
+      'Added event "open"',
+      'Added method "toggle"'
+    ]);
+  });
+
+  test('should classify removals and incompatible changes as major', () => {
+    const diff = builder.diff(base, component('2.0.0', {
+      props: { title: Number, total: { type: Number, required: true } },
+      events: { choose: { detail: { id: Number } }, close: {} },
+      methods: { open: 'open() {}' }
+    }));
+
+    expect(diff.release).toBe('major');
+    expect(diff.props).toEqual({
+      added: ['total'],
+      removed: ['count'],
+      changed: [{ name: 'title', from: 'String', to: 'Number' }]
+    });
+    expect(diff.events.removed).toEqual(['select']);
+    expect(diff.methods.removed).toEqual(['close']);
+    expect(diff.changes.filter(change => change.release === 'major').map(change => change.message)).toEqual([
+      'Removed prop "count"',
+      'Changed type of prop "title" from String to Number',
+      'Added required prop "total"',
+      'Removed event "select"',
+      'Disabled bubbles for event "close"',
+      'Removed method "close"'
+    ]);
+  });
+
+  test('should treat event details that lose guarantees as major', () => {
+    const detail = detail => ({ props: [], methods: [], events: builder.normalizeEvents({ pick: { detail } }) });
+    const release = (before, after) => diffContracts(detail(before), detail(after)).release;
+
+    expect(release({ id: Number }, { id: String })).toBe('major');
+    expect(release({ id: Number }, { id: { type: Number, required: false } })).toBe('major');
+    expect(release({ id: Number, label: String }, { id: Number })).toBe('major');
+    expect(release({ id: { type: Number, required: false } }, { id: Number })).toBe('minor');
+    expect(release(Number, String)).toBe('major');
+    expect(release(Number, Number)).toBe('patch');
+  });
+
+  test('should compare registered versions by specifier', () => {
+    const registry = new ComponentBuilder({ localRegistry: false });
+    registry.addToRegistry(base);
+    registry.addToRegistry(component('1.1.0', { methods: { open: 'open() {}' } }));
+
+    expect(registry.diff('diff-card@1.0.0', 'diff-card').methods.removed).toEqual(['close']);
+    expect(() => registry.diff('diff-card@^3.0.0', 'diff-card')).toThrow('Component diff-card@^3.0.0 not found');
+  });
+});
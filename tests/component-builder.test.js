@@ -117,9 +117,7 @@ describe('ComponentBuilder', () => {
         template: (props, state) => `<div>${props.title}</div>`
       });
 
-      global.fetch.mockResolvedValueOnce({
-        json: () => Promise.resolve({ success: true })
-      });
+      global.fetch.mockResolvedValueOnce(jsonResponse({ success: true }));
 
       const result = await cloudBuilder.export('test-component', { type: 'cloud' });
 
@@ -181,14 +179,12 @@ describe('ComponentBuilder', () => {
         created: Date.now()
       };
 
-      global.fetch.mockResolvedValueOnce({
-        json: () => Promise.resolve(componentData)
-      });
+      global.fetch.mockResolvedValueOnce(jsonResponse(componentData));
 
       const result = await builder.import('https://example.com/component.json');
 
       expect(result).toBe('url-component');
-      expect(fetch).toHaveBeenCalledWith('https://example.com/component.json');
+      expect(fetch).toHaveBeenCalledWith('https://example.com/component.json', expect.any(Object));
     });
 
     test('should load from cloud when configured', async () => {
@@ -207,14 +203,1884 @@ describe('ComponentBuilder', () => {
         created: Date.now()
       };
 
-      global.fetch.mockResolvedValueOnce({
-        json: () => Promise.resolve(componentData)
-      });
+      global.fetch.mockResolvedValueOnce(jsonResponse(componentData));
 
       const result = await cloudBuilder.import('cloud-component');
 
       expect(result).toBe('cloud-component');
-      expect(fetch).toHaveBeenCalledWith('https://api.example.com/components/cloud-component');
+      expect(fetch).toHaveBeenCalledWith('https://api.example.com/components/cloud-component', expect.any(Object));
+    });
+  });
+
+  describe('prop schema', () => {
+    test('should normalize string arrays and schema objects', () => {
+      expect(builder.normalizeProps(['title'])).toEqual([
+        { name: 'title', attribute: 'title', type: 'String', default: undefined, required: false, reflect: false }
+      ]);
+
+      const [count, maxItems] = builder.normalizeProps({
+        count: Number,
+        maxItems: { type: 'Number', default: 10, required: true, reflect: true }
+      });
+
+      expect(count).toMatchObject({ name: 'count', attribute: 'count', type: 'Number' });
+      expect(maxItems).toMatchObject({ attribute: 'max-items', default: 10, required: true, reflect: true });
+    });
+
+    test('should reject unsupported prop types', () => {
+      expect(() => builder.normalizeProps({ when: Date })).toThrow(
+        'Unsupported type "Date" for prop "when"'
+      );
+    });
+
+    test('should serialize type constructors by name', () => {
+      const result = builder.define('schema-serialize', {
+        props: { rows: { type: Array, default: [] }, open: Boolean },
+        template: () => '<div></div>'
+      });
+
+      expect(result.props).toEqual({
+        rows: { attribute: 'rows', type: 'Array', default: [], required: false, reflect: false },
+        open: { attribute: 'open', type: 'Boolean', required: false, reflect: false }
+      });
+      expect(JSON.parse(JSON.stringify(result.props))).toEqual(result.props);
+    });
+
+    test('should convert attributes to typed props', async () => {
+      builder.define('schema-convert', {
+        props: {
+          count: { type: Number, default: 1 },
+          active: Boolean,
+          items: { type: Array, default: [] },
+          label: String
+        },
+        template: (props) => `<span>${props.count}:${props.items.length}</span>`
+      });
+
+      const el = document.createElement('schema-convert');
+      el.setAttribute('items', '["a","b"]');
+      el.setAttribute('active', '');
+      document.body.appendChild(el);
+
+      expect(el.props).toEqual({ count: 1, active: true, items: ['a', 'b'], label: '' });
+      expect(el.shadowRoot.innerHTML).toContain('<span>1:2</span>');
+
+      el.setAttribute('count', '5');
+      el.setAttribute('active', 'false');
+      expect(el.count).toBe(5);
+      expect(el.active).toBe(false);
+      await el.updateComplete;
+      expect(el.shadowRoot.innerHTML).toContain('<span>5:2</span>');
+      el.remove();
+    });
+
+    test('should accept objects through property accessors and reflect', () => {
+      builder.define('schema-property', {
+        props: {
+          data: { type: Object, default: {} },
+          mode: { type: String, default: 'compact', reflect: true }
+        },
+        template: (props) => `<b>${props.data.name || ''}</b>`
+      });
+
+      const el = document.createElement('schema-property');
+      el.data = { name: 'Ada' };
+      document.body.appendChild(el);
+
+      expect(el.props.data).toEqual({ name: 'Ada' });
+      expect(el.shadowRoot.innerHTML).toContain('<b>Ada</b>');
+      expect(el.getAttribute('mode')).toBe('compact');
+
+      el.mode = 'wide';
+      expect(el.getAttribute('mode')).toBe('wide');
+      el.remove();
+    });
+
+    test('should not share object defaults between instances', () => {
+      builder.define('schema-defaults', {
+        props: { items: { type: Array, default: [] } },
+        template: () => '<div></div>'
+      });
+
+      const first = document.createElement('schema-defaults');
+      const second = document.createElement('schema-defaults');
+      document.body.append(first, second);
+
+      first.items.push('x');
+      expect(second.items).toEqual([]);
+      first.remove();
+      second.remove();
+    });
+
+    test('should warn about missing required props', () => {
+      builder.define('schema-required', {
+        props: { label: { type: String, required: true } },
+        template: () => '<div></div>'
+      });
+
+      const el = document.createElement('schema-required');
+      document.body.appendChild(el);
+
+      expect(console.warn).toHaveBeenCalledWith('<schema-required> is missing required prop "label"');
+      el.remove();
+    });
+
+    test('should apply the schema in generated scripts', () => {
+      const script = builder.generateScript({
+        name: 'schema-script',
+        props: { count: { type: 'Number', default: 2 }, enabled: 'Boolean' },
+        template: '(props) => `<i>${props.count * 2}</i>`',
+        styles: '',
+        methods: {}
+      });
+
+      expect(script).toContain('// <schema-script count="value" enabled></schema-script>');
+
+      new Function(script)();
+      const el = document.createElement('schema-script');
+      document.body.appendChild(el);
+
+      expect(el.count).toBe(2);
+      expect(el.shadowRoot.innerHTML).toBe('<i>4</i>');
+      el.remove();
+    });
+
+    test('should apply the schema to imported components', async () => {
+      await builder.import({
+        name: 'schema-imported',
+        version: '1.0.0',
+        props: { total: { type: 'Number', default: 3 } },
+        template: '<p>${props.total + 1}</p>',
+        styles: '',
+        methods: {},
+        events: []
+      });
+
+      const el = document.createElement('schema-imported');
+      document.body.appendChild(el);
+
+      expect(el.total).toBe(3);
+      expect(el.shadowRoot.innerHTML).toBe('<p>4</p>');
+      el.remove();
+    });
+  });
+
+  describe('events', () => {
+    const events = {
+      'item-select': {
+        detail: { id: Number, label: { type: String, required: false } },
+        bubbles: true,
+        composed: true
+      },
+      'panel-close': {}
+    };
+
+    test('should serialize declared events with type names', () => {
+      const result = builder.define('events-serialize', {
+        events,
+        template: () => '<div></div>'
+      });
+
+      expect(result.events['item-select']).toEqual({
+        detail: {
+          type: 'Object',
+          required: true,
+          fields: {
+            id: { type: 'Number', required: true },
+            label: { type: 'String', required: false }
+          }
+        },
+        bubbles: true,
+        composed: true,
+        cancelable: false
+      });
+      expect(result.events['panel-close'].detail).toBe(null);
+      expect(builder.normalizeEvents(result.events)).toEqual(builder.normalizeEvents(events));
+    });
+
+    test('should keep legacy event name arrays', () => {
+      expect(builder.serializeEvents(['open', 'close'])).toEqual(['open', 'close']);
+      expect(builder.normalizeEvents(['open'])).toEqual([
+        { name: 'open', detail: null, bubbles: false, composed: false, cancelable: false }
+      ]);
+    });
+
+    test('emit should dispatch declared events with their flags', () => {
+      builder.define('events-emit', { events, template: () => '<div></div>' });
+      const el = document.createElement('events-emit');
+      document.body.appendChild(el);
+
+      const listener = jest.fn();
+      document.body.addEventListener('item-select', listener);
+      el.emit('item-select', { id: 7, label: 'Seven' });
+      document.body.removeEventListener('item-select', listener);
+
+      const event = listener.mock.calls[0][0];
+      expect(event.detail).toEqual({ id: 7, label: 'Seven' });
+      expect(event.bubbles).toBe(true);
+      expect(event.composed).toBe(true);
+      el.remove();
+    });
+
+    test('emit should reject undeclared events and invalid payloads', () => {
+      builder.define('events-invalid', { events, template: () => '<div></div>' });
+      const el = document.createElement('events-invalid');
+
+      expect(() => el.emit('item-remove')).toThrow(
+        '<events-invalid> does not declare event "item-remove"'
+      );
+      expect(() => el.emit('item-select', { id: '7' })).toThrow(
+        'Invalid payload for event "item-select" on <events-invalid>: detail.id must be of type Number'
+      );
+      expect(() => el.emit('item-select', {})).toThrow('detail.id is required');
+      expect(() => el.emit('item-select', { id: 1, extra: true })).toThrow('detail.extra is not declared');
+      expect(() => el.emit('panel-close', { anything: 1 })).not.toThrow();
+    });
+
+    test('generated scripts should expose emit', () => {
+      const script = builder.generateScript({
+        name: 'events-script',
+        props: [],
+        events: { 'count-change': { detail: Number } },
+        template: '() => \'<div></div>\'',
+        styles: '',
+        methods: {}
+      });
+
+      new Function(script)();
+      const el = document.createElement('events-script');
+      const listener = jest.fn();
+      el.addEventListener('count-change', listener);
+
+      el.emit('count-change', 3);
+      expect(listener.mock.calls[0][0].detail).toBe(3);
+      expect(() => el.emit('count-change', 'three')).toThrow('detail must be of type Number');
+    });
+
+    test('usage instructions should list declared events', () => {
+      builder.define('events-usage', { events, template: () => '<div></div>' });
+
+      const instructions = builder.generateUsageInstructions('events-usage');
+
+      expect(instructions).toContain('4. Listen for events:');
+      expect(instructions).toContain('- item-select (detail: { id: Number, label?: String })');
+      expect(instructions).toContain('- panel-close');
+    });
+  });
+
+  describe('html templates', () => {
+    const { html, unsafeHTML } = ComponentBuilder;
+    const payload = '<img src=x onerror="alert(1)">';
+
+    test('should escape interpolated values', () => {
+      expect(String(html`<p title="${payload}">${payload}</p>`)).toBe(
+        '<p title="&lt;img src=x onerror=&quot;alert(1)&quot;&gt;">&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</p>'
+      );
+      expect(String(html`<i>${null}${undefined}${false}${0}</i>`)).toBe('<i>0</i>');
+    });
+
+    test('should keep nested templates, arrays and unsafeHTML unescaped', () => {
+      const items = ['a', '<b>'];
+      const result = html`<ul>${items.map(item => html`<li>${item}</li>`)}</ul>${unsafeHTML('<hr>')}`;
+
+      expect(String(result)).toBe('<ul><li>a</li><li>&lt;b&gt;</li></ul><hr>');
+    });
+
+    test('should not treat plain objects as safe markup', () => {
+      const forged = JSON.parse('{"value":"<script></script>","__safeHTML":true}');
+      expect(String(html`${forged}`)).toBe('[object Object]');
+    });
+
+    test('should pass html to live templates', () => {
+      builder.define('html-live', {
+        props: ['message'],
+        template: (props, state, { html }) => html`<span>${props.message}</span>`
+      });
+
+      const el = document.createElement('html-live');
+      el.setAttribute('message', payload);
+      document.body.appendChild(el);
+
+      expect(el.shadowRoot.querySelector('img')).toBe(null);
+      expect(el.shadowRoot.querySelector('span').textContent).toBe(payload);
+      el.remove();
+    });
+
+    test('should pass html to generated script templates', () => {
+      const script = builder.generateScript({
+        name: 'html-script',
+        props: ['message'],
+        template: '(props, state, { html }) => html`<span>${props.message}</span>`',
+        styles: '',
+        methods: {}
+      });
+
+      new Function(script)();
+      const el = document.createElement('html-script');
+      el.setAttribute('message', payload);
+      document.body.appendChild(el);
+
+      expect(el.shadowRoot.querySelector('img')).toBe(null);
+      expect(el.shadowRoot.querySelector('span').textContent).toBe(payload);
+      el.remove();
+    });
+
+    test('should escape interpolations in imported templates', async () => {
+      await builder.import({
+        name: 'html-imported',
+        version: '1.0.0',
+        props: ['message'],
+        template: '<span>${props.message}</span>',
+        styles: '',
+        methods: {},
+        events: []
+      });
+
+      const el = document.createElement('html-imported');
+      el.setAttribute('message', payload);
+      document.body.appendChild(el);
+
+      expect(el.shadowRoot.querySelector('img')).toBe(null);
+      expect(el.shadowRoot.querySelector('span').textContent).toBe(payload);
+      el.remove();
+    });
+
+    test('should escape imported templates that return a plain template literal', async () => {
+      await builder.import({
+        name: 'html-imported-literal',
+        version: '1.0.0',
+        props: ['message', 'items'],
+        template: '(props) => `<span title="${props.message}">${props.message}</span>' +
+          '<ul>${JSON.parse(props.items).map(item => `<li>${item}</li>`)}</ul>`',
+        styles: '',
+        methods: {},
+        events: []
+      });
+
+      const el = document.createElement('html-imported-literal');
+      el.setAttribute('message', payload);
+      el.setAttribute('items', JSON.stringify(['a', payload]));
+      document.body.appendChild(el);
+
+      expect(el.shadowRoot.querySelector('img')).toBe(null);
+      expect(el.shadowRoot.querySelector('span').textContent).toBe(payload);
+      expect(el.shadowRoot.querySelector('span').title).toBe(payload);
+      expect([...el.shadowRoot.querySelectorAll('li')].map(li => li.textContent)).toEqual(['a', payload]);
+      el.remove();
+    });
+  });
+
+  describe('rendering', () => {
+    test('should batch updates into one render per microtask', async () => {
+      const template = jest.fn((props, state, { html }) => html`<p>${props.a}${props.b}${state.c}</p>`);
+      builder.define('render-batch', { props: ['a', 'b'], template });
+
+      const el = document.createElement('render-batch');
+      document.body.appendChild(el);
+      expect(template).toHaveBeenCalledTimes(1);
+
+      el.setAttribute('a', '1');
+      el.setAttribute('b', '2');
+      el.b = '3';
+      el.setState({ c: 4 });
+      expect(template).toHaveBeenCalledTimes(1);
+
+      await el.updateComplete;
+      expect(template).toHaveBeenCalledTimes(2);
+      expect(el.shadowRoot.innerHTML).toBe('<p>134</p>');
+      el.remove();
+    });
+
+    test('should patch changed text and attributes in place', async () => {
+      builder.define('render-patch', {
+        props: ['label', 'placeholder'],
+        template: (props, state, { html }) => html`
+          <input placeholder="${props.placeholder}">
+          <span class="${props.label ? 'filled' : 'empty'}">${props.label}</span>
+        `,
+        styles: 'span { color: red; }'
+      });
+
+      const el = document.createElement('render-patch');
+      document.body.appendChild(el);
+      const input = el.shadowRoot.querySelector('input');
+      const span = el.shadowRoot.querySelector('span');
+      const style = el.shadowRoot.querySelector('style');
+      input.value = 'typed by the user';
+      input.focus();
+
+      el.label = 'Name';
+      el.placeholder = 'Your name';
+      await el.updateComplete;
+
+      expect(el.shadowRoot.querySelector('input')).toBe(input);
+      expect(el.shadowRoot.querySelector('span')).toBe(span);
+      expect(el.shadowRoot.querySelector('style')).toBe(style);
+      expect(el.shadowRoot.activeElement).toBe(input);
+      expect(input.value).toBe('typed by the user');
+      expect(input.getAttribute('placeholder')).toBe('Your name');
+      expect(span.className).toBe('filled');
+      expect(span.textContent).toBe('Name');
+      el.remove();
+    });
+
+    test('should add, replace and remove nodes as the markup changes', async () => {
+      builder.define('render-list', {
+        props: { items: { type: Array, default: [] } },
+        template: (props, state, { html }) => props.items.length
+          ? html`<ul>${props.items.map(item => html`<li>${item}</li>`)}</ul>`
+          : html`<em>empty</em>`
+      });
+
+      const el = document.createElement('render-list');
+      document.body.appendChild(el);
+      expect(el.shadowRoot.innerHTML).toBe('<em>empty</em>');
+
+      el.items = ['a', 'b', 'c'];
+      await el.updateComplete;
+      const list = el.shadowRoot.querySelector('ul');
+      expect(list.children.length).toBe(3);
+
+      el.items = ['a', 'z'];
+      await el.updateComplete;
+      expect(el.shadowRoot.querySelector('ul')).toBe(list);
+      expect(el.shadowRoot.innerHTML).toBe('<ul><li>a</li><li>z</li></ul>');
+      el.remove();
+    });
+
+    test('should sync value and checked when their attributes change', async () => {
+      builder.define('render-controls', {
+        props: { value: String, on: Boolean },
+        template: (props, state, { html }) => html`
+          <input value="${props.value}"><input type="checkbox" ${props.on ? 'checked' : ''}>
+        `
+      });
+
+      const el = document.createElement('render-controls');
+      document.body.appendChild(el);
+      const [text, checkbox] = el.shadowRoot.querySelectorAll('input');
+
+      el.value = 'reset';
+      el.on = true;
+      await el.updateComplete;
+
+      expect(text.value).toBe('reset');
+      expect(checkbox.checked).toBe(true);
+      el.remove();
+    });
+
+    test('updateComplete should wait for renders requested while rendering', async () => {
+      builder.define('render-chain', {
+        template(props, state, { html }) {
+          if (state.step === 1) this.setState({ step: 2 });
+          return html`<b>${state.step || 0}</b>`;
+        }
+      });
+
+      const el = document.createElement('render-chain');
+      document.body.appendChild(el);
+      el.setState({ step: 1 });
+
+      await el.updateComplete;
+      expect(el.shadowRoot.innerHTML).toBe('<b>2</b>');
+      el.remove();
+    });
+
+    test('generated scripts should batch and patch', async () => {
+      const script = builder.generateScript({
+        name: 'render-script',
+        props: ['label'],
+        template: '(props, state, { html }) => html`<span>${props.label}</span>`',
+        styles: '',
+        methods: {}
+      });
+
+      new Function(script)();
+      const el = document.createElement('render-script');
+      document.body.appendChild(el);
+      const span = el.shadowRoot.querySelector('span');
+
+      el.setAttribute('label', 'one');
+      el.setAttribute('label', 'two');
+      await el.updateComplete;
+
+      expect(el.shadowRoot.querySelector('span')).toBe(span);
+      expect(span.textContent).toBe('two');
+      el.remove();
+    });
+  });
+
+  describe('event bindings', () => {
+    const counter = {
+      props: { step: { type: Number, default: 1 } },
+      initialState: { count: 0 },
+      template: (props, state, { html }) => html`
+        <div data-on-focus="track">
+          <button @click="increment"><span>+</span></button>
+          <input data-on-focus="track">
+          <output>${state.count}</output>
+        </div>
+      `,
+      methods: {
+        increment(event) {
+          this.setState({ count: this.state.count + this.step });
+          this.lastEvent = event;
+        },
+        track(event, node) {
+          this.focused = node.localName;
+        }
+      }
+    };
+
+    const click = (el, selector) => {
+      el.shadowRoot.querySelector(selector).dispatchEvent(
+        new MouseEvent('click', { bubbles: true, composed: true })
+      );
+    };
+
+    test('should call component methods for @event and data-on-event bindings', async () => {
+      builder.define('bind-live', counter);
+      const el = document.createElement('bind-live');
+      document.body.appendChild(el);
+
+      expect(el.shadowRoot.querySelector('button').getAttribute('data-on-click')).toBe('increment');
+
+      click(el, 'span');
+      await el.updateComplete;
+      expect(el.shadowRoot.querySelector('output').textContent).toBe('1');
+      expect(el.lastEvent.type).toBe('click');
+
+      el.shadowRoot.querySelector('input').dispatchEvent(new FocusEvent('focus'));
+      expect(el.focused).toBe('input');
+      el.remove();
+    });
+
+    test('should not accumulate listeners across re-renders', async () => {
+      builder.define('bind-rerender', {
+        ...counter,
+        template: (props, state, { html }) => state.count < 2
+          ? html`<button @click="increment">${state.count}</button>`
+          : html`<span>done</span>`
+      });
+      const el = document.createElement('bind-rerender');
+      document.body.appendChild(el);
+      const increment = jest.spyOn(el, 'increment');
+
+      el.setState({ count: 0 });
+      await el.updateComplete;
+      click(el, 'button');
+      expect(increment).toHaveBeenCalledTimes(1);
+      await el.updateComplete;
+
+      const remove = jest.spyOn(el.shadowRoot, 'removeEventListener');
+      click(el, 'button');
+      await el.updateComplete;
+
+      expect(el.shadowRoot.innerHTML).toBe('<span>done</span>');
+      expect(remove).toHaveBeenCalledWith('click', expect.any(Function), true);
+      expect(el._eventListeners).toEqual({});
+      el.remove();
+    });
+
+    test('should warn about bindings to unknown methods', () => {
+      builder.define('bind-unknown', {
+        template: (props, state, { html }) => html`<button @click="missing"></button>`
+      });
+      const el = document.createElement('bind-unknown');
+      document.body.appendChild(el);
+
+      click(el, 'button');
+      expect(console.warn).toHaveBeenCalledWith('<bind-unknown> has no method "missing" for data-on-click');
+      el.remove();
+    });
+
+    test('should bind methods in generated scripts', async () => {
+      const data = builder.define('bind-source', counter);
+      const script = builder.generateScript({ ...data, name: 'bind-script' });
+
+      new Function(script)();
+      const el = document.createElement('bind-script');
+      document.body.appendChild(el);
+      el.setState({ count: 0 });
+
+      click(el, 'button');
+      await el.updateComplete;
+      expect(el.shadowRoot.querySelector('output').textContent).toBe('1');
+      el.remove();
+    });
+
+    test('should bind methods in imported components', async () => {
+      await builder.import({
+        name: 'bind-imported',
+        version: '1.0.0',
+        props: [],
+        template: '<button @click="increment">${state.count || 0}</button>',
+        styles: '',
+        methods: {
+          increment: 'increment() { this.setState({ count: (this.state.count || 0) + 1 }); }'
+        },
+        events: []
+      });
+      const el = document.createElement('bind-imported');
+      document.body.appendChild(el);
+
+      click(el, 'button');
+      await el.updateComplete;
+      expect(el.shadowRoot.querySelector('button').textContent).toBe('1');
+      el.remove();
+    });
+  });
+
+  describe('lifecycle hooks', () => {
+    const lifecycle = (calls) => ({
+      props: { label: String },
+      template: (props, state, { html }) => html`<p>${props.label}</p>`,
+      beforeMount() { calls.push(['beforeMount', this.shadowRoot.innerHTML]); },
+      mounted() { calls.push(['mounted', this.shadowRoot.innerHTML]); },
+      beforeUpdate() { calls.push(['beforeUpdate']); },
+      updated() { calls.push(['updated', this.shadowRoot.innerHTML]); },
+      propChanged(name, oldValue, newValue) { calls.push(['propChanged', name, oldValue, newValue]); },
+      unmounted() { calls.push(['unmounted']); },
+      adopted() { calls.push(['adopted']); }
+    });
+
+    test('should call hooks in order through the element lifecycle', async () => {
+      const calls = [];
+      builder.define('hooks-live', lifecycle(calls));
+
+      const el = document.createElement('hooks-live');
+      el.setAttribute('label', 'a');
+      document.body.appendChild(el);
+      el.label = 'b';
+      await el.updateComplete;
+      el.remove();
+      document.implementation.createHTMLDocument('').adoptNode(el);
+
+      expect(calls).toEqual([
+        ['beforeMount', ''],
+        ['mounted', '<p>a</p>'],
+        ['propChanged', 'label', 'a', 'b'],
+        ['beforeUpdate'],
+        ['updated', '<p>b</p>'],
+        ['unmounted'],
+        ['adopted']
+      ]);
+    });
+
+    test('should render once on mount when attributes are set before connecting', async () => {
+      const data = builder.define('hooks-mount', {
+        props: { label: String },
+        template: (props, state, { html }) => html`<p>${props.label}</p>`,
+        updated() { window.mountCalls.push(`${this.localName} updated`); }
+      });
+      new Function(builder.generateScript({ ...data, name: 'hooks-mount-script' }))();
+      window.mountCalls = [];
+
+      for (const name of ['hooks-mount', 'hooks-mount-script']) {
+        const el = document.createElement(name);
+        el.setAttribute('label', 'a');
+        const render = jest.spyOn(el, 'render');
+        document.body.appendChild(el);
+        await el.updateComplete;
+
+        expect(render).toHaveBeenCalledTimes(1);
+        expect(el.shadowRoot.innerHTML).toBe('<p>a</p>');
+        el.remove();
+      }
+
+      // Parsed elements get their attributes while already in the document
+      document.body.innerHTML = '<hooks-mount label="b"></hooks-mount>';
+      await document.body.firstElementChild.updateComplete;
+      expect(document.body.firstElementChild.shadowRoot.innerHTML).toBe('<p>b</p>');
+
+      expect(window.mountCalls).toEqual([]);
+      document.body.innerHTML = '';
+      delete window.mountCalls;
+    });
+
+    test('should serialize hooks into export data', async () => {
+      builder.define('hooks-export', lifecycle([]));
+
+      const { data } = await builder.export('hooks-export');
+
+      expect(Object.keys(data.hooks)).toEqual([
+        'beforeMount', 'mounted', 'beforeUpdate', 'updated', 'propChanged', 'unmounted', 'adopted'
+      ]);
+      expect(typeof data.hooks.mounted).toBe('string');
+      expect(data.mounted).toBeUndefined();
+    });
+
+    test('should run hooks in generated scripts and imported components', async () => {
+      const data = builder.define('hooks-source', {
+        props: { label: String },
+        template: (props, state, { html }) => html`<p>${props.label}</p>`,
+        mounted() { window.hookCalls.push(`${this.localName} mounted`); },
+        propChanged(name) { window.hookCalls.push(`${this.localName} ${name}`); },
+        unmounted() { window.hookCalls.push(`${this.localName} unmounted`); }
+      });
+      window.hookCalls = [];
+
+      new Function(builder.generateScript({ ...data, name: 'hooks-script' }))();
+      await builder.import({ ...data, name: 'hooks-imported' });
+
+      for (const name of ['hooks-script', 'hooks-imported']) {
+        const el = document.createElement(name);
+        document.body.appendChild(el);
+        el.label = 'x';
+        el.remove();
+      }
+
+      expect(window.hookCalls).toEqual([
+        'hooks-script mounted', 'hooks-script label', 'hooks-script unmounted',
+        'hooks-imported mounted', 'hooks-imported label', 'hooks-imported unmounted'
+      ]);
+      delete window.hookCalls;
+    });
+
+    test('should route errors to onError', async () => {
+      const onError = jest.fn();
+      builder.define('hooks-errors', {
+        template(props, state, { html }) {
+          if (state.broken) throw new Error('template failed');
+          return html`<button @click="fail">go</button>`;
+        },
+        methods: {
+          fail() { throw new Error('method failed'); }
+        },
+        mounted() { throw new Error('mounted failed'); },
+        onError
+      });
+
+      const el = document.createElement('hooks-errors');
+      document.body.appendChild(el);
+      el.shadowRoot.querySelector('button').click();
+      el.setState({ broken: true });
+      await el.updateComplete;
+
+      expect(onError.mock.calls.map(([error, phase]) => [error.message, phase])).toEqual([
+        ['mounted failed', 'mounted'],
+        ['method failed', 'event'],
+        ['template failed', 'render']
+      ]);
+      expect(onError.mock.contexts[0]).toBe(el);
+      el.remove();
+    });
+
+    test('should rethrow errors without onError', () => {
+      builder.define('hooks-rethrow', {
+        template: () => { throw new Error('no handler'); }
+      });
+
+      const el = document.createElement('hooks-rethrow');
+      expect(() => el.render()).toThrow('no handler');
+    });
+  });
+
+  describe('versions', () => {
+    const banner = (name, version) => ({
+      name,
+      version,
+      props: ['message'],
+      template: `<p>v${version}: \${props.message}</p>`,
+      styles: '',
+      methods: {},
+      events: []
+    });
+
+    test('should keep every version and expose the latest in the registry', async () => {
+      await builder.import(banner('versions-banner', '1.4.0'));
+      await builder.import(banner('versions-banner', '1.2.0'), { alias: 'versions-banner-old' });
+
+      expect([...builder.versions.get('versions-banner').keys()]).toEqual(['1.4.0', '1.2.0']);
+      expect(builder.registry.get('versions-banner').version).toBe('1.4.0');
+      expect(builder.resolve('versions-banner@~1.2.0').version).toBe('1.2.0');
+      expect(builder.resolve('versions-banner@^2.0.0')).toBeUndefined();
+    });
+
+    test('should reject invalid versions in define', () => {
+      expect(() => builder.define('versions-invalid', {
+        version: 'latest',
+        template: () => ''
+      })).toThrow('Invalid version "latest" for component versions-invalid');
+    });
+
+    test('should refuse to replace a tag defined with another version', async () => {
+      await builder.import(banner('versions-conflict', '1.0.0'));
+
+      await expect(builder.import(banner('versions-conflict', '2.0.0'))).rejects.toThrow(
+        '<versions-conflict> is already defined with version 1.0.0; ' +
+        'import versions-conflict@2.0.0 with { alias } to register it under another tag'
+      );
+      await expect(builder.import(banner('versions-conflict', '1.0.0'))).resolves.toBe('versions-conflict');
+    });
+
+    test('should register a version under an alias tag', async () => {
+      await builder.import(banner('versions-alias', '1.0.0'));
+      const tag = await builder.import(banner('versions-alias', '2.0.0'), { alias: 'acme-alias-v2' });
+
+      expect(tag).toBe('acme-alias-v2');
+      expect(builder.aliases.get('acme-alias-v2')).toEqual({ name: 'versions-alias', version: '2.0.0' });
+
+      const el = document.createElement('acme-alias-v2');
+      el.setAttribute('message', 'hi');
+      document.body.appendChild(el);
+      expect(el.shadowRoot.innerHTML).toBe('<p>v2.0.0: hi</p>');
+      expect(customElements.get('versions-alias').version).toBe('1.0.0');
+      el.remove();
+    });
+
+    test('should resolve name@range imports locally before the cloud', async () => {
+      const cloudBuilder = new ComponentBuilder({ apiEndpoint: 'https://api.example.com' });
+      await cloudBuilder.import(banner('versions-local', '2.3.0'));
+
+      const tag = await cloudBuilder.import('versions-local@^2.0.0', { alias: 'versions-local-2' });
+
+      expect(tag).toBe('versions-local-2');
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('should load name@range imports from the cloud', async () => {
+      const cloudBuilder = new ComponentBuilder({ apiEndpoint: 'https://api.example.com' });
+      global.fetch.mockResolvedValueOnce(jsonResponse(banner('versions-cloud', '2.1.0')));
+
+      const tag = await cloudBuilder.import('versions-cloud@^2.0.0');
+
+      expect(tag).toBe('versions-cloud');
+      expect(fetch).toHaveBeenCalledWith('https://api.example.com/components/versions-cloud?version=%5E2.0.0', expect.any(Object));
+    });
+
+    test('should reject cloud versions outside the requested range', async () => {
+      const cloudBuilder = new ComponentBuilder({ apiEndpoint: 'https://api.example.com' });
+      global.fetch.mockResolvedValueOnce(jsonResponse(banner('versions-mismatch', '3.0.0')));
+
+      await expect(cloudBuilder.import('versions-mismatch@^2.0.0')).rejects.toThrow(
+        'Cloud returned versions-mismatch@3.0.0, which does not satisfy ^2.0.0'
+      );
+    });
+
+    test('should export a specific version', async () => {
+      await builder.import(banner('versions-export', '1.0.0'));
+      await builder.import(banner('versions-export', '2.0.0'), { alias: 'versions-export-v2' });
+
+      const result = await builder.export('versions-export@1');
+
+      expect(result.data.version).toBe('1.0.0');
+      expect(result.usage).toContain('<versions-export message="value"></versions-export>');
+    });
+  });
+
+  describe('dependencies', () => {
+    const component = (name, version, dependencies = {}) => ({
+      name,
+      version,
+      props: [],
+      template: `<span>${name}</span>`,
+      styles: '',
+      methods: {},
+      events: [],
+      dependencies
+    });
+
+    test('should normalize dependency declarations', () => {
+      const result = builder.define('deps-define', {
+        template: () => '',
+        dependencies: ['deps-avatar@^1.0.0', 'deps-pill']
+      });
+
+      expect(result.dependencies).toEqual({ 'deps-avatar': '^1.0.0', 'deps-pill': '*' });
+      expect(() => builder.normalizeDependencies({ 'deps-avatar': '^one' })).toThrow(
+        'Invalid version range "one"'
+      );
+    });
+
+    test('should bundle transitive dependencies into JSON exports', async () => {
+      await builder.import(component('deps-icon', '1.0.0'));
+      await builder.import(component('deps-avatar', '1.2.0', { 'deps-icon': '^1.0.0' }));
+      await builder.import(component('deps-pill', '2.0.0', { 'deps-icon': '1.x' }));
+      await builder.import(component('deps-card', '1.0.0', { 'deps-avatar': '^1.0.0', 'deps-pill': '^2.0.0' }));
+
+      const { data } = await builder.export('deps-card', { bundle: true });
+
+      expect(data.bundle.map(dep => `${dep.name}@${dep.version}`)).toEqual([
+        'deps-icon@1.0.0', 'deps-avatar@1.2.0', 'deps-pill@2.0.0'
+      ]);
+
+      const script = await builder.export('deps-card', { type: 'script', bundle: true });
+      const order = ['deps-icon', 'deps-avatar', 'deps-pill', 'deps-card']
+        .map(name => script.indexOf(`customElements.define('${name}'`));
+      expect(order).toEqual([...order].sort((a, b) => a - b));
+    });
+
+    test('should register bundled dependencies before the component', async () => {
+      const card = {
+        ...component('bundle-card', '1.0.0', { 'bundle-avatar': '^1.0.0' }),
+        bundle: [
+          component('bundle-icon', '1.0.0'),
+          component('bundle-avatar', '1.0.0', { 'bundle-icon': '^1.0.0' })
+        ]
+      };
+      const define = jest.spyOn(customElements, 'define');
+
+      await builder.import(card);
+
+      expect(define.mock.calls.map(([name]) => name)).toEqual(['bundle-icon', 'bundle-avatar', 'bundle-card']);
+      expect(builder.registry.get('bundle-card').bundle).toBeUndefined();
+      define.mockRestore();
+    });
+
+    test('should fetch missing dependencies from the cloud', async () => {
+      const cloudBuilder = new ComponentBuilder({ apiEndpoint: 'https://api.example.com' });
+      global.fetch.mockResolvedValueOnce(jsonResponse(component('cloud-avatar', '1.3.0')));
+
+      await cloudBuilder.import(component('cloud-card', '1.0.0', { 'cloud-avatar': '^1.0.0' }));
+
+      expect(fetch).toHaveBeenCalledWith('https://api.example.com/components/cloud-avatar?version=%5E1.0.0', expect.any(Object));
+      expect(cloudBuilder.registry.has('cloud-avatar')).toBe(true);
+    });
+
+    test('should report unresolved dependencies', async () => {
+      await expect(builder.import(component('missing-card', '1.0.0', { 'missing-avatar': '^1.0.0' })))
+        .rejects.toThrow('Unresolved dependency missing-avatar@^1.0.0 (required by missing-card)');
+      expect(builder.registry.has('missing-card')).toBe(false);
+    });
+
+    test('should report circular dependencies', async () => {
+      const cyclic = {
+        ...component('cycle-a', '1.0.0', { 'cycle-b': '*' }),
+        bundle: [
+          component('cycle-b', '1.0.0', { 'cycle-c': '*' }),
+          component('cycle-c', '1.0.0', { 'cycle-a': '*' })
+        ]
+      };
+
+      await expect(builder.import(cyclic)).rejects.toThrow(
+        'Circular dependency: cycle-a -> cycle-b -> cycle-c -> cycle-a'
+      );
+    });
+  });
+
+  describe('local registry', () => {
+    const stored = name => ({
+      name,
+      version: '1.0.0',
+      props: ['label'],
+      template: '<b>${props.label}</b>',
+      styles: '',
+      methods: {},
+      events: []
+    });
+
+    test('should write defined and imported components through to storage', async () => {
+      const storage = new ComponentBuilder.MemoryStore();
+      const local = new ComponentBuilder({ storage });
+
+      local.define('storage-defined', { template: () => '' });
+      await local.import(stored('storage-imported'));
+      await local.writes;
+
+      const records = await storage.getAll();
+      expect(records.map(data => data.name).sort()).toEqual(['storage-defined', 'storage-imported']);
+      expect(records.every(data => data.formatVersion === ComponentBuilder.FORMAT_VERSION)).toBe(true);
+    });
+
+    test('should rehydrate the registry and register stored components', async () => {
+      const storage = new ComponentBuilder.MemoryStore();
+      await storage.set(stored('storage-rehydrated'));
+      await storage.set({ ...stored('storage-rehydrated'), version: '0.9.0' });
+      await storage.set({ name: 'storage-broken' });
+
+      const local = new ComponentBuilder({ storage });
+      await local.ready;
+
+      expect(local.resolve('storage-rehydrated').version).toBe('1.0.0');
+      expect([...local.versions.get('storage-rehydrated').keys()].sort()).toEqual(['0.9.0', '1.0.0']);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Skipping stored component storage-broken'));
+
+      const el = document.createElement('storage-rehydrated');
+      el.label = 'stored';
+      document.body.appendChild(el);
+      expect(el.shadowRoot.innerHTML).toBe('<b>stored</b>');
+      el.remove();
+    });
+
+    test('should not persist when localRegistry is false', async () => {
+      const storage = new ComponentBuilder.MemoryStore();
+      const local = new ComponentBuilder({ storage, localRegistry: false });
+
+      local.define('storage-disabled', { template: () => '' });
+      await local.writes;
+
+      expect(local.storage).toBe(null);
+      expect(await storage.getAll()).toEqual([]);
+    });
+
+    test('list, remove and clear should update the registry and storage', async () => {
+      const storage = new ComponentBuilder.MemoryStore();
+      const local = new ComponentBuilder({ storage });
+      for (const version of ['1.0.0', '1.1.0', '2.0.0']) {
+        await local.import({ ...stored('storage-list'), version }, { alias: `storage-list-${version.replace(/\./g, '-')}` });
+      }
+      local.define('storage-other', { template: () => '' });
+
+      expect(await local.list()).toEqual([
+        { name: 'storage-list', version: '2.0.0', versions: ['1.0.0', '1.1.0', '2.0.0'] },
+        { name: 'storage-other', version: '1.0.0', versions: ['1.0.0'] }
+      ]);
+
+      expect(await local.remove('storage-list@>=1.1.0')).toEqual(['1.1.0', '2.0.0']);
+      expect(local.resolve('storage-list').version).toBe('1.0.0');
+      expect(local.aliases.has('storage-list-2-0-0')).toBe(false);
+      expect(local.aliases.has('storage-list-1-0-0')).toBe(true);
+      expect((await storage.getAll()).map(data => data.version).sort()).toEqual(['1.0.0', '1.0.0']);
+
+      expect(await local.remove('storage-list')).toEqual(['1.0.0']);
+      expect(local.resolve('storage-list')).toBeUndefined();
+      expect(await local.remove('storage-missing')).toEqual([]);
+
+      await local.clear();
+      expect(await local.list()).toEqual([]);
+      expect(await storage.getAll()).toEqual([]);
+    });
+  });
+
+  describe('reactive state', () => {
+    test('computed values should be cached until an update is requested', async () => {
+      const total = jest.fn((props, state) => state.items.reduce((sum, item) => sum + item.price, 0) * props.quantity);
+      builder.define('state-computed', {
+        props: { quantity: { type: Number, default: 1 } },
+        initialState: { items: [{ price: 2 }, { price: 3 }] },
+        computed: { total },
+        template(props, state, { html, computed }) {
+          return html`<b>${computed.total}</b><i>${this.computed.total}</i>`;
+        }
+      });
+      const el = document.createElement('state-computed');
+      document.body.appendChild(el);
+
+      expect(el.shadowRoot.innerHTML).toBe('<b>5</b><i>5</i>');
+      expect(el.computed.total).toBe(5);
+      expect(total).toHaveBeenCalledTimes(1);
+
+      el.quantity = 2;
+      expect(el.computed.total).toBe(10);
+      el.setState({ items: [{ price: 1 }] });
+      await el.updateComplete;
+      expect(el.shadowRoot.innerHTML).toBe('<b>2</b><i>2</i>');
+      expect(total).toHaveBeenCalledTimes(3);
+      el.remove();
+    });
+
+    test('watchers should run once per render for changed props and state', async () => {
+      const label = jest.fn();
+      const count = jest.fn(function(value) {
+        if (value > 2) this.setState({ capped: true });
+      });
+      builder.define('state-watch', {
+        props: ['label'],
+        initialState: { count: 0 },
+        watch: { label, count },
+        template: (props, state, { html }) => html`<b>${state.capped ? 'max' : state.count}</b>`
+      });
+      const el = document.createElement('state-watch');
+      document.body.appendChild(el);
+      expect(label).not.toHaveBeenCalled();
+
+      el.label = 'a';
+      el.setAttribute('label', 'b');
+      el.setState({ count: 3 });
+      await el.updateComplete;
+
+      expect(label).toHaveBeenCalledTimes(1);
+      expect(label).toHaveBeenCalledWith('b', '');
+      expect(count).toHaveBeenCalledWith(3, 0);
+      expect(count.mock.instances[0]).toBe(el);
+      expect(el.shadowRoot.innerHTML).toBe('<b>max</b>');
+      el.remove();
+    });
+
+    test('subscribed components should share a store until disconnected', async () => {
+      const cart = builder.createStore('state-cart', { items: [] });
+      const render = jest.fn((props, state, { html, stores }) => html`<b>${stores['state-cart'].state.items.length}</b>`);
+      builder.define('state-cart-count', { stores: ['state-cart'], template: render });
+      builder.define('state-cart-list', {
+        stores: ['state-cart'],
+        template: (props, state, { html, stores }) => html`<ul>${stores['state-cart'].state.items.map(item => html`<li>${item}</li>`)}</ul>`
+      });
+      const counter = document.createElement('state-cart-count');
+      const list = document.createElement('state-cart-list');
+      document.body.append(counter, list);
+
+      cart.setState(state => ({ items: [...state.items, 'apple'] }));
+      await Promise.all([counter.updateComplete, list.updateComplete]);
+      expect(counter.shadowRoot.innerHTML).toBe('<b>1</b>');
+      expect(list.shadowRoot.innerHTML).toBe('<ul><li>apple</li></ul>');
+      expect(counter.stores['state-cart']).toBe(cart);
+
+      counter.remove();
+      render.mockClear();
+      cart.setState({ items: [] });
+      await list.updateComplete;
+      expect(render).not.toHaveBeenCalled();
+      expect(list.shadowRoot.innerHTML).toBe('<ul></ul>');
+
+      expect(new ComponentBuilder().createStore('state-cart', { items: ['x'], open: false })).toBe(cart);
+      expect(cart.state).toEqual({ items: [], open: false });
+      list.remove();
+    });
+
+    test('should keep computed, watch and stores through export and scripts', async () => {
+      const prices = builder.createStore('state-prices', { rate: 2 });
+      builder.define('state-source', {
+        props: { amount: Number },
+        stores: ['state-prices'],
+        computed: {
+          converted(props, state, stores) {
+            return props.amount * stores['state-prices'].state.rate;
+          }
+        },
+        watch: {
+          amount(value) {
+            this.setState({ last: value });
+          }
+        },
+        template: (props, state, { html, computed }) => html`<b>${computed.converted}</b>`
+      });
+      const { data } = await builder.export('state-source');
+      expect(data.stores).toEqual(['state-prices']);
+      expect(Object.keys(data.computed)).toEqual(['converted']);
+      expect(Object.keys(data.watch)).toEqual(['amount']);
+      expect(builder.renderToString('state-source', { amount: 4 })).toContain('<b>8</b>');
+
+      new Function(builder.generateScript({ ...data, name: 'state-script' }))();
+      const el = document.createElement('state-script');
+      el.amount = 3;
+      document.body.appendChild(el);
+      expect(el.shadowRoot.innerHTML).toBe('<b>6</b>');
+
+      prices.setState({ rate: 10 });
+      el.amount = 4;
+      await el.updateComplete;
+      expect(el.shadowRoot.innerHTML).toBe('<b>40</b>');
+      expect(el.state.last).toBe(4);
+      el.remove();
+    });
+  });
+
+  describe('form association', () => {
+    // jsdom lacks ElementInternals
+    const internals = el => ({
+      get form() {
+        return el.closest('form');
+      },
+      setFormValue: jest.fn(),
+      setValidity: jest.fn(),
+      checkValidity: jest.fn(() => false),
+      reportValidity: jest.fn(() => false),
+      validity: { valid: false, valueMissing: true },
+      validationMessage: 'Pick a date',
+      willValidate: true,
+      labels: []
+    });
+
+    const datePicker = {
+      formAssociated: true,
+      props: { value: String, required: Boolean },
+      template: (props, state, { html }) => html`<input @change="select" value="${props.value}" ${state.disabled ? 'disabled' : ''}>`,
+      methods: {
+        select(event) {
+          this.value = event.target.value;
+          this.setFormValue(this.value);
+          this.setValidity(this.required && !this.value ? { valueMissing: true } : {}, 'Pick a date');
+        }
+      },
+      formResetCallback() {
+        this.value = '';
+        this.setFormValue('');
+      },
+      formDisabledCallback(disabled) {
+        this.setState({ disabled });
+      }
+    };
+
+    beforeEach(() => {
+      HTMLElement.prototype.attachInternals = function() {
+        return internals(this);
+      };
+    });
+
+    afterEach(() => {
+      delete HTMLElement.prototype.attachInternals;
+    });
+
+    test('should attach internals and call the form hooks', async () => {
+      builder.define('form-date', datePicker);
+      const form = document.createElement('form');
+      const el = document.createElement('form-date');
+      form.appendChild(el);
+      document.body.appendChild(form);
+
+      expect(customElements.get('form-date').formAssociated).toBe(true);
+      expect(el.form).toBe(form);
+      expect(el.validationMessage).toBe('Pick a date');
+      expect(el.checkValidity()).toBe(false);
+
+      el.required = true;
+      const input = el.shadowRoot.querySelector('input');
+      input.value = '2024-05-01';
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+      expect(el.internals.setFormValue).toHaveBeenLastCalledWith('2024-05-01', undefined);
+      expect(el.internals.setValidity).toHaveBeenLastCalledWith({}, 'Pick a date', undefined);
+
+      el.formResetCallback();
+      el.formDisabledCallback(true);
+      await el.updateComplete;
+      expect(el.value).toBe('');
+      expect(el.internals.setFormValue).toHaveBeenLastCalledWith('', undefined);
+      expect(el.shadowRoot.querySelector('input').disabled).toBe(true);
+      form.remove();
+    });
+
+    test('should keep formAssociated through JSON export, import and scripts', async () => {
+      builder.define('form-source', datePicker);
+      const { data } = await builder.export('form-source');
+      expect(data.formAssociated).toBe(true);
+      expect(data.hooks).toHaveProperty('formResetCallback');
+
+      const consumer = new ComponentBuilder();
+      await consumer.import(JSON.parse(JSON.stringify(data)), { alias: 'form-imported' });
+      expect(customElements.get('form-imported').formAssociated).toBe(true);
+
+      new Function(builder.generateScript({ ...data, name: 'form-script' }))();
+      const el = document.createElement('form-script');
+      document.body.appendChild(el);
+      expect(customElements.get('form-script').formAssociated).toBe(true);
+      el.formDisabledCallback(true);
+      el.select({ target: { value: 'today' } });
+      expect(el.internals.setFormValue).toHaveBeenCalledWith('today', undefined);
+      expect(el.state.disabled).toBe(true);
+      el.remove();
+    });
+
+    test('form helpers should do nothing without ElementInternals', () => {
+      delete HTMLElement.prototype.attachInternals;
+      builder.define('form-unsupported', datePicker);
+      builder.define('form-plain', { template: () => '' });
+      const el = document.createElement('form-unsupported');
+
+      expect(el.internals).toBe(null);
+      expect(() => el.setFormValue('x')).not.toThrow();
+      expect(el.checkValidity()).toBe(true);
+      expect(el.form).toBe(null);
+      expect(customElements.get('form-plain').formAssociated).toBe(false);
+      expect(document.createElement('form-plain').setFormValue).toBeUndefined();
+    });
+  });
+
+  describe('styles', () => {
+    const themed = () => new ComponentBuilder({ theme: { 'color-primary': '#06f', '--gap': '4px' } });
+    const card = {
+      props: ['label'],
+      template: (props, state, { html }) => html`<p>${props.label}</p>`,
+      styles: 'p { color: var(--color-primary); }'
+    };
+
+    test('should fall back to <style> elements for the theme and component styles', () => {
+      themed().define('style-fallback', card);
+      const el = document.createElement('style-fallback');
+      document.body.appendChild(el);
+
+      expect(el.shadowRoot.innerHTML).toBe(
+        '<style>:host { --color-primary: #06f; --gap: 4px; }</style><style>p { color: var(--color-primary); }</style><p></p>'
+      );
+      el.remove();
+    });
+
+    describe('with adoptedStyleSheets', () => {
+      beforeEach(() => {
+        CSSStyleSheet.prototype.replaceSync = function(css) {
+          this.text = css;
+        };
+        Object.defineProperty(ShadowRoot.prototype, 'adoptedStyleSheets', {
+          configurable: true,
+          get() {
+            return this._sheets || [];
+          },
+          set(sheets) {
+            this._sheets = sheets;
+          }
+        });
+      });
+
+      afterEach(() => {
+        delete CSSStyleSheet.prototype.replaceSync;
+        delete ShadowRoot.prototype.adoptedStyleSheets;
+      });
+
+      test('should compile styles once and share them between instances', async () => {
+        const styled = themed();
+        styled.define('style-adopted', card);
+        const [a, b] = ['a', 'b'].map(label => {
+          const el = document.createElement('style-adopted');
+          el.label = label;
+          document.body.appendChild(el);
+          return el;
+        });
+
+        const sheets = a.shadowRoot.adoptedStyleSheets;
+        expect(sheets.map(sheet => sheet.text)).toEqual([
+          ':host { --color-primary: #06f; --gap: 4px; }',
+          'p { color: var(--color-primary); }'
+        ]);
+        expect(b.shadowRoot.adoptedStyleSheets).toEqual(sheets);
+        expect(b.shadowRoot.adoptedStyleSheets[1]).toBe(sheets[1]);
+        expect(a.shadowRoot.innerHTML).toBe('<p>a</p>');
+
+        a.label = 'c';
+        await a.updateComplete;
+        expect(a.shadowRoot.adoptedStyleSheets).toBe(sheets);
+
+        styled.setTheme(':host { --color-primary: black; }');
+        expect(sheets[0].text).toBe(':host { --color-primary: black; }');
+        a.remove();
+        b.remove();
+      });
+
+      test('generated scripts should adopt a theme shared across scripts', async () => {
+        const styled = themed();
+        styled.define('style-script-source', card);
+        const script = styled.generateScript({ ...styled.resolve('style-script-source'), name: 'style-script' });
+        const other = styled.generateScript({ ...styled.resolve('style-script-source'), name: 'style-script-other', styles: '' });
+        new Function(script)();
+        new Function(other)();
+
+        const el = document.createElement('style-script');
+        const plain = document.createElement('style-script-other');
+        document.body.append(el, plain);
+
+        expect(el.shadowRoot.innerHTML).toBe('<p></p>');
+        expect(el.shadowRoot.adoptedStyleSheets.map(sheet => sheet.text)).toEqual([
+          ':host { --color-primary: #06f; --gap: 4px; }',
+          'p { color: var(--color-primary); }'
+        ]);
+        expect(plain.shadowRoot.adoptedStyleSheets).toEqual([el.shadowRoot.adoptedStyleSheets[0]]);
+        el.remove();
+        plain.remove();
+      });
+
+      test('should replace server-rendered <style> elements when hydrating', () => {
+        const styled = themed();
+        styled.define('style-hydrate', card);
+        const inert = document.implementation.createHTMLDocument('');
+        inert.body.innerHTML = styled.renderToString('style-hydrate', { label: 'server' });
+        const el = document.adoptNode(inert.body.firstElementChild);
+        const paragraph = el.firstElementChild.content.querySelector('p');
+        expect(el.firstElementChild.content.querySelectorAll('style').length).toBe(2);
+
+        document.body.appendChild(el);
+
+        expect(el.shadowRoot.innerHTML).toBe('<p>server</p>');
+        expect(el.shadowRoot.firstChild).toBe(paragraph);
+        expect(el.shadowRoot.adoptedStyleSheets.length).toBe(2);
+        el.remove();
+      });
+    });
+  });
+
+  describe('hot redefinition', () => {
+    const tally = (template, extra = {}) => ({
+      props: ['label'],
+      initialState: { count: 0 },
+      template,
+      methods: {
+        increment() {
+          this.setState({ count: this.state.count + 1 });
+        },
+        reset() {
+          this.setState({ count: 0 });
+        }
+      },
+      ...extra
+    });
+
+    test('redefine without a version should replace the latest version', async () => {
+      builder.define('hot-latest', tally(() => '<b>old</b>', { version: '2.1.0' }));
+      builder.redefine('hot-latest', tally(() => '<b>new</b>'));
+
+      expect([...builder.versions.get('hot-latest').keys()]).toEqual(['2.1.0']);
+      expect(builder.resolve('hot-latest').template).toContain('new');
+      const { data } = await builder.export('hot-latest');
+      expect(data.version).toBe('2.1.0');
+      expect(data.template).toContain('new');
+      expect(customElements.get('hot-latest').version).toBe('2.1.0');
+    });
+
+    test('redefine should swap the implementation of connected elements', async () => {
+      const mounted = jest.fn();
+      builder.define('hot-tally', tally((props, state, { html }) => html`<b>${props.label}: ${state.count}</b>`));
+      const el = document.createElement('hot-tally');
+      el.label = 'Clicks';
+      document.body.appendChild(el);
+      el.increment();
+      await el.updateComplete;
+      const root = el.shadowRoot;
+
+      builder.redefine('hot-tally', tally(
+        (props, state, { html }) => html`<i>${props.label} ${state.count} ${props.size} ${state.step}</i>`,
+        {
+          version: '1.1.0',
+          props: ['label', 'size'],
+          initialState: { count: 0, step: 5 },
+          styles: 'i { color: red; }',
+          methods: {
+            increment() {
+              this.setState({ count: this.state.count + this.state.step });
+            }
+          },
+          mounted
+        }
+      ));
+      await el.updateComplete;
+
+      expect(el.shadowRoot).toBe(root);
+      expect(el.shadowRoot.innerHTML).toBe('<style>i { color: red; }</style><i>Clicks 1  5</i>');
+      expect(customElements.get('hot-tally').version).toBe('1.1.0');
+      expect(builder.resolve('hot-tally').version).toBe('1.1.0');
+
+      el.increment();
+      el.size = 'large';
+      await el.updateComplete;
+      expect(el.shadowRoot.querySelector('i').textContent).toBe('Clicks 6 large 5');
+      expect(el.reset).toBeUndefined();
+
+      el.remove();
+      document.body.appendChild(el);
+      expect(mounted).toHaveBeenCalledTimes(1);
+      el.remove();
+    });
+
+    test('hot mode should replace on define and on newer imports', async () => {
+      const hot = new ComponentBuilder({ hot: true });
+      hot.define('hot-import', tally((props, state, { html }) => html`<b>v1 ${state.count}</b>`));
+      const el = document.createElement('hot-import');
+      document.body.appendChild(el);
+      el.increment();
+
+      hot.define('hot-import', tally((props, state, { html }) => html`<b>v1 edited ${state.count}</b>`));
+      await el.updateComplete;
+      expect(el.shadowRoot.innerHTML).toBe('<b>v1 edited 1</b>');
+
+      const { data } = await hot.export('hot-import');
+      await hot.import({ ...data, version: '2.0.0', template: '(props, state, { html }) => html`<b>v2 ${state.count}</b>`' });
+      await el.updateComplete;
+      expect(el.shadowRoot.innerHTML).toBe('<b>v2 1</b>');
+
+      await expect(hot.import({ ...data, version: '0.9.0' })).rejects.toThrow('<hot-import> is already defined with version 2.0.0');
+      el.remove();
+    });
+
+    test('should not move elements back to an older version', async () => {
+      const hot = new ComponentBuilder({ hot: true });
+      hot.define('hot-older', tally(() => '<b>v2</b>', { version: '2.0.0' }));
+      const el = document.createElement('hot-older');
+      document.body.appendChild(el);
+
+      hot.define('hot-older', tally(() => '<b>v1 patch</b>', { version: '1.0.1' }));
+      builder.redefine('hot-older', tally(() => '<b>v1 again</b>', { version: '1.0.2' }));
+      await el.updateComplete;
+
+      expect(el.shadowRoot.innerHTML).toBe('<b>v2</b>');
+      expect(customElements.get('hot-older').version).toBe('2.0.0');
+      expect(hot.resolve('hot-older@^1.0.0').template).toContain('v1 patch');
+      el.remove();
+    });
+
+    test('should observe the attributes of props added by a redefinition', async () => {
+      builder.define('hot-attrs', tally((props, state, { html }) => html`<b>${props.label}</b>`));
+      const el = document.createElement('hot-attrs');
+      el.setAttribute('label', 'A');
+      document.body.appendChild(el);
+
+      builder.redefine('hot-attrs', tally(
+        (props, state, { html }) => html`<b>${props.label} ${props.pageSize}</b>`,
+        { props: { label: String, pageSize: { type: Number, default: 10 } } }
+      ));
+      el.setAttribute('page-size', '25');
+      await Promise.resolve();
+      await el.updateComplete;
+      expect(el.props.pageSize).toBe(25);
+      expect(el.shadowRoot.innerHTML).toBe('<b>A 25</b>');
+
+      const later = document.createElement('hot-attrs');
+      document.body.appendChild(later);
+      later.setAttribute('page-size', '50');
+      await Promise.resolve();
+      await later.updateComplete;
+      expect(later.shadowRoot.innerHTML).toBe('<b> 50</b>');
+
+      later.remove();
+      later.setAttribute('page-size', '75');
+      await Promise.resolve();
+      expect(later.props.pageSize).toBe(50);
+      el.remove();
+    });
+
+    test('should not redefine elements registered elsewhere', () => {
+      customElements.define('hot-foreign', class extends HTMLElement {});
+
+      expect(() => builder.redefine('hot-foreign', { template: () => '' }))
+        .toThrow('<hot-foreign> was not registered by ComponentBuilder and cannot be redefined');
+    });
+  });
+
+  describe('server rendering', () => {
+    const counter = {
+      version: '1.1.0',
+      props: { label: String, count: { type: Number, default: 0 }, open: Boolean },
+      initialState: { clicks: 0 },
+      template: (props, state, { html }) => html`
+        <button @click="increment">${props.label} ${props.count + state.clicks}</button>${props.open ? html`<i>open</i>` : ''}
+      `,
+      styles: 'button { color: red; }',
+      methods: {
+        increment() {
+          this.setState({ clicks: this.state.clicks + 1 });
+        }
+      }
+    };
+
+    // Parse server markup in an inert document, as a browser does before the definition loads
+    const parse = markup => {
+      const inert = document.implementation.createHTMLDocument('');
+      inert.body.innerHTML = markup;
+      return document.adoptNode(inert.body.firstElementChild);
+    };
+
+    test('renderToString should emit a declarative shadow root', () => {
+      builder.define('ssr-counter', counter);
+
+      expect(builder.renderToString('ssr-counter@^1.0.0', { label: 'A & B', count: 2, open: true }, { clicks: 1 })).toBe(
+        '<ssr-counter label="A &amp; B" count="2" open data-ssr-state="{&quot;clicks&quot;:1}">' +
+        '<template shadowrootmode="open"><style>button { color: red; }</style>\n' +
+        '        <button data-on-click="increment">A &amp; B 3</button><i>open</i>\n      </template></ssr-counter>'
+      );
+      expect(builder.renderToString('ssr-counter')).toContain('<ssr-counter><template shadowrootmode="open">');
+      expect(() => builder.renderToString('ssr-missing')).toThrow('Component ssr-missing not found');
+    });
+
+    test('elements should hydrate server-rendered markup in place', async () => {
+      builder.define('ssr-hydrate', counter);
+      const el = parse(builder.renderToString('ssr-hydrate', { label: 'Clicks', count: 2 }, { clicks: 1 }));
+      const button = el.firstElementChild.content.querySelector('button');
+
+      document.body.appendChild(el);
+
+      expect(el.shadowRoot.querySelector('button')).toBe(button);
+      expect(el.children.length).toBe(0);
+      expect(el.hasAttribute('data-ssr-state')).toBe(false);
+      expect(el.count).toBe(2);
+      expect(el.state).toEqual({ clicks: 1 });
+
+      button.click();
+      await el.updateComplete;
+      expect(el.shadowRoot.querySelector('button')).toBe(button);
+      expect(button.textContent).toBe('Clicks 4');
+      el.remove();
+    });
+
+    test('generated scripts should hydrate server-rendered markup in place', async () => {
+      builder.define('ssr-source', counter);
+      new Function(builder.generateScript({ ...builder.resolve('ssr-source'), name: 'ssr-script' }))();
+      const el = parse(builder.renderToString('ssr-source', { label: 'Script' }).replace(/ssr-source/g, 'ssr-script'));
+      const button = el.firstElementChild.content.querySelector('button');
+
+      document.body.appendChild(el);
+      button.click();
+      await el.updateComplete;
+
+      expect(el.shadowRoot.querySelector('button')).toBe(button);
+      expect(button.textContent).toBe('Script 1');
+      el.remove();
+    });
+  });
+
+  describe('framework wrappers', () => {
+    // Evaluate a generated ES module with stubbed imports
+    const loadModule = (source, imports) => {
+      const body = source
+        .replace(/^import \* as (\w+) from '([^']+)';$/gm, 'const $1 = imports[\'$2\'];')
+        .replace(/^import \{([^}]+)\} from '([^']+)';$/gm, 'const {$1} = imports[\'$2\'];')
+        .replace(/^import '[^']+';$/gm, '')
+        .replace(/^export const /gm, 'const ')
+        .replace(/^export default /m, 'return ');
+      return new Function('imports', body)(imports);
+    };
+
+    const definition = {
+      props: { items: { type: Array, default: [] }, open: Boolean },
+      events: { 'item-select': { detail: { id: Number } } },
+      template: (props, state, { html }) => html`<ul>${props.items.map(item => html`<li>${item}</li>`)}</ul>`
+    };
+
+    beforeEach(() => {
+      builder.define('wrapped-list', definition);
+    });
+
+    test('should generate a React wrapper mapping props and events', async () => {
+      const source = await builder.export('wrapped-list', { type: 'react', elementModule: '@acme/elements/wrapped-list.js' });
+
+      expect(source).toContain("import * as React from 'react';");
+      expect(source).toContain("import '@acme/elements/wrapped-list.js';");
+      expect(source).toContain('const PROPS = ["items","open"];');
+      expect(source).toContain('const EVENTS = {"onItemSelect":"item-select"};');
+
+      const effects = [];
+      const refs = [];
+      let refIndex = 0;
+      const React = {
+        forwardRef: render => render,
+        useRef: initial => refs[refIndex++] || (refs[refIndex - 1] = { current: initial }),
+        useImperativeHandle: (ref, create) => { ref.current = create(); },
+        useLayoutEffect: effect => effects.push(effect),
+        useEffect: effect => effects.push(effect),
+        createElement: (type, props, children) => ({ type, props, children })
+      };
+      const WrappedList = loadModule(source, { react: React });
+
+      const onItemSelect = jest.fn();
+      const items = [1, 2];
+      const forwarded = {};
+      const tree = WrappedList({ items, onItemSelect, className: 'list', children: 'x' }, forwarded);
+
+      expect(tree.type).toBe('wrapped-list');
+      expect(tree.props.className).toBe('list');
+      expect(tree.props.items).toBeUndefined();
+      expect(tree.children).toBe('x');
+
+      const el = document.createElement('wrapped-list');
+      document.body.appendChild(el);
+      tree.props.ref.current = el;
+      const cleanups = effects.map(effect => effect());
+
+      expect(el.items).toBe(items);
+      el.emit('item-select', { id: 1 });
+      expect(onItemSelect.mock.calls[0][0].detail).toEqual({ id: 1 });
+
+      cleanups.forEach(cleanup => cleanup && cleanup());
+      el.emit('item-select', { id: 2 });
+      expect(onItemSelect).toHaveBeenCalledTimes(1);
+      el.remove();
+    });
+
+    test('should generate a Vue wrapper mapping props and emits', async () => {
+      const source = await builder.export('wrapped-list', { type: 'vue' });
+
+      expect(source).toContain("import './wrapped-list.js';");
+
+      const hooks = {};
+      const Vue = {
+        defineComponent: options => options,
+        h: (type, data, children) => ({ type, data, children }),
+        ref: value => ({ value }),
+        onMounted: fn => { hooks.mounted = fn; },
+        onBeforeUnmount: fn => { hooks.beforeUnmount = fn; }
+      };
+      const WrappedList = loadModule(source, { vue: Vue });
+
+      expect(WrappedList.name).toBe('WrappedList');
+      expect(WrappedList.emits).toEqual(['item-select']);
+      expect(WrappedList.props.items).toEqual({ type: Array, required: false, default: undefined });
+      expect(WrappedList.props.open.type).toBe(Boolean);
+
+      const emit = jest.fn();
+      const items = ['a'];
+      const render = WrappedList.setup({ items, open: undefined }, { emit, slots: {}, expose: jest.fn() });
+      const vnode = render();
+
+      expect(vnode.type).toBe('wrapped-list');
+      expect(vnode.data['.items']).toBe(items);
+      expect('.open' in vnode.data).toBe(false);
+
+      const el = document.createElement('wrapped-list');
+      vnode.data.ref.value = el;
+      hooks.mounted();
+      el.emit('item-select', { id: 3 });
+      expect(emit).toHaveBeenCalledWith('item-select', { id: 3 }, expect.any(CustomEvent));
+
+      hooks.beforeUnmount();
+      el.emit('item-select', { id: 4 });
+      expect(emit).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('version checks', () => {
+    const card = (version, props) => ({
+      version,
+      props,
+      template: (props, state, { html }) => html`<p>${props.title}</p>`
+    });
+
+    test('should only check versions when versionCheck is enabled', () => {
+      builder.define('checks-off', card('1.0.0', { title: String, count: Number }));
+      expect(() => builder.define('checks-off', card('1.0.1', { title: String }))).not.toThrow();
+    });
+
+    test('define should reject versions too low for the changes', () => {
+      const checked = new ComponentBuilder({ versionCheck: true });
+      checked.define('checks-define', card('1.0.0', { title: String, count: Number }));
+
+      let error;
+      try {
+        checked.define('checks-define', card('1.1.0', { title: String }));
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error).toBeInstanceOf(ComponentBuilder.VersionError);
+      expect(error.message).toBe(
+        'checks-define@1.1.0 has major changes since 1.0.0 and needs version 2.0.0 or higher: Removed prop "count"'
+      );
+      expect(error.minimum).toBe('2.0.0');
+      expect(error.diff.props.removed).toEqual(['count']);
+      expect(checked.resolve('checks-define').version).toBe('1.0.0');
+
+      // Redefining a version may not change its contract either
+      expect(() => checked.define('checks-define', card('1.0.0', { title: String, count: Number, open: Boolean })))
+        .toThrow('needs version 1.1.0 or higher: Added prop "open"');
+      expect(() => checked.define('checks-define', card('1.0.0', { title: String, count: Number }))).not.toThrow();
+      expect(() => checked.define('checks-define', card('2.0.0', { title: String }))).not.toThrow();
+    });
+
+    test('export should compare against the previous local version', async () => {
+      const checked = new ComponentBuilder({ versionCheck: true });
+      checked.define('checks-export', card('1.0.0', { title: String }));
+      checked.addToRegistry({ ...checked.resolve('checks-export'), version: '1.0.1', props: { title: { type: 'Number' } } });
+
+      await expect(checked.export('checks-export', { type: 'json' })).rejects.toThrow(
+        'checks-export@1.0.1 has major changes since 1.0.0 and needs version 2.0.0 or higher: ' +
+        'Changed type of prop "title" from String to Number'
+      );
+      await expect(checked.export('checks-export', { type: 'json', versionCheck: false })).resolves.toMatchObject({ type: 'json' });
+    });
+
+    test('cloud exports should compare against the latest lower version in the cloud', async () => {
+      const cloudBuilder = new ComponentBuilder({ apiEndpoint: 'https://api.example.com', cloud: { retries: 0 } });
+      cloudBuilder.define('checks-cloud', card('1.2.0', { title: String }));
+      const published = { ...cloudBuilder.resolve('checks-cloud'), version: '1.1.0', events: { close: {} } };
+
+      global.fetch.mockResolvedValueOnce(jsonResponse(published));
+      await expect(cloudBuilder.export('checks-cloud', { type: 'cloud', versionCheck: true })).rejects.toThrow(
+        'needs version 2.0.0 or higher: Removed event "close"'
+      );
+      expect(fetch).toHaveBeenCalledWith(
+        'https://api.example.com/components/checks-cloud?version=%3C1.2.0',
+        expect.any(Object)
+      );
+
+      // Nothing published yet
+      global.fetch
+        .mockResolvedValueOnce(jsonResponse({ error: 'Not found' }, { status: 404 }))
+        .mockResolvedValueOnce(jsonResponse({ success: true }));
+      await expect(cloudBuilder.export('checks-cloud', { type: 'cloud', versionCheck: true })).resolves.toEqual({ success: true });
+    });
+  });
+
+  describe('manifest and type declarations', () => {
+    const definition = {
+      version: '1.3.0',
+      description: 'A selectable card',
+      props: {
+        heading: String,
+        count: { type: Number, default: 0, reflect: true },
+        tags: Array,
+        open: Boolean,
+        active: { type: Boolean, default: false }
+      },
+      events: {
+        'item-select': { detail: { id: Number, label: { type: String, required: false } } },
+        close: {}
+      },
+      styles: '.card { color: var(--card-color, black); }',
+      template(props, state, { html }) {
+        return html`<div part="card ${props.count ? 'active' : ''}"><slot></slot><slot name="footer"></slot><slot name="${props.heading}"></slot></div>`;
+      },
+      methods: { toggle() {} }
+    };
+
+    test('should describe components in a Custom Elements Manifest', () => {
+      builder.define('manifest-card', definition);
+      const manifest = builder.generateManifest();
+
+      expect(manifest.schemaVersion).toBe('1.0.0');
+      const module = manifest.modules.find(entry => entry.path === 'manifest-card.js');
+      expect(module.exports).toEqual([
+        { kind: 'js', name: 'ManifestCard', declaration: { name: 'ManifestCard', module: 'manifest-card.js' } },
+        { kind: 'custom-element-definition', name: 'manifest-card', declaration: { name: 'ManifestCard', module: 'manifest-card.js' } }
+      ]);
+
+      const declaration = module.declarations[0];
+      expect(declaration).toMatchObject({
+        kind: 'class',
+        name: 'ManifestCard',
+        tagName: 'manifest-card',
+        customElement: true,
+        version: '1.3.0',
+        description: 'A selectable card'
+      });
+      expect(declaration.attributes).toEqual([
+        { name: 'heading', fieldName: 'heading', type: { text: 'string' } },
+        { name: 'count', fieldName: 'count', type: { text: 'number' }, default: '0' },
+        { name: 'tags', fieldName: 'tags', type: { text: 'any[] | null' } },
+        // Without a default a boolean is null until the attribute is set
+        { name: 'open', fieldName: 'open', type: { text: 'boolean | null' } },
+        { name: 'active', fieldName: 'active', type: { text: 'boolean' }, default: 'false' }
+      ]);
+      const el = document.createElement('manifest-card');
+      document.body.appendChild(el);
+      expect([el.open, el.active]).toEqual([null, false]);
+      el.remove();
+      expect(declaration.members).toContainEqual({
+        kind: 'field', name: 'count', type: { text: 'number' }, attribute: 'count', reflects: true, default: '0'
+      });
+      expect(declaration.members).toContainEqual({ kind: 'method', name: 'toggle' });
+      expect(declaration.events).toEqual([
+        { name: 'item-select', type: { text: 'CustomEvent<{ id: number; label?: string }>' } },
+        { name: 'close', type: { text: 'CustomEvent<any>' } }
+      ]);
+      // Interpolated slot names and parts are only known at render time
+      expect(declaration.slots).toEqual([{ name: '' }, { name: 'footer' }]);
+      expect(declaration.cssParts).toEqual([{ name: 'card' }]);
+      expect(declaration.cssProperties).toEqual([{ name: '--card-color' }]);
+    });
+
+    test('should describe imported versions under the tag they are registered with', async () => {
+      const data = version => ({ name: 'manifest-imported', version, props: [], template: '<p></p>', methods: {}, events: [] });
+      await builder.import(data('1.0.0'));
+      await builder.import(data('2.0.0'), { alias: 'manifest-imported-v2' });
+
+      const tags = builder.generateManifest().modules.map(module => module.declarations[0]);
+      expect(tags.map(tag => [tag.tagName, tag.version])).toEqual([
+        ['manifest-imported', '1.0.0'],
+        ['manifest-imported-v2', '2.0.0']
+      ]);
+    });
+
+    test('should generate typed declarations for HTMLElementTagNameMap', async () => {
+      builder.define('manifest-typed', { ...definition, formAssociated: true });
+      const source = await builder.export('manifest-typed', { type: 'dts' });
+
+      expect(source).toContain('// Generated type declarations for manifest-typed@1.3.0');
+      expect(source).toContain(
+        'export interface ManifestTypedProps {\n  heading: string;\n  count: number;\n  tags: any[] | null;\n  open: boolean | null;\n  active: boolean;\n}'
+      );
+      expect(source).toContain(
+        'export interface ManifestTypedEvents {\n' +
+        '  "item-select": CustomEvent<{ id: number; label?: string }>;\n' +
+        '  close: CustomEvent<any>;\n}'
+      );
+      expect(source).toContain('export type ManifestTypedEventMap = Omit<HTMLElementEventMap, keyof ManifestTypedEvents> & ManifestTypedEvents;');
+      expect(source).toContain('export interface ManifestTypedElement extends HTMLElement, ManifestTypedProps {');
+      expect(source).toContain('  toggle(...args: any[]): any;');
+      expect(source).toContain('  setFormValue(');
+      expect(source).toContain('declare global {\n  interface HTMLElementTagNameMap {\n    "manifest-typed": ManifestTypedElement;\n  }\n}');
     });
   });
 
@@ -237,6 +2103,28 @@ describe('ComponentBuilder', () => {
       expect(result).toContain('anotherMethod() { return "another"; }');
     });
 
+    test('generateMethodsCode should accept full method sources', () => {
+      const result = builder.generateMethodsCode({
+        shorthand: 'shorthand(a) { return a; }',
+        named: 'function named(a) { return a; }',
+        arrow: '(a) => a'
+      });
+
+      expect(result).toContain('shorthand(a) { return a; }');
+      expect(result).toContain('named() { return (function named(a) { return a; }).apply(this, arguments); }');
+      expect(result).toContain('arrow() { return ((a) => a).apply(this, arguments); }');
+    });
+
+    test('methodExpression should revive every method source form', () => {
+      const revive = (name, source) => new Function(`return ${builder.methodExpression(name, source)}`)();
+
+      expect(revive('double', 'double(a) { return a * 2; }')(2)).toBe(4);
+      expect(revive('double', 'async double(a) { return a * 2; }')(2)).toBeInstanceOf(Promise);
+      expect(revive('double', 'function (a) { return a * 2; }')(2)).toBe(4);
+      expect(revive('double', 'a => a * 2')(2)).toBe(4);
+      expect(revive('answer', 'return 42;')()).toBe(42);
+    });
+
     test('serializeMethods should convert functions to strings', () => {
       const methods = {
         testMethod: function() { return 'test'; },
@@ -281,7 +2169,8 @@ describe('ComponentBuilder', () => {
 
     test('should handle fetch errors gracefully', async () => {
       const cloudBuilder = new ComponentBuilder({
-        apiEndpoint: 'https://api.example.com'
+        apiEndpoint: 'https://api.example.com',
+        cloud: { retries: 0 }
       });
 
       global.fetch.mockRejectedValueOnce(new Error('Network error'));
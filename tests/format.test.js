@@ -0,0 +1,242 @@
+import ComponentBuilder from '../src/component-builder.js';
+import {
+  FORMAT_VERSION,
+  FormatError,
+  migrateComponentData,
+  readComponentData,
+  tagTemplateSource,
+  validateComponentData
+} from '../src/format.js';
+
+describe('format', () => {
+  let builder;
+
+  const legacy = (name, overrides = {}) => ({
+    name,
+    version: '1.0.0',
+    props: ['message'],
+    template: '<p>${props.message}</p>',
+    styles: '',
+    methods: {},
+    events: [],
+    ...overrides
+  });
+
+  beforeEach(() => {
+    builder = new ComponentBuilder();
+    jest.clearAllMocks();
+  });
+
+  describe('migration', () => {
+    test('should migrate unversioned data and fill in missing fields', () => {
+      const data = migrateComponentData({ name: 'format-legacy', template: '<b>`${props.a}`</b>' });
+
+      expect(data).toEqual({
+        name: 'format-legacy',
+        formatVersion: FORMAT_VERSION,
+        version: '1.0.0',
+        props: [],
+        template: 'function(props, state, helpers) { return helpers.html`<b>\\`${props.a}\\`</b>`; }',
+        styles: '',
+        methods: {},
+        events: [],
+        hooks: {},
+        dependencies: {},
+        initialState: {}
+      });
+    });
+
+    test('should keep function source templates from unversioned data', () => {
+      const template = '(props, state) => `<div>${props.title}</div>`';
+
+      expect(migrateComponentData(legacy('format-fn', { template })).template).toBe(template);
+      expect(migrateComponentData(legacy('format-fn', { template: 'template(props) { return ""; }' })).template)
+        .toBe('template(props) { return ""; }');
+    });
+
+    test('should migrate bundled dependencies', () => {
+      const data = migrateComponentData({ ...legacy('format-card'), bundle: [legacy('format-icon')] });
+
+      expect(data.bundle[0].formatVersion).toBe(FORMAT_VERSION);
+      expect(validateComponentData(data)).toEqual([]);
+    });
+
+    test('should leave current data unchanged', () => {
+      const data = builder.define('format-current', { template: () => '' });
+
+      expect(migrateComponentData(data)).toBe(data);
+    });
+  });
+
+  describe('template tagging', () => {
+    test('should tag returned template literals and the literals nested in them', () => {
+      expect(tagTemplateSource('(props) => `<p>${props.a}</p>`')).toBe('(props) => html`<p>${props.a}</p>`');
+      expect(tagTemplateSource('template(props, state) {\n  return `<b>${state.b}</b>`;\n}'))
+        .toBe('template(props, state) {\n  return html`<b>${state.b}</b>`;\n}');
+      expect(tagTemplateSource('p => `<ul>${p.items.map(item => `<li>${item}</li>`)}</ul>`'))
+        .toBe('p => html`<ul>${p.items.map(item => html`<li>${item}</li>`)}</ul>`');
+      expect(tagTemplateSource('p => `${p.open ? `<i>${"}"}</i>` : \'`\'}`'))
+        .toBe('p => html`${p.open ? html`<i>${"}"}</i>` : \'`\'}`');
+    });
+
+    test('should leave other templates unchanged', () => {
+      const sources = [
+        '(props, state, { html }) => html`<p>${props.a}</p>`',
+        '() => \'<i></i>\'',
+        'function(props) { const a = props.a; return `<p>${a}</p>`; }',
+        '(props) => `<p>${props.a}</p>` + props.b'
+      ];
+
+      sources.forEach(source => expect(tagTemplateSource(source)).toBe(source));
+    });
+  });
+
+  describe('validation', () => {
+    test('should accept data written by define()', () => {
+      const data = builder.define('format-valid', {
+        props: { count: { type: Number, default: 1 }, label: String },
+        events: { change: { detail: { value: Number } } },
+        initialState: { open: false },
+        dependencies: { 'format-icon': '^1.0.0' },
+        template: (props, state, { html }) => html`<p>${props.count}</p>`,
+        mounted() {},
+        methods: { toggle() {} }
+      });
+
+      expect(validateComponentData(data)).toEqual([]);
+    });
+
+    test('should report field-level errors', () => {
+      const errors = validateComponentData(migrateComponentData({
+        name: 'NoHyphen',
+        version: '1.0',
+        props: { count: { type: 'Date', required: 'yes' } },
+        events: { change: { detail: { value: 'Symbol' } } },
+        methods: { toggle: 42 },
+        hooks: { created: 'function() {}' },
+        dependencies: { 'format-icon': '^one' },
+        initialState: { now: () => 1 },
+        formAssociated: 'yes',
+        watch: { count: 1 },
+        stores: 'cart',
+        template: '<p></p>'
+      }));
+
+      expect(errors).toEqual([
+        { path: 'name', message: 'must be a valid custom element name (lowercase, with a hyphen)' },
+        { path: 'version', message: 'must be a valid semver version' },
+        { path: 'initialState', message: 'must be a JSON-serializable object' },
+        { path: 'formAssociated', message: 'must be a boolean' },
+        { path: 'props.count.type', message: 'must be one of String, Number, Boolean, Object, Array' },
+        { path: 'props.count.required', message: 'must be a boolean' },
+        { path: 'events.change.detail.value', message: 'must be one of String, Number, Boolean, Object, Array' },
+        { path: 'methods.toggle', message: 'must be a function source string' },
+        { path: 'hooks.created', message: expect.stringContaining('is not a lifecycle hook') },
+        { path: 'watch.count', message: 'must be a function source string' },
+        { path: 'stores', message: 'must be an array of store names' },
+        { path: 'dependencies.format-icon', message: 'must be a valid version range' }
+      ]);
+    });
+
+    test('should reject non-function templates in current data', () => {
+      const data = builder.define('format-template', { template: () => '' });
+
+      expect(validateComponentData({ ...data, template: '<p></p>' })).toEqual([
+        { path: 'template', message: 'must be a function source string' }
+      ]);
+    });
+
+    test('should prefix errors in bundled dependencies', () => {
+      const errors = validateComponentData(migrateComponentData({
+        ...legacy('format-card'),
+        bundle: [legacy('format-icon', { version: 'one' })]
+      }));
+
+      expect(errors).toEqual([{ path: 'bundle[0].version', message: 'must be a valid semver version' }]);
+    });
+
+    test('should reject newer format versions', () => {
+      expect(validateComponentData({ ...legacy('format-next'), formatVersion: FORMAT_VERSION + 1 })).toEqual([
+        { path: 'formatVersion', message: `${FORMAT_VERSION + 1} is newer than the supported version ${FORMAT_VERSION}` }
+      ]);
+    });
+
+    test('readComponentData should throw a FormatError listing every error', () => {
+      let error;
+      try {
+        readComponentData(legacy('format-read', { version: 'x', styles: 1 }));
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(FormatError);
+      expect(error.message).toBe(
+        'Invalid component data for format-read@x:\n' +
+        '  - version: must be a valid semver version\n' +
+        '  - styles: must be a string'
+      );
+      expect(error.errors).toHaveLength(2);
+    });
+  });
+
+  describe('import and export', () => {
+    test('should reject invalid data before registering it', async () => {
+      await expect(builder.import(legacy('format-invalid', { props: { count: 'Date' } })))
+        .rejects.toBeInstanceOf(ComponentBuilder.FormatError);
+
+      expect(customElements.get('format-invalid')).toBeUndefined();
+      expect(builder.resolve('format-invalid')).toBeUndefined();
+    });
+
+    test('export → import should reproduce the component', async () => {
+      builder.define('format-roundtrip', {
+        version: '1.2.0',
+        props: { label: String, count: { type: Number, default: 2 } },
+        initialState: { clicks: 0 },
+        styles: 'p { content: "`"; }',
+        template(props, state, { html }) {
+          return html`<p @click="bump">${props.label}:${props.count}:${state.clicks}</p>`;
+        },
+        mounted() { this.setAttribute('data-mounted', ''); },
+        methods: {
+          bump() { this.setState({ clicks: this.state.clicks + 1 }); }
+        }
+      });
+
+      const { data } = await builder.export('format-roundtrip');
+      const consumer = new ComponentBuilder();
+      const tag = await consumer.import(JSON.stringify(data), { alias: 'format-roundtrip-copy' });
+
+      const elements = ['format-roundtrip', tag].map(name => {
+        const el = document.createElement(name);
+        el.label = 'hi';
+        document.body.appendChild(el);
+        return el;
+      });
+      for (const el of elements) {
+        el.shadowRoot.querySelector('p').click();
+        await el.updateComplete;
+      }
+
+      const [original, copy] = elements;
+      expect(copy.shadowRoot.innerHTML).toBe(original.shadowRoot.innerHTML);
+      expect(copy.shadowRoot.querySelector('p').textContent).toBe('hi:2:1');
+      expect(copy.hasAttribute('data-mounted')).toBe(true);
+      expect(consumer.resolve('format-roundtrip').initialState).toEqual({ clicks: 0 });
+      elements.forEach(el => el.remove());
+    });
+
+    test('instances should not share initial state', () => {
+      builder.define('format-state', {
+        initialState: { items: [] },
+        template: () => ''
+      });
+
+      const first = document.createElement('format-state');
+      const second = document.createElement('format-state');
+      first.state.open = true;
+
+      expect(second.state).toEqual({ items: [] });
+    });
+  });
+});
@@ -0,0 +1,222 @@
+import ComponentBuilder from '../src/component-builder.js';
+import { canonicalize, computeIntegrity, signComponent, TrustError, verifyComponent } from '../src/integrity.js';
+
+describe('integrity', () => {
+  let keys;
+
+  const component = (name, version = '1.0.0') => ({
+    name,
+    version,
+    props: ['message'],
+    template: '<p>${props.message}</p>',
+    styles: '',
+    methods: {},
+    events: []
+  });
+
+  const generateKeys = algorithm => crypto.subtle.generateKey(
+    algorithm === 'ECDSA' ? { name: 'ECDSA', namedCurve: 'P-256' } : { name: 'Ed25519' },
+    true,
+    ['sign', 'verify']
+  );
+
+  beforeAll(async () => {
+    keys = await generateKeys('Ed25519');
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('hashing and signing', () => {
+    test('canonicalize should sort keys and drop signature fields', () => {
+      expect(canonicalize({ b: 1, a: { d: [1, { f: 1, e: 2 }], c: undefined }, integrity: 'x', signature: {} }))
+        .toBe('{"a":{"d":[1,{"e":2,"f":1}]},"b":1}');
+    });
+
+    test('computeIntegrity should not depend on key order', async () => {
+      const integrity = await computeIntegrity({ a: 1, b: 2 });
+
+      expect(integrity).toMatch(/^sha256-[A-Za-z0-9+/]{43}=$/);
+      expect(await computeIntegrity({ b: 2, a: 1 })).toBe(integrity);
+    });
+
+    test.each(['Ed25519', 'ECDSA'])('should sign and verify with %s keys', async algorithm => {
+      const { privateKey, publicKey } = await generateKeys(algorithm);
+      const signed = await signComponent(component('sig-test'), { privateKey, keyId: 'team' });
+
+      expect(signed.signature).toEqual({ algorithm, keyId: 'team', value: expect.any(String) });
+      await expect(verifyComponent(signed, { publicKeys: { team: publicKey }, requireSignature: true }))
+        .resolves.toBeUndefined();
+
+      const jwk = await crypto.subtle.exportKey('jwk', publicKey);
+      await expect(verifyComponent(signed, { publicKeys: { team: jwk } })).resolves.toBeUndefined();
+    });
+
+    test('should reject unsupported signing keys', async () => {
+      const hmac = await crypto.subtle.generateKey({ name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+
+      await expect(signComponent(component('sig-hmac'), { privateKey: hmac }))
+        .rejects.toThrow('Unsupported signing key algorithm "HMAC"; use Ed25519 or ECDSA');
+    });
+  });
+
+  describe('trust policy', () => {
+    const rejection = async promise => {
+      const error = await promise.catch(e => e);
+      expect(error).toBeInstanceOf(TrustError);
+      return error.code;
+    };
+
+    test('should detect tampered data', async () => {
+      const signed = await signComponent(component('trust-tampered'), { privateKey: keys.privateKey, keyId: 'a' });
+      const tampered = { ...signed, template: '<img src=x onerror="alert(1)">' };
+
+      expect(await rejection(verifyComponent(tampered))).toBe('INTEGRITY_MISMATCH');
+    });
+
+    test('should check pinned integrity hashes', async () => {
+      const data = component('trust-pinned');
+      const integrity = await computeIntegrity(data);
+
+      await expect(verifyComponent(data, { integrity: { 'trust-pinned@1.0.0': integrity } })).resolves.toBeUndefined();
+      expect(await rejection(verifyComponent(data, { integrity: { 'trust-pinned': 'sha256-other' } })))
+        .toBe('INTEGRITY_MISMATCH');
+      expect(await rejection(verifyComponent(data, {}, 'sha256-other'))).toBe('INTEGRITY_MISMATCH');
+    });
+
+    test('should require signatures from pinned keys', async () => {
+      const signed = await signComponent(component('trust-keys'), { privateKey: keys.privateKey, keyId: 'a' });
+      const other = await generateKeys('Ed25519');
+
+      expect(await rejection(verifyComponent(component('trust-keys'), { requireSignature: true })))
+        .toBe('SIGNATURE_REQUIRED');
+      expect(await rejection(verifyComponent(signed, { requireSignature: true }))).toBe('UNTRUSTED_KEY');
+      expect(await rejection(verifyComponent(signed, { publicKeys: { b: keys.publicKey } }))).toBe('UNTRUSTED_KEY');
+      expect(await rejection(verifyComponent(signed, { publicKeys: { a: other.publicKey } })))
+        .toBe('SIGNATURE_INVALID');
+    });
+
+    test('should only look up own keys and algorithms', async () => {
+      const signed = await signComponent(component('trust-proto'), { privateKey: keys.privateKey, keyId: 'a' });
+      const policy = { publicKeys: { a: keys.publicKey } };
+
+      for (const keyId of ['constructor', 'toString', '__proto__']) {
+        expect(await rejection(verifyComponent({ ...signed, signature: { ...signed.signature, keyId } }, policy)))
+          .toBe('UNTRUSTED_KEY');
+      }
+      expect(await rejection(verifyComponent({ ...signed, signature: { ...signed.signature, algorithm: 'constructor' } }, policy)))
+        .toBe('UNTRUSTED_KEY');
+    });
+
+    test('should reject mismatched keys and malformed signatures as invalid', async () => {
+      const signed = await signComponent(component('trust-malformed'), { privateKey: keys.privateKey, keyId: 'a' });
+      const ecdsa = await generateKeys('ECDSA');
+      const ecdsaJWK = await crypto.subtle.exportKey('jwk', ecdsa.publicKey);
+      const invalid = (data, key) => rejection(verifyComponent(data, { publicKeys: { a: key } }));
+
+      expect(await invalid(signed, ecdsa.publicKey)).toBe('SIGNATURE_INVALID');
+      expect(await invalid(signed, ecdsaJWK)).toBe('SIGNATURE_INVALID');
+      expect(await invalid(signed, { kty: 'OKP', crv: 'Ed25519', x: '!' })).toBe('SIGNATURE_INVALID');
+      expect(await invalid(signed, 'not a key')).toBe('SIGNATURE_INVALID');
+      expect(await invalid({ ...signed, signature: { ...signed.signature, value: '%%%' } }, keys.publicKey))
+        .toBe('SIGNATURE_INVALID');
+      expect(await invalid({ ...signed, signature: { ...signed.signature, value: 'AAAA' } }, keys.publicKey))
+        .toBe('SIGNATURE_INVALID');
+    });
+  });
+
+  describe('ComponentBuilder', () => {
+    test('export should sign JSON exports without leaking the key', async () => {
+      const builder = new ComponentBuilder({ signing: { privateKey: keys.privateKey, keyId: 'team' } });
+      builder.define('signed-export', {
+        props: ['message'],
+        template: () => '<p></p>'
+      });
+
+      const { data } = await builder.export('signed-export');
+
+      expect(data.integrity).toBe(await computeIntegrity(data));
+      expect(data.signature.keyId).toBe('team');
+      expect(data.exportOptions).toEqual({});
+      await expect(verifyComponent(data, { publicKeys: { team: keys.publicKey } })).resolves.toBeUndefined();
+    });
+
+    test('import should accept signed data from trusted origins', async () => {
+      const signed = await signComponent(component('trusted-url'), { privateKey: keys.privateKey, keyId: 'team' });
+      const builder = new ComponentBuilder({
+        trust: {
+          allowedOrigins: ['https://cdn.acme.com'],
+          requireSignature: true,
+          publicKeys: { team: keys.publicKey }
+        }
+      });
+      global.fetch.mockResolvedValueOnce(jsonResponse(signed));
+
+      await expect(builder.import('https://cdn.acme.com/trusted-url.json')).resolves.toBe('trusted-url');
+    });
+
+    test('import should reject other origins before fetching', async () => {
+      const builder = new ComponentBuilder({ trust: { allowedOrigins: ['https://cdn.acme.com'] } });
+
+      const error = await builder.import('https://evil.example.com/banner.json').catch(e => e);
+
+      expect(error).toBeInstanceOf(ComponentBuilder.TrustError);
+      expect(error.code).toBe('ORIGIN_NOT_ALLOWED');
+      expect(error.message).toBe('Origin https://evil.example.com is not in the allowed origins');
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('import should apply the cloud endpoint origin to the policy', async () => {
+      const builder = new ComponentBuilder({
+        apiEndpoint: 'https://registry.example.com/api',
+        trust: { allowedOrigins: ['https://cdn.acme.com'] }
+      });
+
+      const error = await builder.import('trusted-cloud').catch(e => e);
+
+      expect(error.code).toBe('ORIGIN_NOT_ALLOWED');
+    });
+
+    test('import should reject unsigned data without registering it', async () => {
+      const builder = new ComponentBuilder();
+      const define = jest.spyOn(customElements, 'define');
+
+      const error = await builder.import(component('unsigned-import'), { trust: { requireSignature: true } })
+        .catch(e => e);
+
+      expect(error.code).toBe('SIGNATURE_REQUIRED');
+      expect(define).not.toHaveBeenCalled();
+      expect(builder.registry.has('unsigned-import')).toBe(false);
+      define.mockRestore();
+    });
+
+    test('import should check a pinned integrity', async () => {
+      const builder = new ComponentBuilder();
+      const data = component('pinned-import');
+
+      const error = await builder.import(data, { integrity: 'sha256-nope' }).catch(e => e);
+      expect(error.code).toBe('INTEGRITY_MISMATCH');
+
+      await expect(builder.import(data, { integrity: await computeIntegrity(data) }))
+        .resolves.toBe('pinned-import');
+    });
+
+    test('import should verify dependencies loaded from the cloud', async () => {
+      const builder = new ComponentBuilder({
+        apiEndpoint: 'https://api.example.com',
+        trust: { requireSignature: true, publicKeys: { team: keys.publicKey } }
+      });
+      const card = await signComponent(
+        { ...component('trusted-card'), dependencies: { 'untrusted-avatar': '^1.0.0' } },
+        { privateKey: keys.privateKey, keyId: 'team' }
+      );
+      global.fetch.mockResolvedValueOnce(jsonResponse(component('untrusted-avatar')));
+
+      const error = await builder.import(card).catch(e => e);
+
+      expect(error.code).toBe('SIGNATURE_REQUIRED');
+      expect(error.message).toBe('untrusted-avatar@1.0.0 is not signed');
+    });
+  });
+});
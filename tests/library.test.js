@@ -0,0 +1,142 @@
+import ComponentBuilder from '../src/component-builder.js';
+
+describe('exportLibrary', () => {
+  let builder;
+
+  // Evaluate an ES module library as a function returning its default export
+  const loadModule = source => new Function(
+    source.replace(/^export default library;$/m, 'return library;').replace(/^export /gm, '')
+  )();
+
+  const flush = () => new Promise(resolve => setTimeout(resolve));
+
+  beforeEach(() => {
+    builder = new ComponentBuilder();
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  // The builder registers its own elements, so libraries are evaluated with renamed
+  // tags; templates are given as sources so the rename reaches them
+  const defineSet = prefix => {
+    builder.define(`${prefix}-icon`, {
+      version: '1.2.0',
+      props: { glyph: { type: String, default: '*' } },
+      template: '(props) => `<i>${props.glyph}</i>`'
+    });
+    builder.define(`${prefix}-card`, {
+      version: '2.0.0',
+      dependencies: { [`${prefix}-icon`]: '^1.0.0' },
+      props: { heading: String, count: { type: Number, default: 1 } },
+      initialState: { open: false, tags: [] },
+      events: { toggle: { detail: Boolean } },
+      styles: 'h3 { margin: 0; }',
+      computed: { double() { return this.count * 2; } },
+      template: `(props, state) => \`<h3>\${props.heading}</h3><${prefix}-icon></${prefix}-icon><b>\${state.open}</b>\``,
+      methods: {
+        toggle() {
+          this.setState({ open: !this.state.open });
+          this.emit('toggle', this.state.open);
+        }
+      }
+    });
+  };
+
+  test('should define every component with one shared runtime', async () => {
+    defineSet('lib');
+    const source = await builder.exportLibrary(['lib-card'], { globalName: 'Acme' });
+
+    expect(source.startsWith('// Generated component library: lib-icon@1.2.0, lib-card@2.0.0')).toBe(true);
+    expect(source.match(/function fromAttribute\(/g)).toHaveLength(1);
+    expect(source.match(/extends HTMLElement/g)).toHaveLength(1);
+    expect(source.indexOf('"lib-icon": {')).toBeLessThan(source.indexOf('"lib-card": {'));
+
+    new Function(source.replace(/lib-/g, 'lib-live-'))();
+    const el = document.createElement('lib-live-card');
+    el.heading = 'Hi';
+    document.body.appendChild(el);
+    await el.updateComplete;
+
+    expect(el.constructor.name).toBe('LibCard');
+    expect(el.constructor.version).toBe('2.0.0');
+    expect(el.computed.double).toBe(2);
+    expect(el.shadowRoot.querySelector('h3').textContent).toBe('Hi');
+    expect(el.shadowRoot.querySelector('lib-live-icon').shadowRoot.innerHTML).toBe('<i>*</i>');
+
+    const toggled = jest.fn();
+    el.addEventListener('toggle', toggled);
+    el.toggle();
+    await el.updateComplete;
+    expect(el.shadowRoot.querySelector('b').textContent).toBe('true');
+    expect(toggled.mock.calls[0][0].detail).toBe(true);
+
+    // Each instance starts from its own copy of the initial state
+    expect(document.createElement('lib-live-card').state).toEqual({ open: false, tags: [] });
+    expect(window.Acme.manifest).toEqual({
+      format: 'iife',
+      lazy: false,
+      components: [
+        { name: 'lib-live-icon', version: '1.2.0', className: 'LibIcon', dependencies: {} },
+        { name: 'lib-live-card', version: '2.0.0', className: 'LibCard', dependencies: { 'lib-live-icon': '^1.0.0' } }
+      ]
+    });
+  });
+
+  test('should export an ES module', async () => {
+    defineSet('esm');
+    const source = await builder.exportLibrary(undefined, { format: 'esm' });
+
+    expect(source).toContain('export const define = library.define;');
+    expect(source).toContain('export default library;');
+    expect(source).not.toContain('window[');
+
+    const library = loadModule(source.replace(/esm-/g, 'esm-module-'));
+    expect(library.manifest.components.map(component => component.name)).toEqual(['esm-module-icon', 'esm-module-card']);
+    expect(customElements.get('esm-module-card')).toBe(library.define('esm-module-card'));
+    expect(() => library.define('esm-module-missing')).toThrow('Component esm-module-missing is not in this library');
+  });
+
+  test('should define lazy components, with their dependencies, when they are first used', async () => {
+    defineSet('lazy');
+    builder.define('lazy-unused', { template: () => '<p></p>' });
+    const source = await builder.exportLibrary(undefined, { format: 'esm', lazy: true });
+    const library = loadModule(source.replace(/lazy-/g, 'lazy-module-'));
+
+    expect(library.manifest.lazy).toBe(true);
+    expect(customElements.get('lazy-module-card')).toBeUndefined();
+
+    document.body.innerHTML = '<section><lazy-module-card heading="Hello"></lazy-module-card></section>';
+    await flush();
+
+    expect(customElements.get('lazy-module-card')).toBeDefined();
+    expect(customElements.get('lazy-module-icon')).toBeDefined();
+    expect(customElements.get('lazy-module-unused')).toBeUndefined();
+    const el = document.querySelector('lazy-module-card');
+    await el.updateComplete;
+    expect(el.shadowRoot.querySelector('lazy-module-icon').shadowRoot.innerHTML).toBe('<i>*</i>');
+  });
+
+  test('should warn about tags that are already registered', async () => {
+    builder.define('lib-taken', { template: () => '<p></p>' });
+    const library = loadModule(await builder.exportLibrary(['lib-taken'], { format: 'esm' }));
+
+    expect(console.warn).toHaveBeenCalledWith('Component lib-taken already registered');
+    expect(library.define('lib-taken')).toBe(customElements.get('lib-taken'));
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject unknown components, formats and conflicting versions', async () => {
+    builder.define('lib-base', { version: '1.0.0', template: () => '' });
+    builder.define('lib-base', { version: '2.0.0', template: () => '' });
+    builder.define('lib-old', { dependencies: { 'lib-base': '^1.0.0' }, template: () => '' });
+
+    await expect(builder.exportLibrary(['lib-missing'])).rejects.toThrow('Component lib-missing not found');
+    await expect(builder.exportLibrary(['lib-base'], { format: 'umd' }))
+      .rejects.toThrow('Unknown library format "umd"; use iife, esm');
+    await expect(builder.exportLibrary(['lib-old', 'lib-base']))
+      .rejects.toThrow('Library needs both lib-base@1.0.0 and lib-base@2.0.0');
+  });
+});
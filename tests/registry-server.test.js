@@ -0,0 +1,253 @@
+import http from 'http';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import ComponentBuilder from '../src/component-builder.js';
+import { createRegistryServer } from '../src/registry-server.js';
+import { MemoryStore } from '../src/stores.js';
+
+// fetch over Node's http module; the global fetch is mocked in tests
+const nodeFetch = (url, init = {}) => new Promise((resolve, reject) => {
+  const request = http.request(url, { method: init.method || 'GET', headers: init.headers }, response => {
+    const chunks = [];
+    response.on('data', chunk => chunks.push(chunk));
+    response.on('end', () => resolve({
+      ok: response.statusCode >= 200 && response.statusCode < 300,
+      status: response.statusCode,
+      statusText: response.statusMessage,
+      headers: { get: name => response.headers[name.toLowerCase()] || null },
+      text: () => Promise.resolve(Buffer.concat(chunks).toString('utf8'))
+    }));
+  });
+  request.on('error', reject);
+  request.end(init.body);
+});
+
+describe('registry server', () => {
+  let server;
+  let endpoint;
+  let storage;
+
+  const component = (name, version, extra = {}) => ({
+    formatVersion: 1,
+    name,
+    version,
+    props: ['label'],
+    template: '(props, state, { html }) => html`<b>${props.label}</b>`',
+    styles: '',
+    methods: {},
+    hooks: {},
+    events: [],
+    dependencies: {},
+    initialState: {},
+    ...extra
+  });
+
+  const call = (method, url, { body, token, headers = {} } = {}) => nodeFetch(`${endpoint}${url}`, {
+    method,
+    headers: {
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers
+    },
+    body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  const json = async response => JSON.parse(await response.text());
+
+  const start = async options => {
+    storage = new MemoryStore();
+    server = createRegistryServer({ storage, tokens: ['secret'], basePath: '/api', ...options });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}/api`;
+  };
+
+  beforeEach(() => start());
+
+  afterEach(() => new Promise(resolve => server.close(resolve)));
+
+  test('should store, resolve and list component versions', async () => {
+    for (const version of ['1.0.0', '1.4.0', '2.0.0']) {
+      const response = await call('POST', '/components', { body: component('srv-card', version), token: 'secret' });
+      expect(response.status).toBe(201);
+    }
+    await call('POST', '/components', { body: component('srv-icon', '1.0.0', { description: 'Card icon' }), token: 'secret' });
+
+    expect((await json(await call('GET', '/components/srv-card'))).version).toBe('2.0.0');
+    expect((await json(await call('GET', '/components/srv-card?version=%5E1.0.0'))).version).toBe('1.4.0');
+    expect(await json(await call('GET', '/components/srv-card/versions'))).toEqual({
+      name: 'srv-card',
+      versions: ['1.0.0', '1.4.0', '2.0.0']
+    });
+
+    expect(await json(await call('GET', '/components?q=card&limit=1&page=2'))).toEqual({
+      items: [{ name: 'srv-icon', version: '1.0.0', versions: ['1.0.0'], description: 'Card icon' }],
+      page: 2,
+      limit: 1,
+      total: 2
+    });
+    expect((await storage.getAll()).length).toBe(4);
+  });
+
+  test('should answer with JSON errors', async () => {
+    await call('POST', '/components', { body: component('srv-dupe', '1.0.0'), token: 'secret' });
+
+    const duplicate = await call('POST', '/components', { body: component('srv-dupe', '1.0.0'), token: 'secret' });
+    expect(duplicate.status).toBe(409);
+
+    const missing = await call('GET', '/components/srv-missing');
+    expect(missing.status).toBe(404);
+    expect(await json(missing)).toEqual({ error: 'No component srv-missing' });
+
+    expect((await call('GET', '/components/srv-dupe?version=%5E2.0.0')).status).toBe(404);
+    expect((await call('POST', '/components', { body: '{nope', token: 'secret' })).status).toBe(400);
+    expect((await call('PATCH', '/components/srv-dupe', { token: 'secret' })).status).toBe(405);
+    expect((await call('GET', '/other')).status).toBe(404);
+  });
+
+  test('should reject malformed ranges and paths as bad requests', async () => {
+    await call('POST', '/components', { body: component('srv-bad', '1.0.0'), token: 'secret' });
+    const error = jest.spyOn(console, 'error');
+
+    const range = await call('GET', '/components/srv-bad?version=%5Enope');
+    expect(range.status).toBe(400);
+    expect(await json(range)).toEqual({ error: 'Invalid version range "^nope"' });
+
+    const path = await call('GET', '/components/srv-%E0%A4%A');
+    expect(path.status).toBe(400);
+    expect(await json(path)).toEqual({ error: 'Invalid percent-encoding in /api/components/srv-%E0%A4%A' });
+    expect(error).not.toHaveBeenCalled();
+  });
+
+  test('should answer HEAD wherever GET is allowed', async () => {
+    await call('POST', '/components', { body: component('srv-head', '1.0.0'), token: 'secret' });
+    const etag = (await call('GET', '/components/srv-head')).headers.get('ETag');
+
+    const head = await call('HEAD', '/components/srv-head');
+    expect(head.status).toBe(200);
+    expect(head.headers.get('ETag')).toBe(etag);
+    expect(await head.text()).toBe('');
+    expect((await call('HEAD', '/components/srv-head', { headers: { 'If-None-Match': etag } })).status).toBe(304);
+    expect((await call('HEAD', '/components')).status).toBe(200);
+    expect((await call('HEAD', '/components/srv-head/versions')).status).toBe(200);
+    expect((await call('HEAD', '/components/srv-missing')).status).toBe(404);
+
+    const patch = await call('PATCH', '/components/srv-head/versions', { token: 'secret' });
+    expect(patch.headers.get('Allow')).toBe('GET, HEAD');
+  });
+
+  test('should answer oversized bodies with 413 and keep serving', async () => {
+    server.close();
+    await start({ maxBodySize: 1024 });
+    const body = component('srv-large', '1.0.0', { styles: 'b { color: red; }'.repeat(4096) });
+
+    const response = await call('POST', '/components', { body, token: 'secret' });
+    expect(response.status).toBe(413);
+    expect(await json(response)).toEqual({ error: 'Request body is larger than 1024 bytes' });
+    expect((await call('POST', '/components', { body: component('srv-large', '1.0.0'), token: 'secret' })).status)
+      .toBe(201);
+    expect(await storage.getAll()).toHaveLength(1);
+  });
+
+  test('should validate payloads against the data format', async () => {
+    const response = await call('POST', '/components', {
+      body: component('srv-invalid', '1.0', { props: { count: 'Date' } }),
+      token: 'secret'
+    });
+
+    expect(response.status).toBe(422);
+    expect((await json(response)).errors).toEqual([
+      { path: 'version', message: 'must be a valid semver version' },
+      { path: 'props.count', message: 'must be one of String, Number, Boolean, Object, Array' }
+    ]);
+  });
+
+  test('should require a token for writes', async () => {
+    const anonymous = await call('POST', '/components', { body: component('srv-auth', '1.0.0') });
+    expect(anonymous.status).toBe(401);
+    expect(anonymous.headers.get('WWW-Authenticate')).toBe('Bearer');
+    expect((await call('POST', '/components', { body: component('srv-auth', '1.0.0'), token: 'wrong' })).status).toBe(401);
+    expect((await call('GET', '/components')).status).toBe(200);
+  });
+
+  test('should require a token for reads when reads are private', async () => {
+    server.close();
+    await start({ publicRead: false });
+
+    expect((await call('GET', '/components')).status).toBe(401);
+    expect((await call('GET', '/components', { token: 'secret' })).status).toBe(200);
+  });
+
+  test('should support conditional GET and PUT', async () => {
+    await call('POST', '/components', { body: component('srv-etag', '1.0.0'), token: 'secret' });
+    const first = await call('GET', '/components/srv-etag');
+    const etag = first.headers.get('ETag');
+
+    expect((await call('GET', '/components/srv-etag', { headers: { 'If-None-Match': etag } })).status).toBe(304);
+
+    const updated = component('srv-etag', '1.0.0', { styles: 'b { color: red; }' });
+    const put = await call('PUT', '/components/srv-etag?version=1.0.0', { body: updated, token: 'secret', headers: { 'If-Match': etag } });
+    expect(put.status).toBe(200);
+
+    const stale = await call('PUT', '/components/srv-etag?version=1.0.0', { body: updated, token: 'secret', headers: { 'If-Match': etag } });
+    expect(stale.status).toBe(412);
+    expect((await call('PUT', '/components/srv-etag?version=2.0.0', { body: updated, token: 'secret' })).status).toBe(422);
+  });
+
+  test('should delete one version or every version', async () => {
+    for (const version of ['1.0.0', '2.0.0']) {
+      await call('POST', '/components', { body: component('srv-delete', version), token: 'secret' });
+    }
+
+    expect(await json(await call('DELETE', '/components/srv-delete?version=1.0.0', { token: 'secret' })))
+      .toEqual({ name: 'srv-delete', deleted: ['1.0.0'] });
+    expect((await call('DELETE', '/components/srv-delete?version=1.0.0', { token: 'secret' })).status).toBe(404);
+    expect(await json(await call('DELETE', '/components/srv-delete', { token: 'secret' })))
+      .toEqual({ name: 'srv-delete', deleted: ['2.0.0'] });
+    expect(await storage.getAll()).toEqual([]);
+  });
+
+  test('should answer CORS preflight requests', async () => {
+    const response = await call('OPTIONS', '/components', { headers: { 'Access-Control-Request-Headers': 'authorization' } });
+
+    expect(response.status).toBe(204);
+    expect(response.headers.get('Access-Control-Allow-Origin')).toBe('*');
+    expect(response.headers.get('Access-Control-Allow-Headers')).toBe('authorization');
+  });
+
+  test('should work with the builder cloud client end to end', async () => {
+    const cloud = { fetch: nodeFetch, token: 'secret', retries: 0 };
+    const publisher = new ComponentBuilder({ apiEndpoint: endpoint, cloud });
+    publisher.define('srv-e2e', {
+      version: '1.2.0',
+      props: { label: String },
+      template: (props, state, { html }) => html`<b>${props.label}</b>`
+    });
+
+    await publisher.export('srv-e2e', { type: 'cloud' });
+    expect((await publisher.listFromCloud()).items.map(item => item.name)).toEqual(['srv-e2e']);
+
+    const consumer = new ComponentBuilder({ apiEndpoint: endpoint, cloud });
+    const tag = await consumer.import('srv-e2e@^1.0.0', { alias: 'srv-e2e-copy' });
+    const el = document.createElement(tag);
+    el.label = 'served';
+    document.body.appendChild(el);
+    expect(el.shadowRoot.innerHTML).toBe('<b>served</b>');
+    el.remove();
+
+    await publisher.deleteFromCloud('srv-e2e');
+    await expect(consumer.loadFromCloud('srv-e2e')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+
+  test('should store data on the filesystem by default', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'scb-registry-'));
+    server.close();
+    server = createRegistryServer({ directory });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}`;
+
+    await call('POST', '/components', { body: component('srv-files', '1.0.0') });
+
+    expect(await fs.readdir(directory)).toEqual(['srv-files@1.0.0.json']);
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+});
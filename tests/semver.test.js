@@ -0,0 +1,76 @@
+import {
+  compareVersions,
+  isValidVersion,
+  maxSatisfying,
+  minimumVersion,
+  parseVersion,
+  satisfies
+} from '../src/semver.js';
+
+describe('semver', () => {
+  test('parseVersion should parse versions with pre-release and build metadata', () => {
+    expect(parseVersion('1.2.3')).toEqual({ major: 1, minor: 2, patch: 3, prerelease: [] });
+    expect(parseVersion('v2.0.0-beta.1+build.5')).toEqual({
+      major: 2, minor: 0, patch: 0, prerelease: ['beta', '1']
+    });
+    expect(parseVersion('1.2')).toBe(null);
+    expect(isValidVersion('banana')).toBe(false);
+  });
+
+  test('compareVersions should order releases and pre-releases', () => {
+    const sorted = ['2.0.0', '1.10.0', '2.0.0-beta.2', '1.2.0', '2.0.0-alpha', '2.0.0-beta.10']
+      .sort(compareVersions);
+
+    expect(sorted).toEqual(['1.2.0', '1.10.0', '2.0.0-alpha', '2.0.0-beta.2', '2.0.0-beta.10', '2.0.0']);
+    expect(() => compareVersions('1.0.0', 'nope')).toThrow('Invalid version "nope"');
+  });
+
+  test.each([
+    ['1.2.3', '1.2.3', true],
+    ['1.2.4', '1.2.3', false],
+    ['1.9.0', '^1.2.0', true],
+    ['2.0.0', '^1.2.0', false],
+    ['0.2.5', '^0.2.1', true],
+    ['0.3.0', '^0.2.1', false],
+    ['0.0.4', '^0.0.3', false],
+    ['1.2.9', '~1.2.0', true],
+    ['1.3.0', '~1.2.0', false],
+    ['1.4.0', '1.x', true],
+    ['2.0.0', '1', false],
+    ['5.0.0', '*', true],
+    ['1.5.0', '>=1.2.0 <2.0.0', true],
+    ['2.0.0', '>=1.2.0 <2.0.0', false],
+    ['3.1.0', '^1.0.0 || ^3.0.0', true],
+    ['2.3.9', '1.2 - 2.3', true],
+    ['2.4.0', '1.2 - 2.3', false],
+    ['2.0.0-beta.1', '^1.0.0', false],
+    ['2.0.0-beta.1', '^2.0.0', false],
+    ['2.0.0-beta.2', '>=2.0.0-beta.1', true]
+  ])('satisfies(%s, %s) should be %s', (version, range, expected) => {
+    expect(satisfies(version, range)).toBe(expected);
+  });
+
+  test('satisfies should reject malformed ranges', () => {
+    expect(() => satisfies('1.0.0', '^one')).toThrow('Invalid version range "one"');
+  });
+
+  test('maxSatisfying should pick the highest matching version', () => {
+    const versions = ['1.0.0', '1.4.2', '2.0.0', '2.1.0', '3.0.0-rc.1'];
+
+    expect(maxSatisfying(versions, '^1.0.0')).toBe('1.4.2');
+    expect(maxSatisfying(versions, '>=2')).toBe('2.1.0');
+    expect(maxSatisfying(versions, '^4.0.0')).toBe(null);
+  });
+
+  test.each([
+    ['1.4.2', 'major', '2.0.0'],
+    ['1.4.2', 'minor', '1.5.0'],
+    ['1.4.2', 'patch', '1.4.2'],
+    ['0.3.1', 'major', '0.4.0'],
+    ['0.3.1', 'minor', '0.3.2'],
+    ['0.0.3', 'major', '0.0.4'],
+    ['0.0.3', 'minor', '0.0.4']
+  ])('minimumVersion(%s, %s) should be %s', (version, release, expected) => {
+    expect(minimumVersion(version, release)).toBe(expected);
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * @jest-environment node
+ */
+import ComponentBuilder from '../src/component-builder.js';
+
+describe('renderToString without a DOM', () => {
+  test('should render templates, styles and methods', () => {
+    expect(typeof document).toBe('undefined');
+    const builder = new ComponentBuilder();
+    builder.define('node-card', {
+      props: { title: String, tags: { type: Array, default: [] } },
+      template(props, state, { html }) {
+        return html`<h2>${this.heading()}</h2><ul>${props.tags.map(tag => html`<li>${tag}</li>`)}</ul>`;
+      },
+      styles: 'h2 { margin: 0; }',
+      methods: {
+        heading() {
+          return this.props.title.toUpperCase();
+        }
+      }
+    });
+
+    expect(builder.renderToString('node-card', { title: 'News', tags: ['a', 'b'] })).toBe(
+      '<node-card title="News" tags="[&quot;a&quot;,&quot;b&quot;]"><template shadowrootmode="open">' +
+      '<style>h2 { margin: 0; }</style><h2>NEWS</h2><ul><li>a</li><li>b</li></ul></template></node-card>'
+    );
+  });
+});
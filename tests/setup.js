@@ -39,9 +39,51 @@ if (typeof HTMLElement === 'undefined') {
   };
 }
 
+// jsdom lacks WebCrypto and TextEncoder; use Node's implementations
+const { webcrypto } = require('crypto');
+const { TextEncoder } = require('util');
+if (!global.crypto || !global.crypto.subtle) {
+  // Node's WebCrypto rejects ArrayBuffers created in the jsdom realm
+  const toNodeBuffer = value =>
+    Object.prototype.toString.call(value) === '[object ArrayBuffer]' ? Buffer.from(value) : value;
+  const subtle = new Proxy(webcrypto.subtle, {
+    get(target, key) {
+      const value = target[key];
+      return typeof value === 'function'
+        ? (...args) => value.apply(target, args.map(toNodeBuffer))
+        : value;
+    }
+  });
+  Object.defineProperty(global, 'crypto', {
+    value: { subtle, getRandomValues: array => webcrypto.getRandomValues(array) },
+    configurable: true
+  });
+}
+if (typeof global.CryptoKey === 'undefined') {
+  global.CryptoKey = webcrypto.CryptoKey;
+}
+if (typeof global.TextEncoder === 'undefined') {
+  global.TextEncoder = TextEncoder;
+}
+
 // Mock fetch for testing
 global.fetch = jest.fn();
 
+// Build a fetch Response stand-in with a JSON body
+global.jsonResponse = (body, { status = 200, headers = {} } = {}) => {
+  const lowerCased = {};
+  Object.keys(headers).forEach(name => {
+    lowerCased[name.toLowerCase()] = headers[name];
+  });
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: '',
+    headers: { get: name => lowerCased[name.toLowerCase()] || null },
+    text: () => Promise.resolve(body === undefined ? '' : JSON.stringify(body))
+  };
+};
+
 // Console mock to reduce noise in tests
 global.console = {
   ...console,
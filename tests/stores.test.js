@@ -0,0 +1,143 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import ComponentBuilder from '../src/component-builder.js';
+import { FileSystemStore } from '../src/fs-store.js';
+import { createStore, IndexedDBStore, LocalStorageStore, MemoryStore } from '../src/stores.js';
+
+// Just enough of IndexedDB for one object store with out-of-line keys
+function createFakeIndexedDB() {
+  const databases = new Map();
+  const settle = (request, result) => setTimeout(() => {
+    request.result = result;
+    if (request.onsuccess) request.onsuccess();
+  });
+
+  return {
+    open(name) {
+      const request = {};
+      const isNew = !databases.has(name);
+      if (isNew) databases.set(name, new Map());
+      const stores = databases.get(name);
+      const database = {
+        createObjectStore: storeName => stores.set(storeName, new Map()),
+        transaction(storeName) {
+          const records = stores.get(storeName);
+          const transaction = {};
+          const run = fn => {
+            const result = {};
+            setTimeout(() => {
+              result.result = fn();
+              setTimeout(() => transaction.oncomplete());
+            });
+            return result;
+          };
+          transaction.objectStore = () => ({
+            getAll: () => run(() => [...records.values()].map(value => JSON.parse(JSON.stringify(value)))),
+            put: (value, key) => run(() => records.set(key, value)),
+            delete: key => run(() => records.delete(key)),
+            clear: () => run(() => records.clear())
+          });
+          return transaction;
+        }
+      };
+      setTimeout(() => {
+        request.result = database;
+        if (isNew && request.onupgradeneeded) request.onupgradeneeded();
+        settle(request, database);
+      });
+      return request;
+    }
+  };
+}
+
+describe('stores', () => {
+  const record = (name, version) => ({ formatVersion: 1, name, version, template: '() => ""' });
+  let directory;
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'scb-store-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe.each([
+    ['MemoryStore', () => new MemoryStore()],
+    ['LocalStorageStore', () => new LocalStorageStore()],
+    ['IndexedDBStore', () => new IndexedDBStore({ indexedDB: createFakeIndexedDB() })],
+    ['FileSystemStore', () => new FileSystemStore({ directory: path.join(directory, String(Math.random())) })]
+  ])('%s', (label, create) => {
+    test('should set, list, delete and clear records', async () => {
+      const store = create();
+      expect(await store.getAll()).toEqual([]);
+
+      await store.set(record('store-card', '1.0.0'));
+      await store.set(record('store-card', '2.0.0'));
+      await store.set(record('store-icon', '1.0.0'));
+      await store.set({ ...record('store-icon', '1.0.0'), styles: 'b {}' });
+
+      const sort = records => records.map(data => `${data.name}@${data.version}`).sort();
+      expect(sort(await store.getAll())).toEqual(['store-card@1.0.0', 'store-card@2.0.0', 'store-icon@1.0.0']);
+      expect((await store.getAll()).find(data => data.name === 'store-icon').styles).toBe('b {}');
+
+      await store.delete('store-card', '1.0.0');
+      await store.delete('store-missing', '1.0.0');
+      expect(sort(await store.getAll())).toEqual(['store-card@2.0.0', 'store-icon@1.0.0']);
+
+      await store.clear();
+      expect(await store.getAll()).toEqual([]);
+    });
+  });
+
+  test('should be reachable as ComponentBuilder statics, as typed', async () => {
+    expect(ComponentBuilder.MemoryStore).toBe(MemoryStore);
+    expect(ComponentBuilder.LocalStorageStore).toBe(LocalStorageStore);
+    expect(ComponentBuilder.IndexedDBStore).toBe(IndexedDBStore);
+
+    const storage = new ComponentBuilder.LocalStorageStore({ prefix: 'statics:' });
+    await storage.set(record('store-static', '1.0.0'));
+    expect((await storage.getAll()).map(data => data.name)).toEqual(['store-static']);
+  });
+
+  test('LocalStorageStore should only touch keys with its prefix', async () => {
+    localStorage.setItem('unrelated', 'x');
+    const store = new LocalStorageStore({ prefix: 'acme:' });
+    await store.set(record('store-card', '1.0.0'));
+
+    expect(localStorage.getItem('acme:store-card@1.0.0')).toContain('"store-card"');
+    await store.clear();
+    expect(localStorage.getItem('unrelated')).toBe('x');
+  });
+
+  test('MemoryStore should not share records with callers', async () => {
+    const store = new MemoryStore();
+    const data = record('store-copy', '1.0.0');
+    await store.set(data);
+    data.styles = 'changed';
+
+    expect((await store.getAll())[0].styles).toBeUndefined();
+  });
+
+  test('IndexedDBStore should require IndexedDB', () => {
+    expect(() => new IndexedDBStore()).toThrow('IndexedDB is not available in this environment');
+  });
+
+  test('createStore should resolve names and check store objects', () => {
+    expect(createStore()).toBe(null);
+    expect(createStore('memory')).toBeInstanceOf(MemoryStore);
+    expect(createStore('localStorage')).toBeInstanceOf(LocalStorageStore);
+
+    const store = new MemoryStore();
+    expect(createStore(store)).toBe(store);
+    expect(() => createStore('redis')).toThrow(
+      'Unknown storage "redis"; use memory, localStorage, indexedDB or a store object'
+    );
+    expect(() => createStore({ getAll() {} })).toThrow('Storage is missing set, delete, clear');
+  });
+});
@@ -0,0 +1,116 @@
+import ComponentBuilder from '../src/component-builder.js';
+import { cleanup, fire, mount, query, queryAll, setProps, shadowSerializer, waitForRender } from '../src/testing.js';
+
+expect.addSnapshotSerializer(shadowSerializer);
+
+describe('testing helpers', () => {
+  const builder = new ComponentBuilder();
+
+  builder.define('harness-badge', {
+    props: { label: String },
+    template: (props, state, { html }) => html`<b>${props.label}</b>`
+  });
+  builder.define('harness-counter', {
+    props: { step: { type: Number, default: 1 }, tags: { type: Array, default: [] } },
+    events: { change: { detail: Number } },
+    initialState: { count: 0 },
+    template: (props, state, { html }) => html`
+      <button @click="increment">+</button>
+      <output>${state.count}</output>
+      ${props.tags.map(tag => html`<harness-badge label="${tag}"></harness-badge>`)}
+    `,
+    methods: {
+      increment() {
+        this.setState({ count: this.state.count + this.step });
+        this.emit('change', this.state.count);
+      }
+    }
+  });
+
+  afterEach(() => {
+    cleanup();
+  });
+
+  test('mount should render with props and state', async () => {
+    const el = await mount('harness-counter', { step: 2, tags: ['a'], id: 'counter' }, { count: 5 });
+
+    expect(el.isConnected).toBe(true);
+    expect(el.id).toBe('counter');
+    expect(el.props.tags).toEqual(['a']);
+    expect(query(el, 'output').textContent).toBe('5');
+
+    cleanup();
+    expect(el.isConnected).toBe(false);
+  });
+
+  test('mount should reject unknown tags', async () => {
+    await expect(mount('harness-missing')).rejects.toThrow(
+      '<harness-missing> is not defined; define or import the component before mounting it'
+    );
+  });
+
+  test('query and queryAll should pierce nested shadow roots', async () => {
+    const el = await mount('harness-counter', { tags: ['a', 'b'] });
+
+    expect(query(el, 'b').textContent).toBe('a');
+    expect(queryAll(el, 'b').map(node => node.textContent)).toEqual(['a', 'b']);
+    expect(queryAll(el, 'harness-badge, b').map(node => node.localName))
+      .toEqual(['harness-badge', 'harness-badge', 'b', 'b']);
+    expect(query(el, 'i')).toBeNull();
+    expect(query(document, 'output')).toBe(query(el, 'output'));
+  });
+
+  test('fire should dispatch events and wait for the host to re-render', async () => {
+    const el = await mount('harness-counter', { step: 3 });
+    const changes = [];
+    el.addEventListener('change', event => changes.push(event.detail));
+
+    expect(await fire(query(el, 'button'), 'click')).toBe(true);
+    expect(query(el, 'output').textContent).toBe('3');
+    expect(changes).toEqual([3]);
+
+    const custom = jest.fn();
+    el.addEventListener('custom', custom);
+    await fire(query(el, 'output'), 'custom', { detail: { id: 1 } });
+    expect(custom.mock.calls[0][0].detail).toEqual({ id: 1 });
+  });
+
+  test('setProps and waitForRender should wait for re-renders', async () => {
+    const el = await mount('harness-counter');
+
+    await setProps(el, { tags: ['x'] });
+    expect(query(el, 'b').textContent).toBe('x');
+
+    el.setState({ count: 9 });
+    await waitForRender();
+    expect(query(el, 'output').textContent).toBe('9');
+  });
+
+  test('the snapshot serializer should print shadow DOM', async () => {
+    const el = await mount('harness-counter', { tags: ['a'] }, { count: 1 });
+
+    expect(el).toMatchInlineSnapshot(`
+<harness-counter>
+  #shadow-root (open)
+    <button data-on-click="increment">
+      +
+    </button>
+    <output>
+      1
+    </output>
+    <harness-badge label="a">
+      #shadow-root (open)
+        <b>
+          a
+        </b>
+    </harness-badge>
+</harness-counter>
+`);
+    expect(query(el, 'harness-badge').shadowRoot).toMatchInlineSnapshot(`
+#shadow-root (open)
+  <b>
+    a
+  </b>
+`);
+  });
+});